@@ -0,0 +1,99 @@
+import { PermissionFlagsBits } from 'discord.js';
+
+const EMPTY_RULES = { allowUsers: [], allowRoles: [], denyUsers: [], denyRoles: [], adminRoles: [] };
+
+// Commands (or `command subcommand`s) only admins may run. `/model set|reset`
+// is checked separately: changing your own model is fine, a channel's isn't.
+const ADMIN_COMMANDS = new Set([
+  'access', 'queue',
+  'config channels', 'config blacklist', 'config context', 'config reset',
+  'persona set', 'persona reset',
+  'trigger set', 'trigger reset',
+  'tools enable', 'tools disable', 'tools reset',
+]);
+
+/** Whether an interaction is an admin-only command (see ADMIN_COMMANDS). */
+export function isAdminCommand(interaction) {
+  const name = interaction.commandName;
+  const sub  = interaction.options.getSubcommand(false);
+  const group = interaction.options.getSubcommandGroup(false);
+  if (ADMIN_COMMANDS.has(name) || ADMIN_COMMANDS.has(`${name} ${group ?? sub}`)) return true;
+  if (name === 'model' && sub !== 'show') return (interaction.options.getString('scope') ?? 'user') !== 'user';
+  return false;
+}
+
+/**
+ * Who may talk to the bot and who may configure it, per guild.
+ *
+ * Chatting: denied users and roles are always refused; when an allowlist
+ * (users or roles) exists only members on it are answered; otherwise
+ * everyone is. Admins are members with Manage Server, or with a role from
+ * ADMIN_ROLE_IDS or `/access admin`.
+ *
+ * Rules live in the store under `access` as `guild:<id>` →
+ * `{ allowUsers, allowRoles, denyUsers, denyRoles, adminRoles }`.
+ */
+export class AccessControl {
+  constructor(store, { adminRoles = [] } = {}) {
+    this.store = store;
+    this.adminRoles = adminRoles;
+  }
+
+  rules(guildId) {
+    return { ...EMPTY_RULES, ...this.store.get('access', `guild:${guildId}`) };
+  }
+
+  /** Adds `id` to one list (e.g. 'allowRoles'), removing it from the opposite one. */
+  add(guildId, list, id) {
+    const rules    = this.rules(guildId);
+    const opposite = { allowUsers: 'denyUsers', denyUsers: 'allowUsers', allowRoles: 'denyRoles', denyRoles: 'allowRoles' }[list];
+    if (opposite) rules[opposite] = rules[opposite].filter(x => x !== id);
+    if (!rules[list].includes(id)) rules[list] = [...rules[list], id];
+    this.store.set('access', `guild:${guildId}`, rules);
+  }
+
+  /** Removes `id` from the given lists (default: every list); returns whether it was on any. */
+  remove(guildId, id, lists = Object.keys(EMPTY_RULES)) {
+    const rules = this.rules(guildId);
+    let found = false;
+    for (const list of lists) {
+      if (rules[list].includes(id)) {
+        rules[list] = rules[list].filter(x => x !== id);
+        found = true;
+      }
+    }
+    if (found) this.store.set('access', `guild:${guildId}`, rules);
+    return found;
+  }
+
+  reset(guildId) {
+    return this.store.delete('access', `guild:${guildId}`);
+  }
+
+  /**
+   * Whether a member may chat with the bot, as `{ allowed, reason }`.
+   *
+   * @param {{ guildId: string, userId: string, roleIds?: string[] }} who
+   */
+  canChat({ guildId, userId, roleIds = [] }) {
+    const rules = this.rules(guildId);
+    if (rules.denyUsers.includes(userId))                 return { allowed: false, reason: 'user denied' };
+    if (roleIds.some(id => rules.denyRoles.includes(id))) return { allowed: false, reason: 'role denied' };
+    if (rules.allowUsers.includes(userId))                return { allowed: true, reason: 'user allowed' };
+    if (roleIds.some(id => rules.allowRoles.includes(id))) return { allowed: true, reason: 'role allowed' };
+
+    const restricted = rules.allowUsers.length > 0 || rules.allowRoles.length > 0;
+    return restricted ? { allowed: false, reason: 'not on allowlist' } : { allowed: true, reason: 'open' };
+  }
+
+  /**
+   * Whether a member may use admin commands.
+   *
+   * @param {{ guildId: string, roleIds?: string[], permissions?: import('discord.js').PermissionsBitField | null }} who
+   */
+  isAdmin({ guildId, roleIds = [], permissions = null }) {
+    if (permissions?.has(PermissionFlagsBits.ManageGuild)) return true;
+    const adminRoles = [...this.adminRoles, ...this.rules(guildId).adminRoles];
+    return roleIds.some(id => adminRoles.includes(id));
+  }
+}
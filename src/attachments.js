@@ -0,0 +1,263 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import * as log from './logger.js';
+
+// Magic bytes for the image formats Copilot accepts
+const SIGNATURES = [
+  { type: 'image/png',  test: b => b.length >= 8 && b.readUInt32BE(0) === 0x89504e47 && b.readUInt32BE(4) === 0x0d0a1a0a },
+  { type: 'image/jpeg', test: b => b.length >= 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { type: 'image/gif',  test: b => b.length >= 6 && /^GIF8[79]a$/.test(b.toString('latin1', 0, 6)) },
+  { type: 'image/webp', test: b => b.length >= 12 && b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' },
+];
+
+const MIME_ALIASES = { 'image/jpg': 'image/jpeg', 'image/pjpeg': 'image/jpeg', 'image/x-png': 'image/png' };
+
+// File extensions read as text, with the code-fence language used when inlining them
+const TEXT_EXTENSIONS = {
+  txt: '', log: '', md: 'markdown', rst: '', ini: 'ini', cfg: 'ini', conf: '', env: '',
+  json: 'json', yaml: 'yaml', yml: 'yaml', toml: 'toml', xml: 'xml', html: 'html', css: 'css', scss: 'scss',
+  js: 'js', mjs: 'js', cjs: 'js', jsx: 'jsx', ts: 'ts', tsx: 'tsx', py: 'python', rb: 'ruby', go: 'go',
+  rs: 'rust', java: 'java', kt: 'kotlin', swift: 'swift', c: 'c', h: 'c', cpp: 'cpp', hpp: 'cpp', cs: 'csharp',
+  php: 'php', lua: 'lua', sh: 'bash', bash: 'bash', ps1: 'powershell', sql: 'sql', diff: 'diff', patch: 'diff',
+};
+
+const TEXT_MIME = /^(text\/|application\/(json|xml|javascript|x-sh|sql|toml|(x-)?yaml)\b)/;
+
+/** The image MIME type a buffer's magic bytes identify, or null. */
+export function detectImageType(buffer) {
+  return SIGNATURES.find(s => s.test(buffer))?.type ?? null;
+}
+
+export function normalizeMime(contentType) {
+  const mime = (contentType || '').split(';')[0].trim().toLowerCase();
+  return MIME_ALIASES[mime] ?? mime;
+}
+
+/**
+ * Downloads a URL into memory, aborting when it takes longer than `timeoutMs`
+ * or grows past `maxBytes` (checked against Content-Length and while reading).
+ */
+export async function fetchLimited(url, { maxBytes, timeoutMs }) {
+  const res = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+  const declared = parseInt(res.headers.get('content-length') || '', 10);
+  if (declared > maxBytes) {
+    await res.body?.cancel().catch(() => {});
+    throw new Error(`too large (${declared} bytes, max ${maxBytes})`);
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of res.body) {
+    size += chunk.length;
+    if (size > maxBytes) throw new Error(`too large (over ${maxBytes} bytes)`);
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks.map(c => Buffer.from(c)), size);
+}
+
+/**
+ * Shrinks an image so neither side exceeds `maxDimension` pixels.
+ * Animated GIFs are flattened to their first frame as PNG.
+ * Returns the input unchanged when it is already small enough.
+ */
+export async function downscaleImage(data, contentType, maxDimension) {
+  const { default: sharp } = await import('sharp');
+  const image = sharp(data);
+  const { width = 0, height = 0 } = await image.metadata();
+  if (Math.max(width, height) <= maxDimension) return { data, contentType };
+
+  const format = contentType === 'image/gif' ? 'png' : contentType.split('/')[1];
+  const resized = await image
+    .resize({ width: maxDimension, height: maxDimension, fit: 'inside' })
+    .toFormat(format)
+    .toBuffer();
+
+  log.debug('Attachments', `Downscaled ${width}x${height} image (${data.length} → ${resized.length} bytes)`);
+  return { data: resized, contentType: `image/${format}` };
+}
+
+/**
+ * Full pipeline for one Discord image attachment: download with limits,
+ * verify the bytes match the claimed type, downscale if needed.
+ * Resolves with `{ name, contentType, data }`; everything stays in memory.
+ */
+export async function loadImage(attachment, { maxBytes, timeoutMs, maxDimension }) {
+  const claimed  = normalizeMime(attachment.contentType);
+  const raw      = await fetchLimited(attachment.url, { maxBytes, timeoutMs });
+  const detected = detectImageType(raw);
+
+  if (!detected) throw new Error('not a supported image format');
+  if (detected !== claimed) throw new Error(`content is ${detected} but was sent as ${claimed}`);
+
+  const { data, contentType } = await downscaleImage(raw, detected, maxDimension);
+  return { name: attachment.name, contentType, data };
+}
+
+// ─── Documents ────────────────────────────────────────────────────────────────
+
+function extensionOf(name) {
+  const dot = (name || '').lastIndexOf('.');
+  return dot === -1 ? '' : name.slice(dot + 1).toLowerCase();
+}
+
+/** How a non-image attachment can be read: 'csv', 'pdf', 'text', or null if unsupported. */
+export function documentKind(attachment) {
+  const mime = normalizeMime(attachment.contentType);
+  const ext  = extensionOf(attachment.name);
+  if (ext === 'csv' || mime === 'text/csv') return 'csv';
+  if (ext === 'pdf' || mime === 'application/pdf') return 'pdf';
+  if (ext in TEXT_EXTENSIONS || TEXT_MIME.test(mime)) return 'text';
+  return null;
+}
+
+/**
+ * Downloads a text, CSV or PDF attachment and extracts its text.
+ * Resolves with `{ id, name, kind, text, truncated, ... }`, where `text` is
+ * cut to `maxChars` (CSV: to `csvRows` rows).
+ */
+export async function loadDocument(attachment, { maxBytes, timeoutMs, maxChars, csvRows }) {
+  const kind = documentKind(attachment);
+  if (!kind) throw new Error('unsupported file type');
+
+  const raw  = await fetchLimited(attachment.url, { maxBytes, timeoutMs });
+  const base = { id: attachment.id, name: attachment.name, kind };
+
+  if (kind === 'pdf') {
+    const { default: pdf } = await import('pdf-parse/lib/pdf-parse.js');
+    // pdf.js reads the underlying ArrayBuffer directly, so hand it an unpooled copy
+    const { text, numpages } = await pdf(new Uint8Array(raw));
+    return { ...base, pages: numpages, ...truncate(text.trim(), maxChars) };
+  }
+
+  const text = raw.toString('utf8').replace(/^\uFEFF/, '');
+  if (text.includes('\u0000')) throw new Error('looks like a binary file');
+
+  if (kind === 'csv') {
+    const rows = parseCsv(text);
+    return {
+      ...base,
+      rows: Math.max(rows.length - 1, 0),
+      text: csvToTable(rows.slice(0, csvRows + 1)),
+      truncated: rows.length - 1 > csvRows,
+    };
+  }
+
+  return { ...base, language: TEXT_EXTENSIONS[extensionOf(attachment.name)] ?? '', ...truncate(text, maxChars) };
+}
+
+function truncate(text, maxChars) {
+  return text.length > maxChars
+    ? { text: text.slice(0, maxChars), truncated: true }
+    : { text, truncated: false };
+}
+
+/** Parses CSV text into rows of fields (RFC 4180 quoting). */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(f => f !== ''));
+}
+
+/** Renders CSV rows (first row = header) as a Markdown table. */
+export function csvToTable(rows) {
+  if (rows.length === 0) return '(empty)';
+  const width = Math.max(...rows.map(r => r.length));
+  const cell  = v => (v ?? '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+  const line  = r => `| ${Array.from({ length: width }, (_, i) => cell(r[i])).join(' | ')} |`;
+  return [line(rows[0]), `|${' --- |'.repeat(width)}`, ...rows.slice(1).map(line)].join('\n');
+}
+
+/** Formats a loaded document for inclusion in the prompt. */
+export function renderDocument(doc) {
+  if (doc.kind === 'csv') {
+    const shown = doc.truncated ? `, first ${doc.text.split('\n').length - 2} shown` : '';
+    return `[Attachment: ${doc.name} – CSV, ${doc.rows} rows${shown}]\n${doc.text}`;
+  }
+
+  const header = doc.kind === 'pdf'
+    ? `[Attachment: ${doc.name} – PDF, ${doc.pages} page${doc.pages === 1 ? '' : 's'}]`
+    : `[Attachment: ${doc.name}]`;
+  // Use a fence longer than any backtick run inside the file
+  const longest = Math.max(0, ...(doc.text.match(/`+/g) ?? []).map(r => r.length));
+  const fence   = '`'.repeat(Math.max(3, longest + 1));
+  const note    = doc.truncated ? `\n(truncated to the first ${doc.text.length} characters)` : '';
+  return `${header}\n${fence}${doc.language ?? ''}\n${doc.text}\n${fence}${note}`;
+}
+
+// ─── Cache & Cleanup ──────────────────────────────────────────────────────────
+
+/**
+ * Small in-memory cache of processed attachments (images and documents) keyed
+ * by attachment ID, so files in channel history aren't downloaded again for
+ * every reply.
+ */
+export class AttachmentCache {
+  constructor(maxEntries = 50) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(id) {
+    const hit = this.entries.get(id);
+    if (hit) {
+      // Refresh recency
+      this.entries.delete(id);
+      this.entries.set(id, hit);
+    }
+    return hit;
+  }
+
+  set(id, value) {
+    this.entries.set(id, value);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+/** Removes image files older versions of the bot left in the OS temp dir. */
+export function cleanupTempFiles() {
+  let removed = 0;
+  try {
+    for (const name of fs.readdirSync(os.tmpdir())) {
+      if (!/^cobot_\d+_/.test(name)) continue;
+      try {
+        fs.rmSync(path.join(os.tmpdir(), name), { force: true });
+        removed++;
+      } catch {}
+    }
+  } catch {}
+  if (removed) log.info('Attachments', `Removed ${removed} stale temp file(s)`);
+}
@@ -2,6 +2,7 @@ import fs from 'fs';
 import path from 'path';
 import { execSync } from 'child_process';
 import { fileURLToPath } from 'url';
+import * as log from './logger.js';
 
 // GitHub OAuth App used by opencode — accepted by api.githubcopilot.com
 const CLIENT_ID = 'Ov23li8tweQw6odWQebz';
@@ -144,3 +145,96 @@ export async function ensureAuthenticated() {
   // 4. Interactive device flow
   return deviceLogin();
 }
+
+// ─── Copilot session tokens ───────────────────────────────────────────────────
+
+const COPILOT_TOKEN_URL = 'https://api.github.com/copilot_internal/v2/token';
+
+// Refresh this long before the session token expires
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Supplies the bearer token for api.githubcopilot.com.
+ *
+ * The GitHub token from ensureAuthenticated() is exchanged for a short-lived
+ * Copilot session token, which is refreshed shortly before it expires. Tokens
+ * that can't be exchanged (the endpoint answers 403/404) are used directly, as
+ * the API accepts them too. When GitHub rejects the token itself, the stored
+ * token is dropped and the ensureAuthenticated() chain runs again.
+ */
+export class CopilotAuth {
+  constructor({ getGithubToken = ensureAuthenticated, tokenUrl = COPILOT_TOKEN_URL } = {}) {
+    this.getGithubToken = getGithubToken;
+    this.tokenUrl = tokenUrl;
+    this.githubToken = null;
+    this.session = null;   // { token, expiresAt }
+    this.direct = false;   // true when the GitHub token is used as-is
+    this.pending = null;
+  }
+
+  /** A token that is valid for at least a few more minutes. */
+  async getToken() {
+    if (!this.githubToken) this.githubToken = await this.getGithubToken();
+    if (this.direct) return this.githubToken;
+    if (this.session && Date.now() < this.session.expiresAt - REFRESH_MARGIN_MS) return this.session.token;
+
+    // Concurrent callers share one exchange
+    this.pending ??= this.exchange().finally(() => { this.pending = null; });
+    return this.pending;
+  }
+
+  /** Called after the API answered 401: forget the session (and, if needed, the GitHub token). */
+  async invalidate() {
+    this.session = null;
+    if (this.direct) await this.replaceGithubToken();
+  }
+
+  async exchange({ retried = false } = {}) {
+    const res = await fetch(this.tokenUrl, {
+      headers: {
+        Authorization: `token ${this.githubToken}`,
+        Accept:        'application/json',
+        'User-Agent':  'co-bot/1.0',
+      },
+    });
+
+    if (res.status === 401 && !retried) {
+      await this.replaceGithubToken();
+      return this.exchange({ retried: true });
+    }
+
+    if (res.status === 403 || res.status === 404) {
+      log.info('Auth', `Copilot token exchange unavailable (${res.status}); using the GitHub token directly`);
+      this.direct = true;
+      return this.githubToken;
+    }
+
+    if (!res.ok) throw new Error(`Copilot token exchange failed ${res.status}: ${await res.text()}`);
+
+    const { token, expires_at, refresh_in } = await res.json();
+    if (!token) throw new Error('Copilot token exchange returned no token');
+
+    // Prefer refresh_in (seconds from now) when given; it is shorter than expires_at
+    const expiresAt = refresh_in
+      ? Date.now() + refresh_in * 1000 + REFRESH_MARGIN_MS
+      : (expires_at ?? 0) * 1000;
+    this.session = { token, expiresAt };
+    log.debug('Auth', `Copilot session token valid until ${new Date(expiresAt).toISOString()}`);
+    return token;
+  }
+
+  /** Drops a GitHub token that was rejected and runs the ensureAuthenticated() chain again. */
+  async replaceGithubToken() {
+    const rejected = this.githubToken;
+    log.warn('Auth', 'GitHub token was rejected – re-authenticating');
+    if (loadStoredToken() === rejected) clearToken();
+
+    this.githubToken = null;
+    this.session = null;
+    this.direct = false;
+
+    const next = await this.getGithubToken();
+    if (next === rejected) throw new Error('GitHub token was rejected and no other token is available');
+    this.githubToken = next;
+  }
+}
@@ -1,55 +1,116 @@
 import {
+  AttachmentBuilder,
+  ChannelType,
   Client,
   GatewayIntentBits,
   Events,
+  MessageFlags,
+  Partials,
   REST,
   Routes,
-  SlashCommandBuilder,
 } from 'discord.js';
-import fs from 'fs';
-import path from 'path';
-import os from 'os';
-import https from 'https';
 import * as log from './logger.js';
-import { MODELS } from './copilot.js';
-
-const DISCORD_MSG_LIMIT = 2000;
-
-function buildModelCommand() {
-  const cmd = new SlashCommandBuilder()
-    .setName('model')
-    .setDescription('View or change the AI model Co-Bot uses');
-
-  cmd.addStringOption(opt =>
-    opt
-      .setName('model')
-      .setDescription('Model to switch to')
-      .setRequired(true)
-      .addChoices(...MODELS.map(m => ({ name: `${m.label} (${m.id})`, value: m.id })))
-  );
-
-  return cmd.toJSON();
-}
+import { toChatMessages } from './conversation.js';
+import { ContextManager, contextBudget } from './context.js';
+import { PersonaStore, renderPersona } from './persona.js';
+import { buildCommands, EXPLAIN_COMMAND, TRANSLATE_COMMAND, SUMMARIZE_MAX_MESSAGES } from './commands.js';
+import { TriggerStore, isTriggered, validateKeyword } from './triggers.js';
+import { ModelPreferences } from './preferences.js';
+import { ModelCatalog } from './catalog.js';
+import { AttachmentCache, loadImage, loadDocument, documentKind, cleanupTempFiles } from './attachments.js';
+import { StreamingReply } from './streaming.js';
+import { ToolSettings, createToolRegistry } from './tools.js';
+import { runJavaScript, extractCode, formatRunResult } from './sandbox.js';
+import { RateLimiter } from './ratelimit.js';
+import { ConversationLog, exportUserData, purgeUserData } from './history.js';
+import { AccessControl, isAdminCommand } from './access.js';
+import { GuildSettings, forgetGuild } from './guilds.js';
+import { DirectMessageAccess } from './dms.js';
+import { parseDuration, languageName, summarizeRequest, explainRequest, translateRequest } from './prompts.js';
+import { DISCORD_MSG_LIMIT, splitMarkdown, packLongReply } from './markdown.js';
+import { EMBED_DESCRIPTION_LIMIT, Renderer, answerFooter, placeRendered } from './render.js';
+import { ImageClient, ImageQuota, imageTool } from './images.js';
+import { FeedbackLog, RecentReplies, parseReplyControlId, replyControls, stopControls } from './replies.js';
+import { RequestQueue } from './queue.js';
 
 export class DiscordBot {
-  constructor(config, copilot) {
+  constructor(config, copilot, store) {
     this.config = config;
     this.copilot = copilot;
+    this.store = store;
+    this.catalog = new ModelCatalog(copilot, { configured: copilot.modelEntries?.() ?? [] });
+    this.context = new ContextManager(copilot, this.catalog, {
+      maxDocumentChars: config.FILE_SUPPORT ? config.MAX_FILE_TEXT_KB * 1024 : 0,
+    });
+    this.personas = new PersonaStore(store, config.SYSTEM_PROMPT);
+    this.models = new ModelPreferences(store);
+    this.triggers = new TriggerStore(store, {
+      mode:    config.TRIGGER_MODE,
+      prefix:  config.TRIGGER_PREFIX,
+      keyword: config.TRIGGER_KEYWORD,
+    });
+    this.images = config.IMAGE_API_URL
+      ? new ImageClient({ baseUrl: config.IMAGE_API_URL, apiKey: config.IMAGE_API_KEY, model: config.IMAGE_MODEL, size: config.IMAGE_SIZE })
+      : null;
+    this.imageQuota = new ImageQuota(store, { daily: config.IMAGE_DAILY_QUOTA });
+    this.tools = createToolRegistry(this.images
+      ? [imageTool({ client: this.images, quota: this.imageQuota, limits: this.imageLimits() })]
+      : []);
+    this.toolSettings = new ToolSettings(store);
+    this.sandboxLimits = {
+      timeoutMs:      config.SANDBOX_TIMEOUT_MS,
+      memoryMb:       config.SANDBOX_MEMORY_MB,
+      maxOutputChars: config.SANDBOX_MAX_OUTPUT_CHARS,
+    };
+    this.rateLimiter = new RateLimiter(store, {
+      user:       config.RATE_LIMIT_USER,
+      channel:    config.RATE_LIMIT_CHANNEL,
+      guild:      config.RATE_LIMIT_GUILD,
+      dailyQuota: config.DAILY_QUOTA,
+      roleQuotas: config.ROLE_QUOTAS,
+    });
+    this.limitNotices = new Map(); // userId → time until which we stay quiet
+    this.access = new AccessControl(store, { adminRoles: config.ADMIN_ROLE_IDS });
+    this.dmAccess = new DirectMessageAccess(this.access, {
+      mode:         config.DM_ACCESS,
+      allowedUsers: config.DM_ALLOWED_USER_IDS,
+    });
+    this.guildSettings = new GuildSettings(store, { contextMessages: config.CONTEXT_MESSAGE_COUNT });
+    this.renderer = new Renderer({
+      tables:         config.RENDER_TABLES,
+      math:           config.RENDER_MATH,
+      mermaidCommand: config.MERMAID_CLI,
+    });
+    this.replies = new RecentReplies();
+    this.feedback = new FeedbackLog(config.FEEDBACK_LOG);
+    this.generating = new Map(); // message ID → AbortController of the reply being generated
+    this.conversationLog = new ConversationLog(store, { retentionDays: config.LOG_RETENTION_DAYS });
+    this.attachmentCache = new AttachmentCache();
     this.client = null;
-    this.channelQueues = new Map();
-    this.processingChannels = new Set();
+    this.queue = new RequestQueue({
+      run:         entry => this.runQueued(entry),
+      concurrency: config.QUEUE_CONCURRENCY,
+      maxDepth:    config.QUEUE_MAX_DEPTH,
+      coalesceMs:  config.QUEUE_COALESCE_MS,
+    });
     this.shuttingDown = false;
   }
 
   // ─── Startup ────────────────────────────────────────────────────────────────
 
   async start() {
+    cleanupTempFiles();
+    await this.catalog.refresh();
+
     this.client = new Client({
       intents: [
         GatewayIntentBits.Guilds,
         GatewayIntentBits.GuildMessages,
         GatewayIntentBits.MessageContent,
+        GatewayIntentBits.DirectMessages,
       ],
+      // DM channels aren't cached until used, so their first message arrives with a partial channel
+      partials: [Partials.Channel],
     });
 
     this.client.on('shardError', err => {
@@ -67,7 +128,10 @@ export class DiscordBot {
     });
 
     this.client.on(Events.MessageCreate,     msg         => this.onMessage(msg));
+    this.client.on(Events.MessageDelete,     msg         => this.onMessageDelete(msg));
     this.client.on(Events.InteractionCreate, interaction => this.onInteraction(interaction));
+    this.client.on(Events.GuildCreate,       guild       => this.onGuildCreate(guild));
+    this.client.on(Events.GuildDelete,       guild       => this.onGuildDelete(guild));
 
     await this.client.login(this.config.DISCORD_TOKEN);
   }
@@ -75,219 +139,1582 @@ export class DiscordBot {
   async stop() {
     if (this.shuttingDown) return;
     this.shuttingDown = true;
+    this.queue.stop();
     if (this.client) { try { await this.client.destroy(); } catch {} }
     log.info('Discord', 'Client destroyed');
   }
 
   // ─── Slash Commands ──────────────────────────────────────────────────────────
 
+  /**
+   * Registers slash commands globally (every server, may take up to an hour
+   * to appear) or per guild (instant) – see COMMAND_REGISTRATION.
+   */
   async registerCommands() {
-    const rest = new REST({ version: '10' }).setToken(this.config.DISCORD_TOKEN);
+    if (this.config.COMMAND_REGISTRATION === 'global') {
+      try {
+        await this.rest().put(Routes.applicationCommands(this.client.user.id), { body: this.commands() });
+        log.info('Discord', 'Slash commands registered globally');
+      } catch (err) {
+        log.warn('Discord', `Could not register slash commands: ${err.message}`);
+      }
+      return;
+    }
+
+    const guildIds = this.config.DISCORD_GUILD_ID
+      ? [this.config.DISCORD_GUILD_ID]
+      : [...this.client.guilds.cache.keys()];
+    for (const guildId of guildIds) await this.registerGuildCommands(guildId);
+  }
+
+  async registerGuildCommands(guildId) {
     try {
-      await rest.put(
-        Routes.applicationGuildCommands(this.client.user.id, this.config.DISCORD_GUILD_ID),
-        { body: [buildModelCommand()] }
-      );
-      log.info('Discord', 'Slash commands registered');
+      await this.rest().put(Routes.applicationGuildCommands(this.client.user.id, guildId), { body: this.commands() });
+      log.info('Discord', `Slash commands registered in guild ${guildId}`);
     } catch (err) {
-      log.warn('Discord', `Could not register slash commands: ${err.message}`);
+      log.warn('Discord', `Could not register slash commands in guild ${guildId}: ${err.message}`);
+    }
+  }
+
+  rest() {
+    return new REST({ version: '10' }).setToken(this.config.DISCORD_TOKEN);
+  }
+
+  // ─── Guilds ─────────────────────────────────────────────────────────────────
+
+  /** Whether the bot serves this guild (all of them unless DISCORD_GUILD_ID is set). */
+  servesGuild(guildId) {
+    return !this.config.DISCORD_GUILD_ID || guildId === this.config.DISCORD_GUILD_ID;
+  }
+
+  servedGuilds() {
+    return [...this.client.guilds.cache.values()].filter(guild => this.servesGuild(guild.id));
+  }
+
+  async onGuildCreate(guild) {
+    log.info('Discord', `Joined guild ${guild.name} (${guild.id})`);
+    if (this.config.COMMAND_REGISTRATION === 'guild' && this.servesGuild(guild.id)) {
+      await this.registerGuildCommands(guild.id);
+    }
+  }
+
+  onGuildDelete(guild) {
+    // Discord also reports outages this way; only forget guilds the bot really left
+    if (guild.available === false) {
+      log.warn('Discord', `Guild ${guild.id} is unavailable`);
+      return;
     }
+    const removed = forgetGuild(this.store, guild.id, [...guild.channels.cache.keys()]);
+    log.info('Discord', `Left guild ${guild.name ?? guild.id} – removed ${removed} settings`);
   }
 
+  /**
+   * Handles an interaction. Failures are logged and reported to the user
+   * where Discord still allows it, so a single rejected reply (an expired
+   * interaction, say) can't take the bot down.
+   */
   async onInteraction(interaction) {
+    try {
+      await this.dispatchInteraction(interaction);
+    } catch (err) {
+      const name = interaction.commandName ?? interaction.customId;
+      log.error('Discord', `Interaction ${name} failed: ${err.message}`, { stack: err.stack });
+      if (interaction.isAutocomplete()) return;
+
+      const content = `Something went wrong: ${err.message}`;
+      const pending = interaction.replied
+        ? interaction.followUp({ content, flags: MessageFlags.Ephemeral })
+        : interaction.deferred
+          ? interaction.editReply({ content })
+          : interaction.reply({ content, flags: MessageFlags.Ephemeral });
+      await pending.catch(() => {});
+    }
+  }
+
+  async dispatchInteraction(interaction) {
+    if (interaction.isAutocomplete()) {
+      await this.onAutocomplete(interaction);
+      return;
+    }
+    if (interaction.isButton() || interaction.isStringSelectMenu()) {
+      const control = parseReplyControlId(interaction.customId);
+      if (control) await this.onReplyControl(interaction, control);
+      return;
+    }
+    if (interaction.isMessageContextMenuCommand()) {
+      await this.onMessageCommand(interaction);
+      return;
+    }
     if (!interaction.isChatInputCommand()) return;
 
+    // In DMs the "channel" is the user's own conversation, so there's nothing to guard
+    if (!interaction.guildId && interaction.options.getString('scope') === 'guild') {
+      await interaction.reply({ content: 'Server-wide settings can only be changed in a server.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    if (interaction.guildId && isAdminCommand(interaction) && !this.isAdmin(interaction)) {
+      await interaction.reply({ content: 'Only Co-Bot admins (Manage Server, or an admin role) can change this.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    if (interaction.commandName === 'ask') {
+      await this.onAskCommand(interaction);
+    }
+
+    if (interaction.commandName === 'imagine') {
+      await this.onImagineCommand(interaction);
+    }
+
+    if (interaction.commandName === 'summarize') {
+      await this.onSummarizeCommand(interaction);
+    }
+
     if (interaction.commandName === 'model') {
+      await this.onModelCommand(interaction);
+    }
+
+    if (interaction.commandName === 'persona') {
+      await this.onPersonaCommand(interaction);
+    }
+
+    if (interaction.commandName === 'trigger') {
+      await this.onTriggerCommand(interaction);
+    }
+
+    if (interaction.commandName === 'thread') {
+      await this.onThreadCommand(interaction);
+    }
+
+    if (interaction.commandName === 'tools') {
+      await this.onToolsCommand(interaction);
+    }
+
+    if (interaction.commandName === 'run') {
+      await this.onRunCommand(interaction);
+    }
+
+    if (interaction.commandName === 'usage') {
+      await this.onUsageCommand(interaction);
+    }
+
+    if (interaction.commandName === 'data') {
+      await this.onDataCommand(interaction);
+    }
+
+    if (interaction.commandName === 'access') {
+      await this.onAccessCommand(interaction);
+    }
+
+    if (interaction.commandName === 'config') {
+      await this.onConfigCommand(interaction);
+    }
+
+    if (interaction.commandName === 'queue') {
+      await this.onQueueCommand(interaction);
+    }
+  }
+
+  commands() {
+    return buildCommands({ tools: this.tools.names(), images: Boolean(this.images) });
+  }
+
+  isAdmin(interaction) {
+    return this.access.isAdmin({
+      guildId:     interaction.guildId,
+      roleIds:     roleIdsOf(interaction.member),
+      permissions: interaction.memberPermissions,
+    });
+  }
+
+  async onAutocomplete(interaction) {
+    const focused = interaction.options.getFocused(true);
+    if (focused.name !== 'model') return;
+    const choices = await this.catalog.search(focused.value).catch(() => []);
+    await interaction.respond(choices).catch(err =>
+      log.debug('Discord', `Autocomplete response failed: ${err.message}`)
+    );
+  }
+
+  async onModelCommand(interaction) {
+    const sub   = interaction.options.getSubcommand();
+    const scope = interaction.options.getString('scope') ?? 'user';
+    const ids   = { userId: interaction.user.id, ...locationOf(interaction.channel, interaction.guildId) };
+
+    if (sub === 'show') {
+      const { model, scope: source } = this.models.resolve(ids);
+      const info = this.catalog.get(model);
+      await interaction.reply({
+        content: `Your messages here use **${info.label}** (\`${info.id}\`, from **${source}**)\n> ${info.description}`,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    const id = ids[`${scope}Id`];
+    if (!id) {
+      await interaction.reply({ content: `There is no ${scope} here to configure.`, flags: MessageFlags.Ephemeral });
+      return;
+    }
+    const where = scope === 'user' ? 'you' : `this ${scope}`;
+
+    if (sub === 'set') {
       const modelId = interaction.options.getString('model');
-      const model   = MODELS.find(m => m.id === modelId);
+      await this.catalog.list();
+      if (!this.catalog.has(modelId)) {
+        await interaction.reply({ content: `Unknown model "${modelId}". Pick one from the suggestions.`, flags: MessageFlags.Ephemeral });
+        return;
+      }
+      const model = this.catalog.get(modelId);
 
-      await interaction.deferReply();
+      this.models.set(scope, id, modelId);
+      await interaction.reply({
+        content: `Model for ${where} set to **${model.label}** (\`${model.id}\`)\n> ${model.description}`,
+        flags: scope === 'user' ? MessageFlags.Ephemeral : undefined,
+      });
+      log.info('Discord', `Model for ${scope} ${id} set to ${modelId} by ${interaction.user.username}`);
+    } else if (sub === 'reset') {
+      const removed = this.models.reset(scope, id);
+      await interaction.reply({
+        content: removed ? `Model preference for ${where} removed.` : `There is no model preference for ${where}.`,
+        flags: scope === 'user' ? MessageFlags.Ephemeral : undefined,
+      });
+      if (removed) log.info('Discord', `Model for ${scope} ${id} reset by ${interaction.user.username}`);
+    }
+  }
+
+  async onPersonaCommand(interaction) {
+    const sub   = interaction.options.getSubcommand();
+    const scope = interaction.options.getString('scope') ?? 'channel';
+    const ids   = locationOf(interaction.channel, interaction.guildId);
+
+    if (sub === 'show') {
+      const { prompt, scope: source } = this.personas.resolve(ids);
+      const shown = prompt.length > 1800 ? `${prompt.slice(0, 1800)}…` : prompt;
+      await interaction.reply(`Persona in effect here (from **${source}**):\n\`\`\`\n${shown}\n\`\`\``);
+      return;
+    }
+
+    const id = ids[`${scope}Id`];
+    if (!id) {
+      await interaction.reply({ content: `There is no ${scope} here to configure.`, flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    if (sub === 'set') {
+      this.personas.set(scope, id, interaction.options.getString('prompt'));
+      await interaction.reply(`Persona updated for this ${scope}.`);
+      log.info('Discord', `Persona for ${scope} ${id} set by ${interaction.user.username}`);
+    } else if (sub === 'reset') {
+      const removed = this.personas.reset(scope, id);
+      await interaction.reply(removed
+        ? `Persona override for this ${scope} removed.`
+        : `This ${scope} has no persona override.`);
+      if (removed) log.info('Discord', `Persona for ${scope} ${id} reset by ${interaction.user.username}`);
+    }
+  }
+
+  async onTriggerCommand(interaction) {
+    const sub  = interaction.options.getSubcommand();
+    const here = interaction.channel?.isThread?.() ? 'thread' : 'channel';
+
+    if (sub === 'show') {
+      const { mode, value, scope } = this.triggers.resolve(locationOf(interaction.channel, interaction.guildId));
+      const detail = value ? ` \`${value}\`` : '';
+      await interaction.reply(`Trigger mode here: **${mode}**${detail} (from **${scope}**)`);
+      return;
+    }
+
+    if (sub === 'reset') {
+      const removed = this.triggers.reset(interaction.channelId);
+      await interaction.reply(removed
+        ? `Trigger override for this ${here} removed.`
+        : `This ${here} has no trigger override.`);
+      return;
+    }
+
+    const mode  = interaction.options.getString('mode');
+    const value = interaction.options.getString('value') ?? undefined;
+    if (mode === 'keyword' && value) {
       try {
-        await this.copilot.setModel(modelId);
-        await interaction.editReply(
-          `Model switched to **${model.label}** (\`${model.id}\`)\n> ${model.description}`
-        );
-        log.info('Discord', `Model changed to ${modelId} by ${interaction.user.username}`);
+        validateKeyword(value);
       } catch (err) {
-        log.error('Discord', `Model switch failed: ${err.message}`);
-        await interaction.editReply(`Failed to switch model: ${err.message}`);
+        await interaction.reply({ content: `Invalid keyword list: ${err.message}`, flags: MessageFlags.Ephemeral });
+        return;
+      }
+    }
+
+    this.triggers.set(interaction.channelId, mode, value);
+    const { value: effective } = this.triggers.resolve(locationOf(interaction.channel, interaction.guildId));
+    await interaction.reply(`Trigger mode for this ${here} set to **${mode}**${effective ? ` \`${effective}\`` : ''}.`);
+    log.info('Discord', `Trigger for ${interaction.channelId} set to ${mode} by ${interaction.user.username}`);
+  }
+
+  async onToolsCommand(interaction) {
+    const sub  = interaction.options.getSubcommand();
+    const here = interaction.channel?.isThread?.() ? 'thread' : 'channel';
+
+    if (sub === 'show') {
+      const enabled = this.toolSettings.enabled(this.tools.names(), locationOf(interaction.channel, interaction.guildId));
+      const lines = this.tools.names().map(name => `${enabled.includes(name) ? '✅' : '❌'} \`${name}\``);
+      const status = this.config.TOOLS_ENABLED ? '' : '\n*Tools are turned off for the whole bot (`TOOLS_ENABLED=false`).*';
+      await interaction.reply(`**Tools in this ${here}:**\n${lines.join('\n')}${status}`);
+      return;
+    }
+
+    if (sub === 'reset') {
+      const removed = this.toolSettings.reset(interaction.channelId);
+      await interaction.reply(removed
+        ? `Tool overrides for this ${here} removed.`
+        : `This ${here} has no tool overrides.`);
+      return;
+    }
+
+    const tool    = interaction.options.getString('tool');
+    const enabled = sub === 'enable';
+    this.toolSettings.set(interaction.channelId, tool, enabled);
+    await interaction.reply(`\`${tool}\` ${enabled ? 'enabled' : 'disabled'} in this ${here}.`);
+    log.info('Discord', `Tool ${tool} ${enabled ? 'enabled' : 'disabled'} in ${interaction.channelId} by ${interaction.user.username}`);
+  }
+
+  async onRunCommand(interaction) {
+    const location = locationOf(interaction.channel, interaction.guildId);
+    if (!this.toolSettings.enabled(['run_javascript'], location).length) {
+      await interaction.reply({ content: '`run_javascript` is disabled here (see `/tools`).', flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    if (!await this.admitInteraction(interaction)) return;
+
+    const code = extractCode(interaction.options.getString('code'));
+    await interaction.deferReply();
+    const result = await runJavaScript(code, this.sandboxLimits);
+    log.info('Discord', `/run by ${interaction.user.username} (${result.durationMs} ms${result.error ? ', error' : ''})`);
+
+    const [first, ...rest] = this.splitMessage(formatRunResult(result));
+    await interaction.editReply(first);
+    for (const chunk of rest) await interaction.followUp(chunk);
+  }
+
+  async onUsageCommand(interaction) {
+    const roleIds = roleIdsOf(interaction.member);
+    const { used, limit, remaining, resetsAt, burst } = this.rateLimiter.usage({ userId: interaction.user.id, roleIds });
+
+    const lines = [limit > 0
+      ? `**${remaining}** of ${limit} requests left today (resets <t:${Math.floor(resetsAt / 1000)}:R>).`
+      : `${used} request${used === 1 ? '' : 's'} today, no daily limit.`];
+    if (burst) {
+      lines.push(`Burst: ${burst.available}/${burst.capacity} available (refills every ${Math.round(burst.intervalMs / 1000)} s).`);
+    }
+    if (this.images && this.config.IMAGE_DAILY_QUOTA > 0) {
+      const left = Math.max(0, this.config.IMAGE_DAILY_QUOTA - this.imageQuota.used(interaction.user.id));
+      lines.push(`Images: **${left}** of ${this.config.IMAGE_DAILY_QUOTA} left today.`);
+    }
+    await interaction.reply({ content: lines.join('\n'), flags: MessageFlags.Ephemeral });
+  }
+
+  async onDataCommand(interaction) {
+    const sub  = interaction.options.getSubcommand();
+    const user = interaction.options.getUser('user') ?? interaction.user;
+
+    const self = user.id === interaction.user.id;
+    if (!self && !(interaction.guildId && this.isAdmin(interaction))) {
+      await interaction.reply({ content: "Only Co-Bot admins can manage other members' data.", flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    // Admins only reach what the member said in their server; the member gets everything,
+    // including settings made in their DMs with the bot (only users who have DMed it have any)
+    let scope;
+    if (self) {
+      const dmChannelId = this.store.get('dms', `user:${user.id}`) ?? user.dmChannel?.id;
+      scope = { channelIds: dmChannelId ? [dmChannelId] : [] };
+    } else {
+      scope = { guildId: interaction.guildId };
+    }
+    const where = self ? '' : ' in this server';
+
+    if (sub === 'export') {
+      const data = exportUserData(this.store, user.id, scope);
+      const file = new AttachmentBuilder(Buffer.from(JSON.stringify(data, null, 2)), { name: `cobot-data-${user.id}.json` });
+      await interaction.reply({
+        content: self
+          ? `Everything Co-Bot stores about **${user.username}**: ${Object.keys(data.settings).length} settings, ${data.conversations.length} logged messages.`
+          : `Co-Bot's log of **${user.username}**${where}: ${data.conversations.length} logged messages.`,
+        files:   [file],
+        flags:   MessageFlags.Ephemeral,
+      });
+      log.info('Discord', `Data for ${user.id} exported by ${interaction.user.username}`);
+      return;
+    }
+
+    if (!interaction.options.getBoolean('confirm')) {
+      await interaction.reply({ content: 'Nothing deleted — set `confirm` to true to erase the data.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+    const removed = purgeUserData(this.store, user.id, scope);
+    await interaction.reply({
+      content: `Deleted ${removed.settings} settings and ${removed.conversations} logged messages for **${user.username}**${where}.`,
+      flags:   MessageFlags.Ephemeral,
+    });
+    log.info('Discord', `Data for ${user.id} purged by ${interaction.user.username}`);
+  }
+
+  async onAccessCommand(interaction) {
+    const sub     = interaction.options.getSubcommand();
+    const guildId = interaction.guildId;
+
+    if (sub === 'show') {
+      const rules = this.access.rules(guildId);
+      const users = ids => ids.map(id => `<@${id}>`).join(', ') || '—';
+      const roles = ids => ids.map(id => `<@&${id}>`).join(', ') || '—';
+      const envAdmins = this.config.ADMIN_ROLE_IDS.length ? ` (plus ${roles(this.config.ADMIN_ROLE_IDS)} from the environment)` : '';
+      await interaction.reply({
+        content: [
+          `**Allowed:** ${users(rules.allowUsers)} · ${roles(rules.allowRoles)}`,
+          `**Denied:** ${users(rules.denyUsers)} · ${roles(rules.denyRoles)}`,
+          `**Admin roles:** ${roles(rules.adminRoles)}${envAdmins}`,
+          rules.allowUsers.length || rules.allowRoles.length
+            ? '*Only allowed members are answered.*'
+            : '*Everyone who isn\'t denied is answered.*',
+        ].join('\n'),
+        flags: MessageFlags.Ephemeral,
+        allowedMentions: { parse: [] },
+      });
+      return;
+    }
+
+    if (sub === 'reset') {
+      const removed = this.access.reset(guildId);
+      await interaction.reply({ content: removed ? 'Access rules removed.' : 'There are no access rules.', flags: MessageFlags.Ephemeral });
+      if (removed) log.info('Discord', `Access rules reset by ${interaction.user.username}`);
+      return;
+    }
+
+    if (sub === 'admin') {
+      const role  = interaction.options.getRole('role');
+      const grant = (interaction.options.getString('action') ?? 'grant') === 'grant';
+      if (grant) this.access.add(guildId, 'adminRoles', role.id);
+      else this.access.remove(guildId, role.id, ['adminRoles']);
+      await interaction.reply({
+        content: `${role} ${grant ? 'can now' : 'can no longer'} use admin commands.`,
+        flags: MessageFlags.Ephemeral,
+        allowedMentions: { parse: [] },
+      });
+      log.info('Discord', `Admin role ${role.id} ${grant ? 'granted' : 'revoked'} by ${interaction.user.username}`);
+      return;
+    }
+
+    // allow / deny / remove take a user or a role
+    const target  = interaction.options.get('target');
+    const isRole  = Boolean(target.role);
+    const id      = isRole ? target.role.id : target.user.id;
+    const mention = isRole ? `<@&${id}>` : `<@${id}>`;
+
+    if (sub === 'remove') {
+      const removed = this.access.remove(guildId, id, isRole ? ['allowRoles', 'denyRoles'] : ['allowUsers', 'denyUsers']);
+      await interaction.reply({
+        content: removed ? `${mention} removed from the access lists.` : `${mention} isn't on any access list.`,
+        flags: MessageFlags.Ephemeral,
+        allowedMentions: { parse: [] },
+      });
+      return;
+    }
+
+    const list = `${sub}${isRole ? 'Roles' : 'Users'}`; // allowRoles, denyUsers, …
+    this.access.add(guildId, list, id);
+    await interaction.reply({
+      content: sub === 'allow' ? `${mention} added to the allowlist.` : `${mention} will no longer be answered.`,
+      flags: MessageFlags.Ephemeral,
+      allowedMentions: { parse: [] },
+    });
+    log.info('Discord', `Access: ${list} += ${id} by ${interaction.user.username}`);
+  }
+
+  async onConfigCommand(interaction) {
+    const group   = interaction.options.getSubcommandGroup(false);
+    const sub     = interaction.options.getSubcommand();
+    const guildId = interaction.guildId;
+
+    if (group) {
+      const channel = interaction.options.getChannel('channel');
+      const changed = sub === 'add'
+        ? this.guildSettings.addChannel(guildId, group, channel.id)
+        : this.guildSettings.removeChannel(guildId, group, channel.id);
+      const list = group === 'channels' ? 'the channel list' : 'the blacklist';
+      await interaction.reply({
+        content: changed
+          ? `${channel} ${sub === 'add' ? 'added to' : 'removed from'} ${list}.`
+          : `${channel} ${sub === 'add' ? 'is already on' : 'isn\'t on'} ${list}.`,
+        flags: MessageFlags.Ephemeral,
+      });
+      if (changed) log.info('Discord', `Config: ${group} ${sub} ${channel.id} by ${interaction.user.username}`);
+      return;
+    }
+
+    if (sub === 'context') {
+      const count = interaction.options.getInteger('count');
+      this.guildSettings.update(guildId, { contextMessages: count });
+      await interaction.reply({
+        content: count === 0 ? 'Co-Bot will read as much history as it can.' : `Co-Bot will read the last **${count}** messages for context.`,
+        flags: MessageFlags.Ephemeral,
+      });
+      log.info('Discord', `Config: context ${count} by ${interaction.user.username}`);
+      return;
+    }
+
+    if (sub === 'reset') {
+      const removed = this.guildSettings.reset(guildId);
+      await interaction.reply({ content: removed ? 'Server settings removed.' : 'There are no server settings.', flags: MessageFlags.Ephemeral });
+      if (removed) log.info('Discord', `Config reset by ${interaction.user.username}`);
+      return;
+    }
+
+    // show
+    const settings = this.guildSettings.get(guildId);
+    const channels = ids => ids.map(id => `<#${id}>`).join(', ') || '—';
+    const model    = this.models.get('guild', guildId);
+    const persona  = this.personas.get('guild', guildId);
+    await interaction.reply({
+      content: [
+        `**Channels:** ${settings.channels.length ? channels(settings.channels) : 'all'}`,
+        `**Blacklist:** ${channels(settings.blacklist)}`,
+        `**Context:** ${this.guildSettings.contextMessages(guildId)} messages${settings.contextMessages === null ? ' (default)' : ''}`,
+        `**Model:** ${model ? `\`${model}\`` : 'default'} · **Persona:** ${persona ? 'custom' : 'default'}`,
+        '*Use `/model set scope:guild` and `/persona set scope:guild` to change those.*',
+      ].join('\n'),
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  async onQueueCommand(interaction) {
+    const sub = interaction.options.getSubcommand();
+
+    if (sub === 'clear') {
+      const channel = interaction.options.getChannel('channel') ?? interaction.channel;
+      const removed = this.queue.clear(channel.id);
+      for (const entry of removed) entry.notice?.then(notice => notice?.delete().catch(() => {}));
+      await interaction.reply({
+        content: removed.length ? `Dropped ${removed.length} waiting request${removed.length === 1 ? '' : 's'} in ${channel}.` : `Nothing is waiting in ${channel}.`,
+        flags: MessageFlags.Ephemeral,
+      });
+      if (removed.length) log.info('Discord', `Queue cleared in ${channel.id} (${removed.length}) by ${interaction.user.username}`);
+      return;
+    }
+
+    // show – this server's channels; the concurrency limit is shared by all of them
+    const since    = entry => `<t:${Math.floor(entry.queuedAt / 1000)}:R>`;
+    const channels = this.queue.snapshot().filter(c => (c.running ?? c.waiting[0])?.message.guildId === interaction.guildId);
+    const lines = [`**Answering:** ${this.queue.active} of ${this.config.QUEUE_CONCURRENCY} at a time (all servers) · **Max waiting per channel:** ${this.config.QUEUE_MAX_DEPTH || 'no limit'}`];
+    for (const { channelId, running, waiting } of channels) {
+      const parts = [];
+      if (running) parts.push(`answering ${running.message.author.username} (asked ${since(running)})`);
+      if (waiting.length) parts.push(`${waiting.length} waiting: ${waiting.map(e => `${e.message.author.username} ${since(e)}`).join(', ')}`);
+      lines.push(`<#${channelId}> — ${parts.join(' · ')}`);
+    }
+    if (channels.length === 0) lines.push('Nothing is queued in this server.');
+    await interaction.reply({ content: lines.join('\n').slice(0, DISCORD_MSG_LIMIT), flags: MessageFlags.Ephemeral });
+  }
+
+  // ─── One-shot Prompts ────────────────────────────────────────────────────────
+
+  async onAskCommand(interaction) {
+    const prompt    = interaction.options.getString('prompt');
+    const requested = interaction.options.getString('model');
+    const ephemeral = interaction.options.getBoolean('private') ?? false;
+
+    if (requested) {
+      await this.catalog.list();
+      if (!this.catalog.has(requested)) {
+        await interaction.reply({ content: `Unknown model "${requested}". Pick one from the suggestions.`, flags: MessageFlags.Ephemeral });
+        return;
       }
     }
+    if (!await this.admitInteraction(interaction)) return;
+
+    const model = requested ?? this.modelFor(interaction);
+    const content = await this.answerInteraction(interaction, [
+      { role: 'system', content: this.systemPrompt(interaction, model) },
+      { role: 'user',   content: `${interaction.user.username}: ${prompt}` },
+    ], { model, ephemeral });
+    if (content) this.logExchange(interaction, prompt, content, model);
+  }
+
+  async onSummarizeCommand(interaction) {
+    const count     = interaction.options.getInteger('count');
+    const since     = interaction.options.getString('since');
+    const ephemeral = interaction.options.getBoolean('private') ?? false;
+
+    const sinceMs = since ? parseDuration(since) : null;
+    if (since && !sinceMs) {
+      await interaction.reply({ content: `Couldn't read "${since}" as a duration — try something like \`30m\`, \`2h\` or \`1d\`.`, flags: MessageFlags.Ephemeral });
+      return;
+    }
+    if (!interaction.channel?.messages) {
+      await interaction.reply({ content: 'I can\'t read this channel.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+    if (!await this.admitInteraction(interaction)) return;
+
+    await interaction.deferReply({ flags: ephemeral ? MessageFlags.Ephemeral : undefined });
+    const history = await this.fetchRecent(interaction.channel, {
+      limit: count ?? (sinceMs ? SUMMARIZE_MAX_MESSAGES : 50),
+      after: sinceMs ? Date.now() - sinceMs : 0,
+    }).catch(err => {
+      log.warn('Discord', `Could not read messages to summarize: ${err.message}`);
+      return null;
+    });
+    if (!history?.length) {
+      await interaction.editReply(history ? 'There are no messages to summarize.' : 'I couldn\'t read the messages in this channel.');
+      return;
+    }
+
+    const model = this.modelFor(interaction);
+    const { messages, included } = summarizeRequest(history, { maxTokens: contextBudget(this.catalog.get(model)) });
+    const span = `${included} message${included === 1 ? '' : 's'}${included < history.length ? ` (of ${history.length} — the rest didn't fit)` : ''}`;
+    await this.answerInteraction(interaction, messages, { model, ephemeral, heading: `**Summary of the last ${span}**\n` });
+  }
+
+  /** Explain / Translate on a message: answered privately to whoever asked. */
+  async onMessageCommand(interaction) {
+    const message = interaction.targetMessage;
+    if (!message.content && message.embeds.length === 0) {
+      await interaction.reply({ content: 'That message has no text to work with.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+    if (!await this.admitInteraction(interaction)) return;
+
+    const model = this.modelFor(interaction);
+    if (interaction.commandName === EXPLAIN_COMMAND) {
+      await this.answerInteraction(interaction, explainRequest(message), { model, ephemeral: true });
+    } else if (interaction.commandName === TRANSLATE_COMMAND) {
+      await this.answerInteraction(interaction, translateRequest(message, languageName(interaction.locale)), { model, ephemeral: true });
+    }
+  }
+
+  /** /imagine: a new image from the prompt, or an edit of the attached one. */
+  async onImagineCommand(interaction) {
+    const prompt = interaction.options.getString('prompt');
+    const source = interaction.options.getAttachment('image');
+    const size   = interaction.options.getString('size') ?? undefined;
+
+    if (!this.images) {
+      await interaction.reply({ content: 'Image generation isn\'t set up on this bot.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+    if (source && !source.contentType?.startsWith('image/')) {
+      await interaction.reply({ content: 'That attachment isn\'t an image.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+    const quota = this.imageQuota.reserve(interaction.user.id);
+    if (!quota.allowed) {
+      await interaction.reply({
+        content: `You've used all ${this.config.IMAGE_DAILY_QUOTA} of today's images. More <t:${Math.ceil((Date.now() + quota.retryAfterMs) / 1000)}:R>.`,
+        flags:   MessageFlags.Ephemeral,
+      });
+      return;
+    }
+    if (!await this.admitInteraction(interaction)) {
+      this.imageQuota.release(interaction.user.id);
+      return;
+    }
+
+    let result;
+    try {
+      await interaction.deferReply();
+      result = source
+        ? await this.images.edit(prompt, await loadImage(source, this.imageLimits()), { size })
+        : await this.images.generate(prompt, { size });
+    } catch (err) {
+      this.imageQuota.release(interaction.user.id);
+      log.warn('Images', `/imagine failed for ${interaction.user.username}: ${err.message}`);
+      await interaction.editReply(`Couldn't create the image: ${err.message}`.slice(0, DISCORD_MSG_LIMIT)).catch(() => {});
+      return;
+    }
+    log.info('Images', `/imagine ${source ? 'edit' : 'image'} for ${interaction.user.username}`);
+    await interaction.editReply({
+      content:         `🎨 ${prompt}`.slice(0, DISCORD_MSG_LIMIT),
+      files:           [new AttachmentBuilder(result.data, { name: 'image.png' })],
+      allowedMentions: { parse: [] },
+    });
+  }
+
+  modelFor(interaction) {
+    return this.models.resolve({ userId: interaction.user.id, ...locationOf(interaction.channel, interaction.guildId) }).model;
+  }
+
+  /**
+   * Applies the same access checks and rate limits as chat messages to a
+   * command that calls Copilot; replies (privately) and returns false when
+   * the user is turned away.
+   */
+  async admitInteraction(interaction) {
+    const roleIds = roleIdsOf(interaction.member);
+    const access  = interaction.guildId
+      ? this.access.canChat({ guildId: interaction.guildId, userId: interaction.user.id, roleIds })
+      : await this.dmAccess.check(interaction.user.id, this.servedGuilds());
+    if (!access.allowed) {
+      log.debug('Bot', `Refusing ${interaction.commandName} for ${interaction.user.username}: ${access.reason}`);
+      await interaction.reply({ content: 'You don\'t have access to Co-Bot here.', flags: MessageFlags.Ephemeral });
+      return false;
+    }
+
+    const limit = this.rateLimiter.consume({
+      userId: interaction.user.id,
+      roleIds,
+      ...locationOf(interaction.channel, interaction.guildId),
+    });
+    if (!limit.allowed) {
+      log.info('Bot', `Rate limited ${interaction.user.username} (${limit.scope})`);
+      await interaction.reply({ content: limitNotice(limit), flags: MessageFlags.Ephemeral });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Sends a one-shot request to Copilot and posts the answer as the
+   * interaction's reply, split into follow-ups like chat replies.
+   * Returns the answer, or null if there was none.
+   */
+  async answerInteraction(interaction, messages, { model, ephemeral = false, heading = '' }) {
+    const flags = ephemeral ? MessageFlags.Ephemeral : undefined;
+    if (!interaction.deferred && !interaction.replied) await interaction.deferReply({ flags });
+
+    try {
+      log.debug('Bot', `→ Copilot (${model}, /${interaction.commandName}) from ${interaction.user.username}`);
+      const startedAt = Date.now();
+      const response = await this.copilot.send(messages, { model });
+      const content  = response?.data?.content?.trim();
+      if (!content) {
+        await interaction.editReply('Copilot returned an empty response.');
+        return null;
+      }
+
+      const [first, ...rest] = await this.layoutReply(heading + content, { model, latencyMs: Date.now() - startedAt });
+      await interaction.editReply({ ...first, allowedMentions: { parse: [] } });
+      for (const payload of rest) await interaction.followUp({ ...payload, flags, allowedMentions: { parse: [] } });
+      log.info('Bot', `Answered ${interaction.commandName} (${content.length} chars) for ${interaction.user.username}`);
+      return content;
+    } catch (err) {
+      log.error('Bot', `Error answering ${interaction.commandName}: ${err.message}`, { stack: err.stack });
+      await interaction.editReply('Something went wrong communicating with Copilot. Please try again.').catch(() => {});
+      return null;
+    }
+  }
+
+  /**
+   * Up to `limit` recent messages in a channel, oldest first, stopping at
+   * messages older than `after` (a timestamp).
+   */
+  async fetchRecent(channel, { limit, after = 0 }) {
+    const found = [];
+    let before;
+    while (found.length < limit) {
+      const batch = [...(await channel.messages.fetch({ limit: Math.min(100, limit - found.length), before })).values()];
+      const fresh = batch.filter(m => m.createdTimestamp >= after);
+      found.push(...fresh);
+      if (batch.length === 0 || fresh.length < batch.length) break;
+      before = batch[batch.length - 1].id;
+    }
+    return found.reverse();
+  }
+
+  // ─── Reply Controls ──────────────────────────────────────────────────────────
+
+  /** Buttons and the model menu under a reply (see replies.js). */
+  async onReplyControl(interaction, { action, requestId, authorId }) {
+    if (action === 'up' || action === 'down') {
+      // Votes are anonymous (see FeedbackLog); a DM channel would say whose they were
+      const recorded = this.feedback.record({
+        rating:    action,
+        replyId:   interaction.message.id,
+        requestId,
+        model:     this.replies.get(requestId)?.model ?? null,
+        persona:   this.personas.resolve(locationOf(interaction.channel, interaction.guildId)).scope,
+        guildId:   interaction.guildId,
+        channelId: interaction.guildId ? interaction.channelId : null,
+      }, interaction.user.id);
+      await interaction.reply({ content: recorded ? 'Thanks for the feedback!' : 'You already rated this reply.', flags: MessageFlags.Ephemeral });
+      if (recorded) log.info('Feedback', `${action === 'up' ? '👍' : '👎'} on reply to ${requestId}`);
+      return;
+    }
+
+    if (interaction.user.id !== authorId && !(interaction.guildId && this.isAdmin(interaction))) {
+      await interaction.reply({ content: 'Only the person who asked can do that.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    if (action === 'stop') {
+      const controller = this.generating.get(requestId);
+      if (!controller) {
+        await interaction.reply({ content: 'This reply has already finished.', flags: MessageFlags.Ephemeral });
+        return;
+      }
+      controller.abort();
+      await interaction.deferUpdate();
+      return;
+    }
+
+    const previous = this.replies.get(requestId);
+    if (action === 'continue' && !previous) {
+      await interaction.reply({ content: 'I no longer have this reply — use Regenerate or ask again.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+    if (this.generating.has(requestId)) {
+      await interaction.reply({ content: 'I\'m still working on this one.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    // A thread started from the request lives under it, so the request is in the parent channel
+    const channel = interaction.channel;
+    const request = await channel.messages.fetch(requestId)
+      .catch(() => channel.parent?.messages.fetch(requestId))
+      .catch(() => null);
+    if (!request) {
+      await interaction.reply({ content: 'The original message is gone, so I can\'t answer it again.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+    const target = {
+      channel,
+      reply: content => (channel.id === request.channelId ? request.reply(content) : channel.send(content)),
+    };
+    const options = action === 'continue'
+      ? { model: previous.model, target, continueFrom: previous }
+      : { model: action === 'model' ? interaction.values[0] : previous?.model, target };
+
+    if (!this.queue.accepts(request, options)) {
+      await interaction.reply({ content: QUEUE_FULL_NOTICE, flags: MessageFlags.Ephemeral });
+      return;
+    }
+    if (!await this.admitInteraction(interaction)) return;
+
+    if (action === 'continue') {
+      await interaction.update({ components: [] });
+      this.queueReply(request, options);
+      return;
+    }
+
+    // regenerate, or pick a model to regenerate with
+    await interaction.deferUpdate();
+    for (const id of previous?.messageIds ?? [interaction.message.id]) {
+      await channel.messages.delete(id).catch(err => log.debug('Discord', `Could not delete old reply ${id}: ${err.message}`));
+    }
+    log.info('Bot', `Regenerating reply to ${request.author.username}${options.model ? ` with ${options.model}` : ''}`);
+    this.queueReply(request, options);
   }
 
   // ─── Message Handling ────────────────────────────────────────────────────────
 
   onMessage(message) {
-    const { DISCORD_GUILD_ID, DISCORD_CHANNEL_ID, BLACKLISTED_CHANNELS, REPLY_TO_BOT } = this.config;
+    const { DISCORD_CHANNEL_ID, BLACKLISTED_CHANNELS, REPLY_TO_BOT } = this.config;
+
+    if (!message.guildId) {
+      this.onDirectMessage(message);
+      return;
+    }
+    if (!this.servesGuild(message.guildId)) return;
 
-    if (message.guildId !== DISCORD_GUILD_ID) return;
-    if (DISCORD_CHANNEL_ID && message.channelId !== DISCORD_CHANNEL_ID) return;
-    if (BLACKLISTED_CHANNELS.includes(message.channelId)) return;
+    // Threads follow their parent channel
+    const location = locationOf(message.channel, message.guildId);
+    if (DISCORD_CHANNEL_ID && location.channelId !== DISCORD_CHANNEL_ID) return;
+    if (BLACKLISTED_CHANNELS.includes(location.channelId) || BLACKLISTED_CHANNELS.includes(message.channelId)) return;
+    if (!this.guildSettings.allowsChannel(message.guildId, location.channelId)) return;
+    if (message.author.id === this.client.user.id) return;
     if (!REPLY_TO_BOT && message.author.bot) return;
     if (!message.content && message.attachments.size === 0) return;
 
-    if (!this.channelQueues.has(message.channelId)) {
-      this.channelQueues.set(message.channelId, []);
+    // Untriggered messages are still read as history when the bot is addressed later.
+    // In the bot's own threads every message is a follow-up.
+    const trigger = this.triggers.resolve(location);
+    if (!this.isBotThread(message.channel) && !isTriggered(message, trigger, this.client.user.id)) return;
+
+    const roleIds = roleIdsOf(message.member);
+    const access  = this.access.canChat({ guildId: message.guildId, userId: message.author.id, roleIds });
+    if (!access.allowed) {
+      log.debug('Bot', `Ignoring ${message.author.username}: ${access.reason}`);
+      return;
+    }
+
+    this.enqueue(message, roleIds);
+  }
+
+  /**
+   * A direct message: always addressed to the bot, so no trigger is needed,
+   * but only users DM_ACCESS lets in are answered.
+   */
+  async onDirectMessage(message) {
+    if (!this.dmAccess.enabled || message.author.bot) return;
+    if (!message.content && message.attachments.size === 0) return;
+
+    const access = await this.dmAccess.check(message.author.id, this.servedGuilds());
+    if (!access.allowed) {
+      log.debug('Bot', `Ignoring DM from ${message.author.username}: ${access.reason}`);
+      return;
+    }
+    // Remembered so /data can find the conversation's settings without opening a DM
+    if (this.store.get('dms', `user:${message.author.id}`) !== message.channelId) {
+      this.store.set('dms', `user:${message.author.id}`, message.channelId);
+    }
+    this.enqueue(message);
+  }
+
+  /**
+   * Queues a message for its channel once it passes the rate limits and the
+   * queue has room. A message joining a waiting request is part of a request
+   * already counted, so it isn't counted again.
+   */
+  enqueue(message, roleIds = []) {
+    if (!this.queue.accepts(message)) {
+      log.info('Bot', `Queue full in ${message.channelId}, turning away ${message.author.username}`);
+      this.sendNotice(message, QUEUE_FULL_NOTICE);
+      return;
     }
-    this.channelQueues.get(message.channelId).push(message);
-    this.processQueue(message.channelId);
+    // A message joining a waiting request still counts towards the burst limits, not the daily quota
+    const limit = this.rateLimiter.consume({
+      userId:  message.author.id,
+      roleIds,
+      ...locationOf(message.channel, message.guildId),
+    }, { countQuota: !this.queue.coalesces(message) });
+    if (!limit.allowed) {
+      log.info('Bot', `Rate limited ${message.author.username} (${limit.scope})`);
+      this.notifyLimited(message, limit);
+      return;
+    }
+    this.queueReply(message);
+  }
+
+  /**
+   * Adds a message to its channel's queue, to be answered in order (see
+   * processMessage for `options`). When others are ahead of it, the user is
+   * told their place in line until it's their turn.
+   */
+  queueReply(message, options = {}) {
+    const { entry, coalesced, position } = this.queue.add(message, options);
+    if (coalesced) log.debug('Bot', `Coalesced a message from ${message.author.username} (${entry.batch.length + 1} in one request)`);
+    if (coalesced || position === 0) return;
+
+    entry.notice = message.reply({ content: `⏳ You're #${position} in line — I'll answer as soon as I can.`, allowedMentions: { repliedUser: false } })
+      .catch(err => log.debug('Bot', `Could not send queue notice: ${err.message}`));
   }
 
-  async processQueue(channelId) {
-    if (this.processingChannels.has(channelId)) return;
-    this.processingChannels.add(channelId);
+  async runQueued(entry) {
+    entry.notice?.then(notice => notice?.delete().catch(() => {}));
+    await this.processMessage(entry.message, { ...entry.options, batch: entry.batch });
+  }
 
-    const queue = this.channelQueues.get(channelId);
-    while (queue && queue.length > 0) {
-      const message = queue.shift();
-      await this.processMessage(message).catch(err =>
-        log.error('Bot', `Unhandled queue error: ${err.message}`)
-      );
+  /**
+   * A message was deleted: drop it from the queue, or stop answering it
+   * (and remove the partial reply) if that has already begun.
+   */
+  onMessageDelete(message) {
+    const dropped = this.queue.cancel(message.channelId, message.id);
+    if (dropped) {
+      dropped.notice?.then(notice => notice?.delete().catch(() => {}));
+      log.info('Bot', `Dropped a queued request: message ${message.id} was deleted`);
+    }
+    const controller = this.generating.get(message.id);
+    if (controller && !controller.signal.aborted) {
+      controller.abort(SOURCE_DELETED);
+      log.info('Bot', `Cancelled the reply to deleted message ${message.id}`);
     }
+  }
+
+  /**
+   * Tells the user they hit a limit. Bots can't send ephemeral replies to
+   * messages, so the notice deletes itself; repeats are suppressed until the
+   * limit lifts.
+   */
+  async notifyLimited(message, limit) {
+    const now = Date.now();
+    if ((this.limitNotices.get(message.author.id) ?? 0) > now) return;
+    this.limitNotices.set(message.author.id, now + Math.min(limit.retryAfterMs, LIMIT_NOTICE_COOLDOWN_MS));
+
+    await this.sendNotice(message, limitNotice(limit, now));
+  }
 
-    this.processingChannels.delete(channelId);
+  /** Replies with a notice that deletes itself after a few seconds. */
+  async sendNotice(message, content) {
+    try {
+      const notice = await message.reply({ content, allowedMentions: { repliedUser: false } });
+      setTimeout(() => notice.delete().catch(() => {}), LIMIT_NOTICE_TTL_MS);
+    } catch (err) {
+      log.debug('Bot', `Could not send notice: ${err.message}`);
+    }
   }
 
-  async processMessage(message) {
+  /**
+   * Answers a message.
+   *
+   * @param {object} message
+   * @param {{ model?: string, target?: object, continueFrom?: object, batch?: object[] }} [options]
+   *   `model` overrides the resolved model, `target` where the reply goes (see
+   *   replyTarget), `continueFrom` is an earlier, cut-off reply (see
+   *   RecentReplies) to continue instead of answering afresh, and `batch` are
+   *   earlier messages the queue coalesced with this one
+   */
+  async processMessage(message, { model: requestedModel, target: requestedTarget, continueFrom = null, batch = [] } = {}) {
+    const target = requestedTarget ?? await this.replyTarget(message);
+
     // Show typing while we work
     let typingActive = true;
-    message.channel.sendTyping().catch(() => {});
+    target.channel.sendTyping().catch(() => {});
     const typingInterval = setInterval(() => {
-      if (typingActive) message.channel.sendTyping().catch(() => {});
+      if (typingActive) target.channel.sendTyping().catch(() => {});
     }, 7000);
+    const stopTyping = () => {
+      typingActive = false;
+      clearInterval(typingInterval);
+    };
+
+    const controller = new AbortController();
+    this.generating.set(message.id, controller);
 
+    let stream = null;
     try {
-      const [prompt, attachments] = await Promise.all([
-        this.buildPrompt(message),
-        this.downloadAttachments(message),
-      ]);
+      const model    = requestedModel ?? this.models.resolve({ userId: message.author.id, ...locationOf(message.channel, message.guildId) }).model;
+      const messages = await this.buildMessages(message, model, batch);
+      if (continueFrom) messages.push({ role: 'assistant', content: continueFrom.content }, { role: 'user', content: CONTINUE_PROMPT });
 
-      log.debug('Bot', `→ Copilot (${prompt.length} chars, ${attachments.length} attachments) from ${message.author.username}`);
+      log.debug('Bot', `→ Copilot (${model}, ${messages.length} messages) from ${message.author.username}`);
 
-      const response = await this.copilot.send(prompt, attachments);
+      const images    = [];
+      const options   = { model, signal: controller.signal, ...this.toolOptions(message, model, images) };
+      const startedAt = Date.now();
 
-      typingActive = false;
-      clearInterval(typingInterval);
+      let raw, content, finishReason, sent;
+      if (this.config.STREAM_RESPONSES) {
+        stream = new StreamingReply(target, {
+          split:      text => this.splitMessage(text),
+          interval:   this.config.STREAM_EDIT_INTERVAL_MS,
+          components: this.config.REPLY_BUTTONS ? stopControls(message.id, message.author.id) : [],
+        });
+        await stream.start();
+        stopTyping();
+
+        try {
+          const deltas = this.copilot.stream(messages, options);
+          let next;
+          while (!(next = await deltas.next()).done) stream.push(next.value);
+          finishReason = next.value?.finishReason;
+        } catch (err) {
+          if (!controller.signal.aborted) throw err;
+          finishReason = 'stopped';
+          log.info('Bot', `Reply to ${message.author.username} stopped`);
+        }
+        if (controller.signal.reason === SOURCE_DELETED) {
+          await stream.discard();
+          return;
+        }
+        raw     = await stream.finish();
+        content = raw.trim();
+      } else {
+        const response = await this.copilot.send(messages, options);
+        stopTyping();
+        raw          = response?.data?.content ?? '';
+        content      = raw.trim();
+        finishReason = response?.data?.finishReason;
+      }
 
-      const content = response?.data?.content?.trim();
       if (!content) {
-        await message.reply('Copilot returned an empty response.').catch(() => {});
+        await this.replyNotice(target, stream, 'Copilot returned an empty response.');
+        await stream?.setComponents([]);
         return;
       }
 
-      await this.sendReply(message, content);
+      // Cut off by the output limit, or stopped – either can be picked up again with Continue
+      const truncated  = finishReason === 'length' || finishReason === 'stopped';
+      const components = await this.replyComponents(message, { model, truncated });
+      const latencyMs  = Date.now() - startedAt;
+      sent = stream
+        ? await this.finishStream(stream, content, { components, model, latencyMs, images })
+        : await this.sendReply(target, content, { components, model, latencyMs, images });
+
+      // A continuation picks up mid-word or mid-line, so the parts are joined as they are
+      this.replies.remember(message.id, {
+        model,
+        content:    continueFrom ? `${continueFrom.content}${raw.trimEnd()}` : content,
+        messageIds: [...(continueFrom?.messageIds ?? []), ...sent.map(m => m.id)],
+      });
+
       log.info('Bot', `Replied (${content.length} chars) to ${message.author.username}`);
+      const request = continueFrom ? CONTINUE_PROMPT : [...batch, message].map(m => m.cleanContent ?? m.content).join('\n');
+      this.logExchange(message, request, content, model);
     } catch (err) {
-      typingActive = false;
-      clearInterval(typingInterval);
+      stopTyping();
+      if (controller.signal.reason === SOURCE_DELETED) {
+        await stream?.discard();
+        return;
+      }
       log.error('Bot', `Error processing message: ${err.message}`, { stack: err.stack });
-      await message.reply('Something went wrong communicating with Copilot. Please try again.').catch(() => {});
+      await this.replyNotice(target, stream, 'Something went wrong communicating with Copilot. Please try again.');
+      await stream?.setComponents([]);
+    } finally {
+      this.generating.delete(message.id);
     }
   }
 
+  /** Buttons for a finished reply, or none when REPLY_BUTTONS is off. */
+  async replyComponents(message, { model, truncated }) {
+    if (!this.config.REPLY_BUTTONS) return [];
+    const models = await this.catalog.list().catch(() => []);
+    return replyControls({ requestId: message.id, authorId: message.author.id, truncated, models, model });
+  }
+
+  /**
+   * Records a request and its reply in the conversation log, if enabled.
+   * `source` is the Discord message or interaction the request came from.
+   */
+  logExchange(source, request, reply, model) {
+    if (!this.config.CONVERSATION_LOG) return;
+    const user  = source.author ?? source.user;
+    const where = { userId: user.id, channelId: source.channelId, guildId: source.guildId ?? undefined };
+    try {
+      this.conversationLog.record({ ...where, role: 'user', content: request });
+      this.conversationLog.record({ ...where, role: 'assistant', content: reply, model });
+    } catch (err) {
+      log.warn('Bot', `Could not write the conversation log: ${err.message}`);
+    }
+  }
+
+  /**
+   * Tools the model may call for this message: none when disabled or the
+   * model can't call tools. Images the tools make are added to `images`.
+   */
+  toolOptions(message, model, images = []) {
+    if (!this.config.TOOLS_ENABLED || !this.catalog.get(model).tools) return {};
+    const names = this.toolSettings.enabled(this.tools.names(), locationOf(message.channel, message.guildId));
+    if (names.length === 0) return {};
+    return {
+      tools:             this.tools.only(names),
+      context:           { message, sandbox: this.sandboxLimits, images },
+      maxToolIterations: this.config.MAX_TOOL_ITERATIONS,
+    };
+  }
+
+  /** Posts a notice, reusing the streaming placeholder when there is one. */
+  async replyNotice(target, stream, notice) {
+    const pending = stream?.started ? stream.abort(notice) : target.reply(notice);
+    await pending.catch(() => {});
+  }
+
+  // ─── Threads ─────────────────────────────────────────────────────────────────
+
+  /**
+   * Where the answer to `message` goes, as `{ channel, reply(content) }`.
+   * With THREAD_MODE on, a message in a regular text channel gets a new
+   * thread of its own; everything else is answered inline.
+   */
+  async replyTarget(message) {
+    const inline = { channel: message.channel, reply: content => message.reply(content) };
+    if (!this.config.THREAD_MODE || !THREADABLE.includes(message.channel.type) || message.hasThread) {
+      return inline;
+    }
+
+    try {
+      const thread = await message.startThread({
+        name:                threadName(message),
+        autoArchiveDuration: this.config.THREAD_AUTO_ARCHIVE_MINUTES,
+      });
+      log.debug('Bot', `Started thread "${thread.name}" for ${message.author.username}`);
+      return { channel: thread, reply: content => thread.send(content) };
+    } catch (err) {
+      log.warn('Bot', `Could not start a thread, replying inline: ${err.message}`);
+      return inline;
+    }
+  }
+
+  /** Whether a channel is a thread the bot started (where every message is a follow-up). */
+  isBotThread(channel) {
+    return this.config.THREAD_MODE && Boolean(channel?.isThread?.()) && channel.ownerId === this.client.user.id;
+  }
+
+  async onThreadCommand(interaction) {
+    const thread = interaction.channel;
+    if (!thread?.isThread?.()) {
+      await interaction.reply({ content: 'This command only works inside a thread.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    if (!this.isBotThread(thread)) {
+      await interaction.reply({ content: 'This command only works in threads Co-Bot started.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+    // The bot acts with its own permissions, so only the member it's answering (or an admin) may ask
+    const starter = await thread.fetchStarterMessage().catch(() => null);
+    if (starter?.author.id !== interaction.user.id && !this.isAdmin(interaction)) {
+      await interaction.reply({ content: 'Only the member who started this conversation or a Co-Bot admin can do that.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    const sub = interaction.options.getSubcommand();
+    if (sub === 'title' && !interaction.options.getString('title') && !await this.admitInteraction(interaction)) return;
+    try {
+      if (sub === 'close') {
+        await interaction.reply('Closing this thread. Send a message here to reopen it.');
+        await thread.setArchived(true, `Closed by ${interaction.user.username}`);
+        log.info('Discord', `Thread ${thread.id} closed by ${interaction.user.username}`);
+      } else if (sub === 'title') {
+        await interaction.deferReply();
+        const { model } = this.models.resolve({ userId: interaction.user.id, ...locationOf(thread, interaction.guildId) });
+        const title = interaction.options.getString('title') ?? await this.generateThreadTitle(thread, model);
+        await thread.setName(title.slice(0, THREAD_NAME_LIMIT));
+        await interaction.editReply(`Thread renamed to **${title.slice(0, THREAD_NAME_LIMIT)}**`);
+      }
+    } catch (err) {
+      log.error('Discord', `Thread ${sub} failed: ${err.message}`);
+      const reply = `Failed to ${sub === 'close' ? 'close' : 'rename'} the thread: ${err.message}`;
+      await (interaction.deferred || interaction.replied ? interaction.editReply(reply) : interaction.reply(reply)).catch(() => {});
+    }
+  }
+
+  /** Asks the model for a short title summarising the thread's conversation. */
+  async generateThreadTitle(thread, model) {
+    const recent = Array.from((await thread.messages.fetch({ limit: 20 })).values())
+      .sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+    const starter = await thread.fetchStarterMessage().catch(() => null);
+    if (starter) recent.unshift(starter);
+
+    const transcript = recent
+      .filter(m => m.content)
+      .map(m => `${m.author.username}: ${m.content.slice(0, 500)}`)
+      .join('\n');
+
+    const res = await this.copilot.send([
+      { role: 'system', content: 'Write a short, specific title (at most 8 words) for this Discord conversation. Reply with the title only, no quotes.' },
+      { role: 'user', content: transcript || thread.name },
+    ], { model });
+    const title = res?.data?.content?.trim().replace(/^["']|["']$/g, '');
+    if (!title) throw new Error('the model returned no title');
+    return title;
+  }
+
   // ─── Prompt Building ─────────────────────────────────────────────────────────
 
-  async buildPrompt(message) {
-    const count = this.config.CONTEXT_MESSAGE_COUNT;
+  async buildMessages(message, model, batch = []) {
+    const fetched = await this.fetchHistory(message);
+    // Coalesced messages are part of the request even when history is short or off
+    const batchIds = new Set(batch.map(m => m.id));
+    const earlier  = batch.filter(m => !fetched.some(f => f.id === m.id));
+    const { history, summary } = await this.context.fit(message.channelId, [...fetched, ...earlier, message], model);
+
+    // Attachments are only downloaded for the messages that made it into the window
+    const entries = await Promise.all(
+      history.map(async m => {
+        const quiet = m.id !== message.id && !batchIds.has(m.id);
+        const [images, documents] = await Promise.all([
+          this.downloadAttachments(m, { quiet, model }),
+          this.loadDocuments(m, { quiet }),
+        ]);
+        return { message: m, images, documents };
+      })
+    );
+
+    const trigger  = this.triggers.resolve(locationOf(message.channel, message.guildId));
+    const messages = toChatMessages(entries, { botId: this.client.user.id, prefix: trigger.mode === 'prefix' ? trigger.value : undefined });
+    if (summary) {
+      messages.unshift({ role: 'system', content: `Summary of the earlier conversation in this channel:\n${summary}` });
+    }
+    messages.unshift({ role: 'system', content: this.systemPrompt(message, model) });
+    return messages;
+  }
+
+  /** The persona for the message's thread/channel/guild with its template variables filled in. */
+  systemPrompt(message, model) {
+    const { prompt } = this.personas.resolve(locationOf(message.channel, message.guildId));
+    return renderPersona(prompt, {
+      bot:     this.client.user.username,
+      server:  message.guild?.name ?? 'Direct Messages',
+      channel: message.channel?.name ?? 'unknown',
+      date:    new Date().toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }),
+      model,
+    });
+  }
+
+  /**
+   * Messages before `message` in its channel, oldest first. Anything posted
+   * after it – later messages, or the reply being regenerated or continued –
+   * is left out, however late the request is answered.
+   */
+  async fetchHistory(message) {
+    const count = this.guildSettings.contextMessages(message.guildId);
 
     // No context – just the current message
-    if (count === 1) return message.content;
+    if (count === 1) return [];
 
     let history = [];
 
     if (count === 0) {
       // Fetch all messages (up to 1000)
-      let lastId;
+      let lastId = message.id;
       while (history.length < 1000) {
-        const opts = { limit: 100 };
-        if (lastId) opts.before = lastId;
+        const opts = { limit: 100, before: lastId };
         const batch = Array.from((await message.channel.messages.fetch(opts)).values());
         history = history.concat(batch);
         if (batch.length < 100) break;
         lastId = batch[batch.length - 1].id;
       }
     } else {
-      const batch = await message.channel.messages.fetch({ limit: count });
+      const batch = await message.channel.messages.fetch({ limit: count - 1, before: message.id });
       history = Array.from(batch.values());
     }
 
-    const context = history
+    history = history
       .filter(m => m.id !== message.id)
-      .sort((a, b) => a.createdTimestamp - b.createdTimestamp)
-      .map(m => `${m.author.username}: ${m.content}`)
-      .join('\n');
+      .sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+
+    // A thread's opening message lives in the parent channel – put it first
+    if (message.channel.isThread?.()) {
+      const starter = await message.channel.fetchStarterMessage().catch(() => null);
+      if (starter && !history.some(m => m.id === starter.id)) history.unshift(starter);
+    }
 
-    return context
-      ? `${context}\n${message.author.username}: ${message.content}`
-      : message.content;
+    return history;
   }
 
   // ─── Attachments ─────────────────────────────────────────────────────────────
 
-  async downloadAttachments(message) {
+  /**
+   * Loads a message's image attachments into memory as
+   * `{ name, contentType, data }` (see attachments.js) when `model` can see
+   * images. Problems are only reported for the message being answered, not
+   * for history (`quiet`).
+   */
+  async downloadAttachments(message, { quiet = false, model } = {}) {
     if (!this.config.IMAGE_SUPPORT || !message.attachments?.size) return [];
 
-    const maxBytes = this.config.MAX_IMAGE_SIZE_MB * 1024 * 1024;
-    const results = [];
-
-    for (const [, attachment] of message.attachments) {
-      if (!attachment.contentType?.startsWith('image/')) continue;
+    const images = [...message.attachments.values()].filter(a => a.contentType?.startsWith('image/'));
+    if (images.length === 0) return [];
 
-      if (attachment.size > maxBytes) {
+    if (!this.catalog.get(model).vision) {
+      if (!quiet) {
         await message.reply(
-          `"${attachment.name}" is too large (max ${this.config.MAX_IMAGE_SIZE_MB} MB).`
+          `The current model (\`${model}\`) can't see images, so your attachments were ignored.`
         ).catch(() => {});
+      }
+      return [];
+    }
+
+    const limits = this.imageLimits();
+    const results = [];
+    const problems = [];
+
+    for (const attachment of images) {
+      const cached = this.attachmentCache.get(attachment.id);
+      if (cached) {
+        results.push(cached);
+        continue;
+      }
+
+      if (attachment.size > limits.maxBytes) {
+        problems.push(`"${attachment.name}" is too large (max ${this.config.MAX_IMAGE_SIZE_MB} MB).`);
         continue;
       }
 
       try {
-        const tmpPath = path.join(os.tmpdir(), `cobot_${Date.now()}_${attachment.name}`);
-        await this.downloadFile(attachment.url, tmpPath);
-        results.push({ type: 'file', path: tmpPath, displayName: attachment.name });
-        log.debug('Bot', `Downloaded attachment: ${attachment.name}`);
+        const image = await loadImage(attachment, limits);
+        this.attachmentCache.set(attachment.id, image);
+        results.push(image);
+        log.debug('Bot', `Loaded image: ${attachment.name} (${image.data.length} bytes)`);
       } catch (err) {
-        log.warn('Bot', `Failed to download attachment "${attachment.name}": ${err.message}`);
+        log.warn('Bot', `Skipping image "${attachment.name}": ${err.message}`);
+        problems.push(`Couldn't use "${attachment.name}": ${err.message}.`);
       }
     }
 
+    if (problems.length && !quiet) {
+      await message.reply(problems.join('\n')).catch(() => {});
+    }
+
     return results;
   }
 
-  downloadFile(url, dest) {
-    return new Promise((resolve, reject) => {
-      const file = fs.createWriteStream(dest);
-      https.get(url, res => {
-        res.pipe(file);
-        file.on('finish', () => file.close(resolve));
-        file.on('error', reject);
-      }).on('error', reject);
-    });
+  /** loadImage's limits for images users send. */
+  imageLimits() {
+    return {
+      maxBytes:     this.config.MAX_IMAGE_SIZE_MB * 1024 * 1024,
+      timeoutMs:    this.config.ATTACHMENT_TIMEOUT_MS,
+      maxDimension: this.config.MAX_IMAGE_DIMENSION,
+    };
   }
 
-  // ─── Sending ─────────────────────────────────────────────────────────────────
+  /**
+   * Reads a message's text, code, CSV and PDF attachments (see
+   * attachments.js loadDocument) so they can be inlined into the prompt.
+   * The user is told when a file was truncated or couldn't be read, unless `quiet`.
+   */
+  async loadDocuments(message, { quiet = false } = {}) {
+    if (!this.config.FILE_SUPPORT || !message.attachments?.size) return [];
+
+    const files = [...message.attachments.values()].filter(a =>
+      !a.contentType?.startsWith('image/') && documentKind(a)
+    );
+    if (files.length === 0) return [];
+
+    const limits = {
+      maxBytes:  this.config.MAX_FILE_SIZE_MB * 1024 * 1024,
+      timeoutMs: this.config.ATTACHMENT_TIMEOUT_MS,
+      maxChars:  this.config.MAX_FILE_TEXT_KB * 1024,
+      csvRows:   this.config.CSV_PREVIEW_ROWS,
+    };
+    const results = [];
+    const notes = [];
+
+    for (const attachment of files) {
+      let doc = this.attachmentCache.get(attachment.id);
 
-  async sendReply(message, content) {
-    const chunks = this.splitMessage(content);
-    for (const chunk of chunks) {
-      await message.reply(chunk);
+      if (!doc) {
+        if (attachment.size > limits.maxBytes) {
+          notes.push(`"${attachment.name}" is too large to read (max ${this.config.MAX_FILE_SIZE_MB} MB).`);
+          continue;
+        }
+        try {
+          doc = await loadDocument(attachment, limits);
+          this.attachmentCache.set(attachment.id, doc);
+          log.debug('Bot', `Read ${doc.kind} attachment: ${attachment.name} (${doc.text.length} chars)`);
+        } catch (err) {
+          log.warn('Bot', `Skipping file "${attachment.name}": ${err.message}`);
+          notes.push(`Couldn't read "${attachment.name}": ${err.message}.`);
+          continue;
+        }
+      }
+
+      results.push(doc);
+      if (doc.truncated) {
+        notes.push(doc.kind === 'csv'
+          ? `Note: only the first ${limits.csvRows} rows of "${doc.name}" were included.`
+          : `Note: "${doc.name}" was truncated to the first ${this.config.MAX_FILE_TEXT_KB} KB of text.`);
+      }
     }
+
+    if (notes.length && !quiet) {
+      await message.reply(notes.join('\n')).catch(() => {});
+    }
+
+    return results;
   }
 
-  splitMessage(content) {
-    if (content.length <= DISCORD_MSG_LIMIT) return [content];
+  // ─── Sending ─────────────────────────────────────────────────────────────────
 
-    const chunks = [];
-    let remaining = content;
+  /**
+   * Turns an answer into the messages to post: rendered for Discord (see
+   * Renderer), attached as files when it would take too many messages (see
+   * packLongReply) and split. With REPLY_EMBED the text goes in embeds, the
+   * last one's footer naming the model and how long the answer took.
+   * `images` (`{ name, data }`, e.g. made by generate_image) go on the last message.
+   *
+   * @returns {Promise<{ content: string, files: AttachmentBuilder[], embeds: object[] }[]>}  one per message
+   */
+  async layoutReply(content, { model, latencyMs, images = [] } = {}) {
+    const rendered = await this.renderer.render(content);
+    const limit    = this.config.REPLY_EMBED ? EMBED_DESCRIPTION_LIMIT : DISCORD_MSG_LIMIT;
+    const { text, files } = packLongReply(rendered.text, { maxMessages: this.config.LONG_REPLY_MAX_MESSAGES, limit });
+    const chunks   = splitMarkdown(text, { limit });
+    const placed   = placeRendered(chunks, rendered);
 
-    while (remaining.length > 0) {
-      let chunk = remaining.slice(0, DISCORD_MSG_LIMIT);
-      // Prefer a clean break at a newline or space
-      const split = Math.max(chunk.lastIndexOf('\n'), chunk.lastIndexOf(' '));
-      if (split > DISCORD_MSG_LIMIT - 500) chunk = chunk.slice(0, split);
-      chunks.push(chunk);
-      remaining = remaining.slice(chunk.length).trimStart();
+    return chunks.map((chunk, i) => {
+      const attached = [...(i === 0 ? files : []), ...placed[i].files, ...(i === chunks.length - 1 ? images : [])]
+        .map(file => new AttachmentBuilder(Buffer.from(file.data ?? file.content), { name: file.name }));
+      if (!this.config.REPLY_EMBED) return { content: chunk, files: attached, embeds: placed[i].embeds };
+
+      const answer = { description: chunk, color: ANSWER_EMBED_COLOR };
+      if (i === chunks.length - 1) answer.footer = { text: answerFooter(model, latencyMs) };
+      return { content: '', files: attached, embeds: [answer, ...placed[i].embeds] };
+    });
+  }
+
+  /**
+   * Posts a reply in as many messages as it takes (see layoutReply);
+   * `components` go on the last one. Resolves with the messages.
+   */
+  async sendReply(target, content, { components = [], model, latencyMs, images } = {}) {
+    const payloads = await this.layoutReply(content, { model, latencyMs, images });
+    const sent = [];
+    for (const [i, payload] of payloads.entries()) {
+      const last  = i === payloads.length - 1;
+      const plain = !payload.files.length && !payload.embeds.length && !(last && components.length);
+      sent.push(await target.reply(plain ? payload.content : { ...payload, components: last ? components : [] }));
+    }
+    return sent;
+  }
+
+  /**
+   * Gives a finished streamed reply its final form: just the `components`
+   * when the streamed text is already it, otherwise the streamed messages are
+   * edited into layoutReply's (surplus ones deleted). Resolves with the messages.
+   */
+  async finishStream(stream, content, { components, model, latencyMs, images }) {
+    const payloads = await this.layoutReply(content, { model, latencyMs, images });
+    const unchanged = payloads.length === stream.messages.length &&
+      payloads.every((p, i) => !p.files.length && !p.embeds.length && p.content === stream.contents[i]);
+    if (unchanged) {
+      await stream.setComponents(components);
+      return stream.messages;
+    }
+
+    const sent = [];
+    for (const [i, payload] of payloads.entries()) {
+      const full = { ...payload, components: i === payloads.length - 1 ? components : [] };
+      sent.push(i < stream.messages.length ? await stream.messages[i].edit(full) : await stream.source.reply(full));
     }
+    for (const extra of stream.messages.slice(payloads.length)) {
+      await extra.delete().catch(err => log.debug('Discord', `Could not delete streamed message: ${err.message}`));
+    }
+    return sent;
+  }
 
-    return chunks;
+  splitMessage(content) {
+    return splitMarkdown(content);
   }
 }
+
+// Side stripe of answers shown in embeds (REPLY_EMBED)
+const ANSWER_EMBED_COLOR = 0x5865f2;
+
+// Sent after a cut-off reply to have the model pick up where it stopped
+const CONTINUE_PROMPT = 'Continue exactly where you stopped, without repeating anything.';
+
+// Rate-limit notices delete themselves after this long, and aren't repeated
+// more often than the cooldown
+const LIMIT_NOTICE_TTL_MS      = 10_000;
+const LIMIT_NOTICE_COOLDOWN_MS = 60_000;
+
+// Sent when a channel's queue is full
+const QUEUE_FULL_NOTICE = 'I\'m swamped in this channel right now — please try again in a minute.';
+
+// Abort reason when the message being answered is deleted
+const SOURCE_DELETED = 'source message deleted';
+
+/** The text telling a user they hit a rate limit (see RateLimiter.consume). */
+function limitNotice({ scope, retryAfterMs }, now = Date.now()) {
+  const when = `<t:${Math.ceil((now + retryAfterMs) / 1000)}:R>`;
+  return {
+    user:    `You're sending requests a little fast — try again ${when}.`,
+    channel: `This channel is busy right now — try again ${when}.`,
+    guild:   `I'm getting a lot of requests on this server — try again ${when}.`,
+    quota:   `You've used today's request quota — it resets ${when}. \`/usage\` shows your limits.`,
+  }[scope];
+}
+
+/** Role IDs of a guild member (a GuildMember, or the raw member of an uncached interaction). */
+function roleIdsOf(member) {
+  if (!member) return [];
+  if (Array.isArray(member.roles)) return member.roles;
+  return [...(member.roles?.cache?.keys() ?? [])];
+}
+
+const THREADABLE = [ChannelType.GuildText, ChannelType.GuildAnnouncement];
+const THREAD_NAME_LIMIT = 100;
+
+/** A thread name from the first line of a message. */
+function threadName(message) {
+  const firstLine = (message.cleanContent || '').split('\n').find(l => l.trim())?.trim();
+  const name = firstLine || `Chat with ${message.author.username}`;
+  return name.length > THREAD_NAME_LIMIT ? `${name.slice(0, THREAD_NAME_LIMIT - 1)}…` : name;
+}
+
+/** Thread, channel and guild IDs for a channel; a thread's channel is its parent. */
+function locationOf(channel, guildId) {
+  if (channel?.isThread?.()) return { threadId: channel.id, channelId: channel.parentId, guildId };
+  return { threadId: null, channelId: channel?.id ?? null, guildId };
+}
@@ -0,0 +1,118 @@
+import * as log from './logger.js';
+import { MODELS, getModelInfo } from './copilot.js';
+
+const DEFAULT_TTL_MS = 6 * 60 * 60 * 1000;
+
+// Startup and /model autocomplete wait on the list, so a stalled endpoint is given up on
+const DEFAULT_TIMEOUT_MS = 10_000;
+
+// Discord allows at most 25 autocomplete suggestions
+const AUTOCOMPLETE_LIMIT = 25;
+
+/**
+ * Converts an entry from Copilot's `/models` endpoint into the shape used by
+ * MODELS, or null for models that can't be chatted with.
+ */
+export function fromCopilotModel(raw) {
+  const caps = raw?.capabilities ?? {};
+  if (!raw?.id || (caps.type && caps.type !== 'chat')) return null;
+  if (raw.policy?.state === 'disabled') return null;
+
+  const limits   = caps.limits ?? {};
+  const supports = caps.supports ?? {};
+  const fallback = getModelInfo(raw.id);
+  const contextTokens = limits.max_context_window_tokens
+    ?? (limits.max_prompt_tokens && limits.max_prompt_tokens + (limits.max_output_tokens ?? 0))
+    ?? fallback.contextTokens;
+  const vision = Boolean(supports.vision ?? limits.vision ?? fallback.vision);
+  const tools  = Boolean(supports.tool_calls ?? fallback.tools);
+
+  const features = [`${Math.round(contextTokens / 1000)}k context`];
+  if (vision) features.push('vision');
+  if (tools)  features.push('tools');
+
+  return {
+    id:          raw.id,
+    label:       raw.name || raw.id,
+    description: `${raw.vendor ? `${raw.vendor} · ` : ''}${features.join(' · ')}`,
+    contextTokens,
+    vision,
+    tools,
+  };
+}
+
+/**
+ * The models Copilot currently offers, loaded from its `/models` endpoint and
+ * cached for `ttlMs`. Falls back to the built-in MODELS list when the
+ * endpoint can't be reached or doesn't answer within `timeoutMs`. `configured` models (from the providers file,
+ * see providers.js) come first and take precedence over Copilot's.
+ */
+export class ModelCatalog {
+  constructor(copilot, { ttlMs = DEFAULT_TTL_MS, timeoutMs = DEFAULT_TIMEOUT_MS, configured = [] } = {}) {
+    this.copilot = copilot;
+    this.ttlMs = ttlMs;
+    this.timeoutMs = timeoutMs;
+    this.configured = configured;
+    this.models = withConfigured(MODELS, configured);
+    this.source = 'built-in';
+    this.fetchedAt = 0;
+    this.refreshing = null;
+  }
+
+  async refresh() {
+    this.refreshing ??= this._load().finally(() => { this.refreshing = null; });
+    return this.refreshing;
+  }
+
+  async _load() {
+    try {
+      const res = await this.copilot.fetch('/models', { signal: AbortSignal.timeout(this.timeoutMs) });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+      const { data } = await res.json();
+      const seen = new Set();
+      const models = (data ?? [])
+        .map(fromCopilotModel)
+        .filter(m => m && !seen.has(m.id) && seen.add(m.id));
+      if (models.length === 0) throw new Error('no chat models returned');
+
+      this.models = withConfigured(models, this.configured);
+      this.source = 'copilot';
+      log.info('Models', `Loaded ${models.length} models from Copilot`);
+    } catch (err) {
+      log.warn('Models', `Could not load the model list (${err.message}); using ${this.source} models`);
+    }
+    // Failed loads are also throttled by the TTL so an outage doesn't mean a request per message
+    this.fetchedAt = Date.now();
+    return this.models;
+  }
+
+  /** All known models, refreshing first when the cache has expired. */
+  async list() {
+    if (Date.now() - this.fetchedAt > this.ttlMs) await this.refresh();
+    return this.models;
+  }
+
+  has(modelId) {
+    return this.models.some(m => m.id === modelId);
+  }
+
+  /** Details for a model; unknown IDs get conservative defaults. */
+  get(modelId) {
+    return this.models.find(m => m.id === modelId) ?? getModelInfo(modelId);
+  }
+
+  /** Autocomplete choices matching what the user has typed so far. */
+  async search(query) {
+    const q = (query || '').toLowerCase();
+    return (await this.list())
+      .filter(m => !q || m.id.toLowerCase().includes(q) || m.label.toLowerCase().includes(q))
+      .slice(0, AUTOCOMPLETE_LIMIT)
+      .map(m => ({ name: `${m.label} (${m.id})`.slice(0, 100), value: m.id }));
+  }
+}
+
+function withConfigured(models, configured) {
+  const ids = new Set(configured.map(m => m.id));
+  return [...configured, ...models.filter(m => !ids.has(m.id))];
+}
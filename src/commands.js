@@ -0,0 +1,466 @@
+import {
+  ApplicationCommandType,
+  ChannelType,
+  ContextMenuCommandBuilder,
+  InteractionContextType,
+  PermissionFlagsBits,
+  SlashCommandBuilder,
+} from 'discord.js';
+import { PERSONA_SCOPES } from './persona.js';
+import { MODEL_SCOPES } from './preferences.js';
+import { TRIGGER_MODES } from './triggers.js';
+import { BUILTIN_TOOL_NAMES } from './tools.js';
+import { IMAGE_SIZES } from './images.js';
+
+// Slash and context-menu command definitions. Handlers live in bot.js
+// (DiscordBot.onInteraction).
+//
+// Configuration commands are hidden from members without Manage Server by
+// default; server admins can grant them to other roles under
+// Server Settings → Integrations. The bot checks access again when they run
+// (see access.js), which also covers ADMIN_ROLE_IDS.
+//
+// Commands about the server itself are only offered in servers; the rest
+// also work in DMs, where their "channel" scope is the user's conversation.
+
+// Names of the message context-menu commands (right-click a message → Apps)
+export const EXPLAIN_COMMAND   = 'Explain';
+export const TRANSLATE_COMMAND = 'Translate';
+
+// Messages /summarize reads at most
+export const SUMMARIZE_MAX_MESSAGES = 500;
+
+/**
+ * @param {{ tools?: string[], images?: boolean }} [options]  `tools` offered
+ *   by /tools, and whether image generation (/imagine) is set up
+ */
+export function buildCommands({ tools = BUILTIN_TOOL_NAMES, images = false } = {}) {
+  return [
+    buildAskCommand(),
+    ...(images ? [buildImagineCommand()] : []),
+    buildSummarizeCommand(),
+    buildMessageCommand(EXPLAIN_COMMAND),
+    buildMessageCommand(TRANSLATE_COMMAND),
+    buildModelCommand(),
+    buildPersonaCommand(),
+    buildTriggerCommand(),
+    buildThreadCommand(),
+    buildToolsCommand(tools),
+    buildRunCommand(),
+    buildUsageCommand(),
+    buildDataCommand(),
+    buildAccessCommand(),
+    buildConfigCommand(),
+    buildQueueCommand(),
+  ];
+}
+
+function buildAskCommand() {
+  const cmd = new SlashCommandBuilder()
+    .setName('ask')
+    .setDescription('Ask Co-Bot a one-off question')
+    .addStringOption(opt =>
+      opt.setName('prompt').setDescription('Your question').setRequired(true).setMaxLength(4000)
+    )
+    .addStringOption(opt =>
+      opt.setName('model').setDescription('Model to answer with (default: your usual one)').setAutocomplete(true)
+    )
+    .addBooleanOption(opt =>
+      opt.setName('private').setDescription('Only you see the answer (default: false)')
+    );
+
+  return cmd.toJSON();
+}
+
+function buildImagineCommand() {
+  const cmd = new SlashCommandBuilder()
+    .setName('imagine')
+    .setDescription('Create an image from a description, or edit one')
+    .addStringOption(opt =>
+      opt.setName('prompt').setDescription('What to draw, or what to change').setRequired(true).setMaxLength(4000)
+    )
+    .addAttachmentOption(opt =>
+      opt.setName('image').setDescription('An image to edit instead of starting from scratch')
+    )
+    .addStringOption(opt =>
+      opt
+        .setName('size')
+        .setDescription('Image shape (default: the server\'s setting)')
+        .addChoices(...Object.entries(IMAGE_SIZES).map(([name, size]) => ({ name: `${name} (${size})`, value: size })))
+    );
+
+  return cmd.toJSON();
+}
+
+function buildSummarizeCommand() {
+  const cmd = new SlashCommandBuilder()
+    .setName('summarize')
+    .setDescription('Summarize recent messages in this channel')
+    .addIntegerOption(opt =>
+      opt
+        .setName('count')
+        .setDescription('How many recent messages to read (default: 50)')
+        .setMinValue(1)
+        .setMaxValue(SUMMARIZE_MAX_MESSAGES)
+    )
+    .addStringOption(opt =>
+      opt.setName('since').setDescription('Only messages from this long ago, e.g. 30m, 2h, 1d')
+    )
+    .addBooleanOption(opt =>
+      opt.setName('private').setDescription('Only you see the summary (default: false)')
+    );
+
+  return cmd.toJSON();
+}
+
+function buildMessageCommand(name) {
+  const cmd = new ContextMenuCommandBuilder()
+    .setName(name)
+    .setType(ApplicationCommandType.Message);
+
+  return cmd.toJSON();
+}
+
+function buildModelCommand() {
+  const scopeOption = opt =>
+    opt
+      .setName('scope')
+      .setDescription('Who the choice applies to (default: just you)')
+      .addChoices(...MODEL_SCOPES.map(s => ({ name: s, value: s })));
+
+  const cmd = new SlashCommandBuilder()
+    .setName('model')
+    .setDescription('View or change the AI model Co-Bot uses')
+    .addSubcommand(sub =>
+      sub
+        .setName('set')
+        .setDescription('Choose a model for you, this channel or the whole server')
+        .addStringOption(opt =>
+          opt
+            .setName('model')
+            .setDescription('Model to switch to')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+        .addStringOption(scopeOption)
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('show')
+        .setDescription('Show which model your messages here use')
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('reset')
+        .setDescription('Remove a model preference')
+        .addStringOption(scopeOption)
+    );
+
+  return cmd.toJSON();
+}
+
+function buildPersonaCommand() {
+  const scopeOption = opt =>
+    opt
+      .setName('scope')
+      .setDescription('Where the persona applies (default: channel)')
+      .addChoices(...PERSONA_SCOPES.map(s => ({ name: s, value: s })));
+
+  const cmd = new SlashCommandBuilder()
+    .setName('persona')
+    .setDescription('Configure the system prompt Co-Bot uses')
+    .addSubcommand(sub =>
+      sub
+        .setName('set')
+        .setDescription('Set the persona (supports {bot}, {server}, {channel}, {date}, {model})')
+        .addStringOption(opt =>
+          opt.setName('prompt').setDescription('System prompt').setRequired(true).setMaxLength(4000)
+        )
+        .addStringOption(scopeOption)
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('show')
+        .setDescription('Show the persona in effect here')
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('reset')
+        .setDescription('Remove a persona override')
+        .addStringOption(scopeOption)
+    );
+
+  return cmd.toJSON();
+}
+
+function buildTriggerCommand() {
+  const cmd = new SlashCommandBuilder()
+    .setName('trigger')
+    .setDescription('Choose which messages Co-Bot answers in this channel')
+    .addSubcommand(sub =>
+      sub
+        .setName('set')
+        .setDescription('Set the trigger mode for this channel or thread')
+        .addStringOption(opt =>
+          opt
+            .setName('mode')
+            .setDescription('When to answer')
+            .setRequired(true)
+            .addChoices(...TRIGGER_MODES.map(m => ({ name: m, value: m })))
+        )
+        .addStringOption(opt =>
+          opt.setName('value').setDescription('Prefix (prefix mode) or comma-separated words (keyword mode)')
+        )
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('show')
+        .setDescription('Show the trigger mode in effect here')
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('reset')
+        .setDescription('Go back to the server-wide trigger mode')
+    );
+
+  return cmd.toJSON();
+}
+
+function buildThreadCommand() {
+  const cmd = new SlashCommandBuilder()
+    .setName('thread')
+    .setDescription('Manage the current conversation thread')
+    .setContexts(InteractionContextType.Guild)
+    .addSubcommand(sub =>
+      sub
+        .setName('close')
+        .setDescription('Archive this thread')
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('title')
+        .setDescription('Rename this thread')
+        .addStringOption(opt =>
+          opt.setName('title').setDescription('New title (leave empty to let the model suggest one)').setMaxLength(100)
+        )
+    );
+
+  return cmd.toJSON();
+}
+
+function buildToolsCommand(tools) {
+  const toolOption = opt =>
+    opt
+      .setName('tool')
+      .setDescription('Tool to change')
+      .setRequired(true)
+      .addChoices(...tools.map(t => ({ name: t, value: t })));
+
+  const cmd = new SlashCommandBuilder()
+    .setName('tools')
+    .setDescription('Choose which tools Co-Bot may use in this channel')
+    .addSubcommand(sub =>
+      sub
+        .setName('show')
+        .setDescription('List tools and whether they are enabled here')
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('enable')
+        .setDescription('Let the model use a tool in this channel or thread')
+        .addStringOption(toolOption)
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('disable')
+        .setDescription('Stop the model from using a tool in this channel or thread')
+        .addStringOption(toolOption)
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('reset')
+        .setDescription('Remove the tool overrides for this channel or thread')
+    );
+
+  return cmd.toJSON();
+}
+
+function buildRunCommand() {
+  const cmd = new SlashCommandBuilder()
+    .setName('run')
+    .setDescription('Run JavaScript in a sandbox and show its output')
+    .addStringOption(opt =>
+      opt.setName('code').setDescription('JavaScript to run (a ```js block works too)').setRequired(true).setMaxLength(4000)
+    );
+
+  return cmd.toJSON();
+}
+
+function buildUsageCommand() {
+  const cmd = new SlashCommandBuilder()
+    .setName('usage')
+    .setDescription('Show how many requests you have left today');
+
+  return cmd.toJSON();
+}
+
+function buildDataCommand() {
+  const userOption = opt =>
+    opt.setName('user').setDescription('Member whose data in this server to manage (default: all of yours; others need admin)');
+
+  const cmd = new SlashCommandBuilder()
+    .setName('data')
+    .setDescription('Export or delete the data Co-Bot stores about a user')
+    .addSubcommand(sub =>
+      sub
+        .setName('export')
+        .setDescription('Download settings and logged conversations as JSON')
+        .addUserOption(userOption)
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('purge')
+        .setDescription('Permanently delete settings and logged conversations')
+        .addBooleanOption(opt =>
+          opt.setName('confirm').setDescription('Set to true to delete').setRequired(true)
+        )
+        .addUserOption(userOption)
+    );
+
+  return cmd.toJSON();
+}
+
+function buildAccessCommand() {
+  const targetOption = opt =>
+    opt.setName('target').setDescription('User or role').setRequired(true);
+
+  const cmd = new SlashCommandBuilder()
+    .setName('access')
+    .setDescription('Control who can chat with Co-Bot and who can configure it')
+    .setContexts(InteractionContextType.Guild)
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addSubcommand(sub =>
+      sub
+        .setName('show')
+        .setDescription('Show the access rules for this server')
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('allow')
+        .setDescription('Add a user or role to the allowlist (once set, only listed members are answered)')
+        .addMentionableOption(targetOption)
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('deny')
+        .setDescription('Stop answering a user or role')
+        .addMentionableOption(targetOption)
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('remove')
+        .setDescription('Take a user or role off the allow and deny lists')
+        .addMentionableOption(targetOption)
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('admin')
+        .setDescription('Let a role use admin commands, or take that away')
+        .addRoleOption(opt => opt.setName('role').setDescription('Role').setRequired(true))
+        .addStringOption(opt =>
+          opt
+            .setName('action')
+            .setDescription('Grant or revoke (default: grant)')
+            .addChoices({ name: 'grant', value: 'grant' }, { name: 'revoke', value: 'revoke' })
+        )
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('reset')
+        .setDescription('Remove all access rules for this server')
+    );
+
+  return cmd.toJSON();
+}
+
+function buildConfigCommand() {
+  const channelOption = opt =>
+    opt
+      .setName('channel')
+      .setDescription('Channel (threads follow their parent channel)')
+      .setRequired(true)
+      .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum);
+
+  const channelGroup = (group, name, description, addText, removeText) =>
+    group
+      .setName(name)
+      .setDescription(description)
+      .addSubcommand(sub => sub.setName('add').setDescription(addText).addChannelOption(channelOption))
+      .addSubcommand(sub => sub.setName('remove').setDescription(removeText).addChannelOption(channelOption));
+
+  const cmd = new SlashCommandBuilder()
+    .setName('config')
+    .setDescription('Configure Co-Bot for this server')
+    .setContexts(InteractionContextType.Guild)
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addSubcommand(sub =>
+      sub
+        .setName('show')
+        .setDescription('Show this server\'s settings')
+    )
+    .addSubcommandGroup(group =>
+      channelGroup(group, 'channels', 'Limit Co-Bot to certain channels (none listed = every channel)',
+        'Answer in this channel (once any are listed, only listed channels are answered)',
+        'Stop limiting Co-Bot to this channel')
+    )
+    .addSubcommandGroup(group =>
+      channelGroup(group, 'blacklist', 'Channels Co-Bot never answers in',
+        'Never answer in this channel',
+        'Answer in this channel again')
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('context')
+        .setDescription('How many past messages Co-Bot reads for context')
+        .addIntegerOption(opt =>
+          opt
+            .setName('count')
+            .setDescription('Messages, including the new one (0 = as many as possible, 1 = none)')
+            .setRequired(true)
+            .setMinValue(0)
+            .setMaxValue(1000)
+        )
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('reset')
+        .setDescription('Remove channel lists and context settings for this server')
+    );
+
+  return cmd.toJSON();
+}
+
+function buildQueueCommand() {
+  const cmd = new SlashCommandBuilder()
+    .setName('queue')
+    .setDescription('See and manage the requests Co-Bot is working through')
+    .setContexts(InteractionContextType.Guild)
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addSubcommand(sub =>
+      sub
+        .setName('show')
+        .setDescription('Requests being answered and waiting in this server')
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('clear')
+        .setDescription('Drop the requests waiting in a channel')
+        .addChannelOption(opt =>
+          opt
+            .setName('channel')
+            .setDescription('Channel or thread (default: this one)')
+        )
+    );
+
+  return cmd.toJSON();
+}
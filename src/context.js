@@ -0,0 +1,139 @@
+import * as log from './logger.js';
+import { describeMessage } from './conversation.js';
+
+// Rough heuristics – good enough to stay clear of the model's context limit
+const CHARS_PER_TOKEN    = 4;
+const TOKENS_PER_MESSAGE = 4;
+const TOKENS_PER_IMAGE   = 765;
+
+// Room left for the model's reply
+const RESPONSE_RESERVE = 4096;
+
+// Share of the budget kept for recent messages when history has to be cut;
+// the rest is left for the summary of everything older.
+const RECENT_SHARE = 0.75;
+
+const SUMMARY_PROMPT =
+  'You maintain a running summary of a Discord conversation so it can be continued later. ' +
+  'Update the summary with the new messages below. Keep names, decisions, open questions ' +
+  'and facts people may refer back to; drop small talk. Reply with the summary only, ' +
+  'in at most 300 words.';
+
+export function estimateTextTokens(text) {
+  return Math.ceil((text?.length ?? 0) / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimated prompt tokens for a Discord message, as it will be sent by
+ * toChatMessages. Files that will be inlined count as up to `maxDocumentChars`
+ * of text each, since they haven't been downloaded yet.
+ */
+export function estimateMessageTokens(message, { maxDocumentChars = 0 } = {}) {
+  let tokens = TOKENS_PER_MESSAGE;
+  for (const [, attachment] of message.attachments ?? []) {
+    if (attachment.contentType?.startsWith('image/')) tokens += TOKENS_PER_IMAGE;
+    else tokens += Math.ceil(Math.min(attachment.size ?? 0, maxDocumentChars) / CHARS_PER_TOKEN);
+  }
+  const text = `${message.author?.username ?? ''}: ${describeMessage(message)}`;
+  return tokens + estimateTextTokens(text);
+}
+
+/** Prompt budget (in tokens) for a model (a catalog entry), leaving room for its reply. */
+export function contextBudget(modelInfo) {
+  return modelInfo.contextTokens - RESPONSE_RESERVE;
+}
+
+/**
+ * Keeps channel history inside a model's context window.
+ *
+ * When the history fits it is passed through untouched. Otherwise the most
+ * recent messages are kept and everything older is folded into a rolling
+ * summary, cached per channel so each message is only summarized once.
+ */
+export class ContextManager {
+  constructor(copilot, catalog, { maxDocumentChars = 0 } = {}) {
+    this.copilot = copilot;
+    this.catalog = catalog;
+    this.maxDocumentChars = maxDocumentChars;
+    this.summaries = new Map(); // channelId → { summary, until }
+  }
+
+  estimate(message) {
+    return estimateMessageTokens(message, { maxDocumentChars: this.maxDocumentChars });
+  }
+
+  /**
+   * @param {string} channelId
+   * @param {object[]} history Discord messages, oldest first; the last one is being answered
+   * @param {string} model Model the history will be sent to (also used for summarizing)
+   * @returns {Promise<{ history: object[], summary: string|null }>}
+   */
+  async fit(channelId, history, model) {
+    const budget = contextBudget(this.catalog.get(model));
+    const costs  = history.map(m => this.estimate(m));
+    const total  = costs.reduce((a, b) => a + b, 0);
+    if (total <= budget) return { history, summary: null };
+
+    // Walk back from the newest message until the recent share is used up.
+    // The message being answered is always kept.
+    const recentBudget = Math.floor(budget * RECENT_SHARE);
+    let used  = costs[costs.length - 1];
+    let start = history.length - 1;
+    while (start > 0 && used + costs[start - 1] <= recentBudget) {
+      start--;
+      used += costs[start];
+    }
+
+    const dropped = history.slice(0, start);
+    log.debug('Context', `History over budget (${total}/${budget} tokens) – summarizing ${dropped.length} older messages`);
+
+    const summary = await this.summarize(channelId, dropped, budget - used, model);
+    return { history: history.slice(start), summary };
+  }
+
+  async summarize(channelId, dropped, maxTokens, model) {
+    const cached = this.summaries.get(channelId);
+    const fresh  = dropped.filter(m => !cached || m.createdTimestamp > cached.until);
+    if (fresh.length === 0) return cached?.summary ?? null;
+
+    // Feed the new messages in batches small enough for one request each
+    const batchBudget = Math.max(1024, Math.floor(maxTokens / 2));
+    let summary = cached?.summary ?? '';
+    let batch = [];
+    let batchTokens = 0;
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      summary = await this.requestSummary(summary, batch, model);
+      batch = [];
+      batchTokens = 0;
+    };
+
+    for (const message of fresh) {
+      const cost = this.estimate(message);
+      if (batchTokens + cost > batchBudget) await flush();
+      batch.push(message);
+      batchTokens += cost;
+    }
+    await flush();
+
+    this.summaries.set(channelId, { summary, until: fresh[fresh.length - 1].createdTimestamp });
+    return summary;
+  }
+
+  async requestSummary(previous, messages, model) {
+    const transcript = messages
+      .map(m => `${m.author.username}: ${describeMessage(m)}`)
+      .join('\n');
+
+    const res = await this.copilot.send([
+      { role: 'system', content: SUMMARY_PROMPT },
+      {
+        role: 'user',
+        content: `Current summary:\n${previous || '(none yet)'}\n\nNew messages:\n${transcript}`,
+      },
+    ], { model });
+
+    return res?.data?.content?.trim() || previous;
+  }
+}
@@ -0,0 +1,72 @@
+import { renderDocument } from './attachments.js';
+import { stripPrefix } from './triggers.js';
+
+/**
+ * Converts Discord messages into chat-completion messages.
+ *
+ * The bot's own messages become `assistant` turns and everyone else's become
+ * `user` turns prefixed with the author's name, so the model can tell who said
+ * what. Embeds are kept as text and loaded documents are inlined; images are
+ * passed as `image_url` parts built from downloaded `{ contentType, data }`
+ * attachments. In prefix trigger mode, pass the `prefix` to leave it out of
+ * user turns.
+ */
+export function toChatMessages(entries, { botId, prefix }) {
+  const messages = [];
+
+  for (const { message, images = [], documents = [] } of entries) {
+    const isBot = message.author.id === botId;
+    const text  = describeMessage(message, documents);
+    if (!text && images.length === 0) continue;
+
+    if (isBot) {
+      if (!text) continue;
+      // Long replies are posted as several Discord messages – rejoin them
+      const prev = messages[messages.length - 1];
+      if (prev?.role === 'assistant') prev.content += `\n${text}`;
+      else messages.push({ role: 'assistant', content: text });
+      continue;
+    }
+
+    const line = `${message.author.username}: ${stripPrefix(text, prefix)}`;
+    messages.push({ role: 'user', content: images.length ? withImages(line, images) : line });
+  }
+
+  return messages;
+}
+
+/**
+ * Flattens a message's text, embeds and non-image attachments into one string.
+ * Attachments found in `documents` (see attachments.js loadDocument) are
+ * inlined; others are listed by name.
+ */
+export function describeMessage(message, documents = []) {
+  const parts = [];
+  // cleanContent shows mentions as @name instead of <@id>
+  const content = message.cleanContent ?? message.content;
+  if (content) parts.push(content);
+
+  for (const embed of message.embeds ?? []) {
+    const fields = (embed.fields ?? []).map(f => `${f.name}: ${f.value}`);
+    const body = [embed.title, embed.description, ...fields, embed.url].filter(Boolean).join('\n');
+    if (body) parts.push(`[Embed]\n${body}`);
+  }
+
+  for (const [, attachment] of message.attachments ?? []) {
+    if (attachment.contentType?.startsWith('image/')) continue;
+    const doc = documents.find(d => d.id === attachment.id);
+    parts.push(doc ? renderDocument(doc) : `[Attachment: ${attachment.name}]`);
+  }
+
+  return parts.join('\n');
+}
+
+function withImages(text, images) {
+  return [
+    { type: 'text', text },
+    ...images.map(a => ({
+      type: 'image_url',
+      image_url: { url: `data:${a.contentType};base64,${a.data.toString('base64')}` },
+    })),
+  ];
+}
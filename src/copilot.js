@@ -1,77 +1,177 @@
 import * as log from './logger.js';
+import { OpenAIProvider } from './providers.js';
 
-const COPILOT_API = 'https://api.githubcopilot.com/chat/completions';
+// Shared with the other providers; exported here for existing imports
+export { DEFAULT_MAX_TOOL_ITERATIONS, readSSE } from './providers.js';
 
-// Models available via the /model command
+const COPILOT_API_BASE = 'https://api.githubcopilot.com';
+
+// Built-in model list, used until (or when) the live catalog can't be loaded
+// from Copilot (see catalog.js). contextTokens is the prompt + reply window
+// Copilot allows for the model; vision and tools mark image input and tool calling.
 export const MODELS = [
-  { id: 'gpt-5-mini', label: 'ChatGPT 5 mini',  description: 'Latest mini model (gpt-5-mini)' },
-  { id: 'gpt-4.1',   label: 'ChatGPT 4.1',     description: 'Fast and capable (gpt-4.1)' },
-  { id: 'gpt-4o',    label: 'ChatGPT 4o',      description: 'Balanced general model (gpt-4o)' },
+  { id: 'gpt-5-mini', label: 'ChatGPT 5 mini',  description: 'Latest mini model (gpt-5-mini)',  contextTokens: 128000, vision: true, tools: true },
+  { id: 'gpt-4.1',   label: 'ChatGPT 4.1',     description: 'Fast and capable (gpt-4.1)',      contextTokens: 128000, vision: true, tools: true },
+  { id: 'gpt-4o',    label: 'ChatGPT 4o',      description: 'Balanced general model (gpt-4o)', contextTokens: 64000,  vision: true, tools: true },
 ];
 
 export const DEFAULT_MODEL = 'gpt-4.1';
 
-export class CopilotManager {
-  constructor(token) {
-    this.token = token;
-    this.model = DEFAULT_MODEL;
+// Conservative window for models missing from MODELS
+const DEFAULT_CONTEXT_TOKENS = 32000;
+
+export function getModelInfo(modelId) {
+  return MODELS.find(m => m.id === modelId)
+    ?? { id: modelId, label: modelId, description: modelId, contextTokens: DEFAULT_CONTEXT_TOKENS, vision: false, tools: false };
+}
+
+/** Wraps a fixed bearer token in the interface of CopilotAuth (auth.js). */
+function staticAuth(token) {
+  return {
+    getToken:   async () => token,
+    invalidate: async () => {},
+  };
+}
+
+/**
+ * GitHub Copilot's chat API: an OpenAI-compatible provider (see
+ * providers.js) authenticated with Copilot session tokens.
+ */
+export class CopilotManager extends OpenAIProvider {
+  /**
+   * @param {string | { getToken(): Promise<string>, invalidate(): Promise<void> }} auth
+   *   a CopilotAuth (see auth.js), or a plain token that is used as-is
+   * @param {{ baseUrl?: string, retry?: object }} options  `retry` is passed to fetchWithRetry
+   */
+  constructor(auth, { baseUrl = COPILOT_API_BASE, retry = {} } = {}) {
+    super({ name: 'copilot', baseUrl, label: 'Copilot', retry });
+    this.auth = typeof auth === 'string' || !auth ? staticAuth(auth) : auth;
   }
 
   async start() {
     log.info('Copilot', 'Starting Copilot client...');
-    if (!this.token) throw new Error('No GitHub token provided');
-    log.info('Copilot', `Copilot ready (model: ${this.model})`);
+    if (!await this.auth.getToken()) throw new Error('No GitHub token provided');
+    log.info('Copilot', `Copilot ready (default model: ${DEFAULT_MODEL})`);
   }
 
-  async setModel(modelId) {
-    const valid = MODELS.find(m => m.id === modelId);
-    if (!valid) throw new Error(`Unknown model "${modelId}"`);
-    this.model = modelId;
-    log.info('Copilot', `Model set to ${modelId}`);
+  async stop() {
+    // Nothing to tear down — direct HTTP calls are stateless
   }
 
-  async send(prompt, attachments = []) {
-    let content;
-    if (attachments.length > 0) {
-      content = [
-        { type: 'text', text: prompt },
-        ...attachments.map(a => ({
-          type: 'image_url',
-          image_url: { url: `data:${a.contentType};base64,${a.data.toString('base64')}` },
-        })),
-      ];
-    } else {
-      content = prompt;
-    }
+  // The model defaults to DEFAULT_MODEL (see preferences.js for per-call choices)
+  send(messages, options = {}) {
+    return super.send(messages, { ...options, model: options.model ?? DEFAULT_MODEL });
+  }
 
-    const result = await this._call([{ role: 'user', content }]);
-    // Return in the same shape as the old SDK so bot.js needs no changes
-    return { data: { content: result } };
+  stream(messages, options = {}) {
+    return super.stream(messages, { ...options, model: options.model ?? DEFAULT_MODEL });
   }
 
-  async stop() {
-    // Nothing to tear down — direct HTTP calls are stateless
+  /** Headers for requests to the Copilot API (async: the session token may need refreshing). */
+  async headers() {
+    return {
+      Authorization:   `Bearer ${await this.auth.getToken()}`,
+      'Content-Type':  'application/json',
+      'User-Agent':    'co-bot/1.0',
+      'x-initiator':   'user',
+      'Openai-Intent': 'conversation-edits',
+    };
+  }
+
+  /**
+   * fetch() against the Copilot API with auth headers. Rate limits and server
+   * errors are retried with backoff; a 401 refreshes the credentials (see
+   * CopilotAuth.invalidate) and the request is tried once more.
+   */
+  async fetch(path, init = {}) {
+    const res = await super.fetch(path, init);
+    if (res.status !== 401) return res;
+
+    log.warn('Copilot', 'Copilot API answered 401 – refreshing credentials');
+    await res.body?.cancel().catch(() => {});
+    await this.auth.invalidate();
+    return super.fetch(path, init);
+  }
+}
+
+// ─── Tools ────────────────────────────────────────────────────────────────────
+
+// Tool results longer than this are cut before they go back to the model
+const TOOL_RESULT_LIMIT = 8000;
+
+const TOOL_NAME = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Tools the model may call. Each tool declares a JSON schema for its
+ * arguments and a handler `(args, context) => result`; the result (string or
+ * JSON-serialisable value) is sent back to the model as the tool's output.
+ */
+export class ToolRegistry {
+  constructor(tools = []) {
+    this.tools = new Map();
+    for (const tool of tools) this.register(tool);
   }
 
-  async _call(messages) {
-    const res = await fetch(COPILOT_API, {
-      method: 'POST',
-      headers: {
-        Authorization:   `Bearer ${this.token}`,
-        'Content-Type':  'application/json',
-        'User-Agent':    'co-bot/1.0',
-        'x-initiator':   'user',
-        'Openai-Intent': 'conversation-edits',
-      },
-      body: JSON.stringify({ model: this.model, messages }),
+  /** @param {{ name: string, description: string, parameters?: object, handler: Function }} tool */
+  register(tool) {
+    if (!TOOL_NAME.test(tool.name ?? '')) throw new Error(`Invalid tool name: ${tool.name}`);
+    if (typeof tool.handler !== 'function') throw new Error(`Tool ${tool.name} has no handler`);
+    this.tools.set(tool.name, {
+      parameters: { type: 'object', properties: {} },
+      ...tool,
     });
+    return this;
+  }
+
+  get size() {
+    return this.tools.size;
+  }
+
+  names() {
+    return [...this.tools.keys()];
+  }
 
-    if (!res.ok) {
-      const body = await res.text();
-      throw new Error(`Copilot API ${res.status}: ${body}`);
+  get(name) {
+    return this.tools.get(name) ?? null;
+  }
+
+  /** A registry with just the named tools (e.g. those enabled in a channel). */
+  only(names) {
+    return new ToolRegistry(names.map(n => this.tools.get(n)).filter(Boolean));
+  }
+
+  /** Tool declarations in chat-completions format. */
+  definitions() {
+    return [...this.tools.values()].map(({ name, description, parameters }) => ({
+      type: 'function',
+      function: { name, description, parameters },
+    }));
+  }
+
+  /**
+   * Runs one tool call from the model and returns its output as a string.
+   * Failures are reported to the model rather than thrown, so it can recover.
+   */
+  async execute(call, context = {}) {
+    const name = call.function?.name;
+    const tool = this.tools.get(name);
+    if (!tool) return `Error: unknown tool "${name}"`;
+
+    let args;
+    try {
+      args = call.function.arguments ? JSON.parse(call.function.arguments) : {};
+    } catch {
+      return 'Error: arguments are not valid JSON';
     }
 
-    const data = await res.json();
-    return data?.choices?.[0]?.message?.content ?? '';
+    log.info('Tools', `${name}(${call.function.arguments || ''})`);
+    try {
+      const result = await tool.handler(args, context);
+      const text = typeof result === 'string' ? result : JSON.stringify(result);
+      return text.length > TOOL_RESULT_LIMIT ? `${text.slice(0, TOOL_RESULT_LIMIT)}\n[truncated]` : text;
+    } catch (err) {
+      log.warn('Tools', `${name} failed: ${err.message}`);
+      return `Error: ${err.message}`;
+    }
   }
 }
@@ -0,0 +1,65 @@
+export const DM_ACCESS_MODES = ['off', 'allowlist', 'members'];
+
+// How long a membership lookup is trusted before asking Discord again
+const MEMBERSHIP_CACHE_MS = 10 * 60 * 1000;
+
+/**
+ * Decides who may talk to the bot in direct messages (DM_ACCESS):
+ *
+ *  - off:       nobody
+ *  - allowlist: only DM_ALLOWED_USER_IDS
+ *  - members:   those users, plus members of a server the bot serves who
+ *               are allowed to chat there (see AccessControl)
+ *
+ * Membership lookups hit the Discord API, so results are cached per user.
+ */
+export class DirectMessageAccess {
+  /**
+   * @param {import('./access.js').AccessControl} access
+   * @param {{ mode?: string, allowedUsers?: string[], now?: () => number }} [options]
+   */
+  constructor(access, { mode = 'off', allowedUsers = [], now = Date.now } = {}) {
+    this.access = access;
+    this.mode = mode;
+    this.allowedUsers = allowedUsers;
+    this.now = now;
+    this.memberships = new Map(); // userId → { allowed, reason, expiresAt }
+  }
+
+  get enabled() {
+    return this.mode !== 'off';
+  }
+
+  /**
+   * Whether a user may DM the bot, as `{ allowed, reason }`.
+   *
+   * @param {string} userId
+   * @param {Iterable<import('discord.js').Guild>} guilds  servers the bot serves
+   */
+  async check(userId, guilds) {
+    if (!this.enabled)                      return { allowed: false, reason: 'DMs disabled' };
+    if (this.allowedUsers.includes(userId)) return { allowed: true, reason: 'user allowed' };
+    if (this.mode === 'allowlist')          return { allowed: false, reason: 'not on DM allowlist' };
+
+    const cached = this.memberships.get(userId);
+    if (cached && cached.expiresAt > this.now()) return { allowed: cached.allowed, reason: cached.reason };
+
+    const result = await this.checkMembership(userId, guilds);
+    this.memberships.set(userId, { ...result, expiresAt: this.now() + MEMBERSHIP_CACHE_MS });
+    return result;
+  }
+
+  async checkMembership(userId, guilds) {
+    let denied = false;
+    for (const guild of guilds) {
+      const member = await guild.members.fetch(userId).catch(() => null);
+      if (!member) continue;
+      const roleIds = [...member.roles.cache.keys()];
+      if (this.access.canChat({ guildId: guild.id, userId, roleIds }).allowed) {
+        return { allowed: true, reason: `member of ${guild.id}` };
+      }
+      denied = true;
+    }
+    return { allowed: false, reason: denied ? 'not allowed in any shared server' : 'no shared server' };
+  }
+}
@@ -0,0 +1,71 @@
+const EMPTY_SETTINGS = { channels: [], blacklist: [], contextMessages: null };
+
+/**
+ * Per-guild configuration managed with `/config`: which channels the bot
+ * answers in (empty = all), channels it ignores, and how many past messages
+ * it reads. Unset values fall back to the environment (CONTEXT_MESSAGE_COUNT).
+ *
+ * Kept in the store under `guilds` as `guild:<id>` →
+ * `{ channels, blacklist, contextMessages }`.
+ */
+export class GuildSettings {
+  constructor(store, { contextMessages = 5 } = {}) {
+    this.store = store;
+    this.defaults = { contextMessages };
+  }
+
+  get(guildId) {
+    return { ...EMPTY_SETTINGS, ...this.store.get('guilds', `guild:${guildId}`) };
+  }
+
+  update(guildId, changes) {
+    this.store.set('guilds', `guild:${guildId}`, { ...this.get(guildId), ...changes });
+  }
+
+  /** Adds a channel to `channels` or `blacklist`; returns false if it was already there. */
+  addChannel(guildId, list, channelId) {
+    const current = this.get(guildId)[list];
+    if (current.includes(channelId)) return false;
+    this.update(guildId, { [list]: [...current, channelId] });
+    return true;
+  }
+
+  /** Removes a channel from `channels` or `blacklist`; returns whether it was there. */
+  removeChannel(guildId, list, channelId) {
+    const current = this.get(guildId)[list];
+    if (!current.includes(channelId)) return false;
+    this.update(guildId, { [list]: current.filter(id => id !== channelId) });
+    return true;
+  }
+
+  reset(guildId) {
+    return this.store.delete('guilds', `guild:${guildId}`);
+  }
+
+  /** Whether the bot may answer in a channel (threads are judged by their parent). */
+  allowsChannel(guildId, channelId) {
+    const { channels, blacklist } = this.get(guildId);
+    if (blacklist.includes(channelId)) return false;
+    return channels.length === 0 || channels.includes(channelId);
+  }
+
+  /** Past messages to read for context in this guild (0 = as many as possible). */
+  contextMessages(guildId) {
+    return this.get(guildId).contextMessages ?? this.defaults.contextMessages;
+  }
+}
+
+/**
+ * Removes every setting scoped to a guild or one of its channels, across all
+ * namespaces, after the bot leaves it. Channel settings are keyed
+ * `channel:<id>`, or by the bare ID (trigger and tool overrides). Returns
+ * how many keys were removed.
+ */
+export function forgetGuild(store, guildId, channelIds = []) {
+  const keys = [`guild:${guildId}`, ...channelIds.flatMap(id => [`channel:${id}`, id])];
+  let removed = 0;
+  for (const namespace of store.namespaces()) {
+    for (const key of keys) if (store.delete(namespace, key)) removed++;
+  }
+  return removed;
+}
@@ -0,0 +1,98 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How often old records are swept out
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Log of the conversations the bot takes part in: each request and reply,
+ * with who asked, where and which model answered. Records older than
+ * `retentionDays` are pruned (0 keeps them forever).
+ */
+export class ConversationLog {
+  constructor(store, { retentionDays = 30, now = Date.now } = {}) {
+    this.store = store;
+    this.retentionDays = retentionDays;
+    this.now = now;
+    this.prunedAt = 0;
+  }
+
+  /**
+   * @param {{ userId: string, channelId?: string, guildId?: string, role: 'user'|'assistant', content: string, model?: string }} entry
+   *   `userId` is the person who asked, also for the assistant's reply
+   */
+  record(entry) {
+    const now = this.now();
+    this.store.appendLog({ at: now, ...entry });
+    if (now - this.prunedAt > PRUNE_INTERVAL_MS) this.prune(now);
+  }
+
+  forUser(userId) {
+    return this.store.logs({ userId });
+  }
+
+  forChannel(channelId, { limit = 50 } = {}) {
+    return this.store.logs({ channelId }, { limit });
+  }
+
+  prune(now = this.now()) {
+    this.prunedAt = now;
+    if (!this.retentionDays) return 0;
+    return this.store.deleteLogs({ before: now - this.retentionDays * DAY_MS });
+  }
+}
+
+// ─── Per-user data (privacy requests) ─────────────────────────────────────────
+
+/** Namespaces holding `key`, e.g. `user:123` → [{ namespace: 'models', key }]. */
+function keysIn(store, key) {
+  return store.namespaces()
+    .filter(namespace => store.get(namespace, key) !== undefined)
+    .map(namespace => ({ namespace, key }));
+}
+
+/**
+ * Settings keys of channels: `channel:<id>`, and the bare ID that
+ * trigger and tool overrides are stored under.
+ */
+function channelKeys(store, channelIds) {
+  return channelIds.flatMap(id => [...keysIn(store, `channel:${id}`), ...keysIn(store, id)]);
+}
+
+/** Settings keys that belong to a user, including their DM channels' (`channelIds`). */
+function userKeys(store, userId, channelIds = []) {
+  return [...keysIn(store, `user:${userId}`), ...channelKeys(store, channelIds)];
+}
+
+/**
+ * Everything stored about a user: their settings, settings of their DM
+ * conversation with the bot, and their conversation log. Reply feedback
+ * (replies.js) isn't included: votes are recorded without the voter.
+ *
+ * With a `guildId`, only what the user said in that guild – for a server's
+ * admins acting on a member, who have no say over the member's own settings,
+ * DMs or other servers.
+ */
+export function exportUserData(store, userId, { channelIds = [], guildId } = {}) {
+  const settings = {};
+  const directMessages = {};
+  if (!guildId) {
+    for (const { namespace, key } of keysIn(store, `user:${userId}`)) settings[namespace] = store.get(namespace, key);
+    for (const { namespace, key } of channelKeys(store, channelIds)) directMessages[namespace] = store.get(namespace, key);
+  }
+  return {
+    userId,
+    ...(guildId && { guildId }),
+    exportedAt:    new Date().toISOString(),
+    settings,
+    directMessages,
+    conversations: store.logs({ userId, guildId }),
+  };
+}
+
+/** Deletes everything stored about a user (within one guild, as for exportUserData); returns what was removed. */
+export function purgeUserData(store, userId, { channelIds = [], guildId } = {}) {
+  if (!userId) throw new Error('purgeUserData needs a user ID');
+  const keys = guildId ? [] : userKeys(store, userId, channelIds);
+  for (const { namespace, key } of keys) store.delete(namespace, key);
+  return { settings: keys.length, conversations: store.deleteLogs({ userId, guildId }) };
+}
@@ -0,0 +1,73 @@
+import * as log from './logger.js';
+
+const RETRYABLE_STATUS = status => status === 429 || status >= 500;
+
+/**
+ * Milliseconds to wait according to a Retry-After header (seconds or an
+ * HTTP date), or null when the header is missing or unparseable.
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Runs `request` (a function returning a fetch Response) and retries it when
+ * the server answers 429 or 5xx, or the connection fails. Waits follow
+ * Retry-After when the server sends one, otherwise exponential backoff with
+ * jitter. Resolves with the last response – also when Retry-After asks for
+ * longer than `maxDelayMs`, rather than retrying too early. Rethrows the last
+ * network error; an abort of `signal`, also while waiting, ends it right away.
+ */
+export async function fetchWithRetry(request, { retries = 3, baseDelayMs = 1000, maxDelayMs = 30000, label = 'HTTP', signal } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    let res;
+    try {
+      res = await request();
+    } catch (err) {
+      // Cancelled on purpose (AbortSignal) – don't try again
+      if (err.name === 'AbortError' || signal?.aborted || attempt >= retries) throw err;
+      const wait = backoff(attempt, baseDelayMs, maxDelayMs);
+      log.warn(label, `Request failed (${err.message}), retrying in ${wait} ms`);
+      await sleep(wait, signal);
+      continue;
+    }
+
+    if (!RETRYABLE_STATUS(res.status) || attempt >= retries) return res;
+
+    const retryAfter = parseRetryAfter(res.headers.get('retry-after'));
+    if (retryAfter > maxDelayMs) {
+      log.warn(label, `HTTP ${res.status}, server asks to retry in ${retryAfter} ms – giving up`);
+      return res;
+    }
+    const wait = retryAfter ?? backoff(attempt, baseDelayMs, maxDelayMs);
+    log.warn(label, `HTTP ${res.status}, retrying in ${wait} ms (attempt ${attempt + 1}/${retries})`);
+    await res.body?.cancel().catch(() => {});
+    await sleep(wait, signal);
+  }
+}
+
+function backoff(attempt, baseDelayMs, maxDelayMs) {
+  const exp = baseDelayMs * 2 ** attempt;
+  return Math.min(maxDelayMs, Math.round(exp / 2 + Math.random() * exp / 2));
+}
+
+/** Resolves after `ms`, or rejects with the signal's reason as soon as it's aborted. */
+function sleep(ms, signal) {
+  if (!signal) return new Promise(r => setTimeout(r, ms));
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) return reject(signal.reason);
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
@@ -0,0 +1,193 @@
+import * as log from './logger.js';
+import { fetchWithRetry } from './http.js';
+import { fetchLimited, loadImage } from './attachments.js';
+
+// Image generation through an OpenAI-compatible images API
+// (POST /images/generations and /images/edits), for /imagine and the
+// generate_image tool.
+
+// Sizes offered by /imagine; the API decides which it supports
+export const IMAGE_SIZES = {
+  square:    '1024x1024',
+  landscape: '1536x1024',
+  portrait:  '1024x1536',
+};
+
+// Generated images can be large; this bounds downloads of URL results
+const MAX_RESULT_BYTES = 25 * 1024 * 1024;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Client for an OpenAI-compatible images endpoint. Results are resolved as
+ * `{ data: Buffer, revisedPrompt: string|null }`; both base64 and URL
+ * responses are accepted.
+ */
+export class ImageClient {
+  /**
+   * @param {{ baseUrl: string, apiKey?: string, model?: string, size?: string,
+   *           timeoutMs?: number, retry?: object }} options
+   */
+  constructor({ baseUrl, apiKey = '', model = '', size = IMAGE_SIZES.square, timeoutMs = 120_000, retry = {} }) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+    this.size = size;
+    this.timeoutMs = timeoutMs;
+    this.retry = retry;
+  }
+
+  async generate(prompt, { size } = {}) {
+    const body = { prompt, n: 1, size: size ?? this.size };
+    if (this.model) body.model = this.model;
+    return this.request('/images/generations', {
+      body:    JSON.stringify(body),
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  /** Edits `image` (`{ name, contentType, data }`, e.g. from loadImage) as `prompt` describes. */
+  async edit(prompt, image, { size } = {}) {
+    const form = new FormData();
+    form.append('image', new Blob([image.data], { type: image.contentType }), image.name || 'image.png');
+    form.append('prompt', prompt);
+    form.append('n', '1');
+    form.append('size', size ?? this.size);
+    if (this.model) form.append('model', this.model);
+    return this.request('/images/edits', { body: form });
+  }
+
+  async request(path, { body, headers = {} }) {
+    const auth = this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+    const res = await fetchWithRetry(
+      () => fetch(`${this.baseUrl}${path}`, {
+        method:  'POST',
+        headers: { ...auth, ...headers },
+        body,
+        signal:  AbortSignal.timeout(this.timeoutMs),
+      }),
+      { label: 'Images', ...this.retry },
+    );
+
+    const payload = await res.json().catch(() => null);
+    if (!res.ok) throw new Error(payload?.error?.message ?? `Images API ${res.status}`);
+
+    const [result] = payload?.data ?? [];
+    if (result?.b64_json) return { data: Buffer.from(result.b64_json, 'base64'), revisedPrompt: result.revised_prompt ?? null };
+    if (result?.url) {
+      const data = await fetchLimited(result.url, { maxBytes: MAX_RESULT_BYTES, timeoutMs: this.timeoutMs });
+      return { data, revisedPrompt: result.revised_prompt ?? null };
+    }
+    throw new Error('The images API returned no image');
+  }
+}
+
+/**
+ * Daily image allowance per user (0 = unlimited), separate from the request
+ * quota in ratelimit.js. Counts are kept in the JSON store under `images`
+ * and reset at midnight UTC; only images actually produced are counted.
+ */
+export class ImageQuota {
+  constructor(store, { daily = 0, now = Date.now } = {}) {
+    this.store = store;
+    this.daily = daily;
+    this.now = now;
+  }
+
+  used(userId) {
+    const saved = this.store.get('images', `user:${userId}`);
+    return saved?.day === dayOf(this.now()) ? saved.count : 0;
+  }
+
+  /** `{ allowed: true }`, or `{ allowed: false, retryAfterMs }` until the next day's allowance. */
+  check(userId) {
+    if (this.daily <= 0 || this.used(userId) < this.daily) return { allowed: true };
+    const now = this.now();
+    return { allowed: false, retryAfterMs: Date.parse(dayOf(now)) + DAY_MS - now };
+  }
+
+  /**
+   * Counts an image before it's made, if the quota allows, so requests
+   * running side by side can't all slip under it. Returns check()'s result;
+   * call release() when the image couldn't be made after all.
+   */
+  reserve(userId) {
+    const allowed = this.check(userId);
+    if (allowed.allowed) this.store.set('images', `user:${userId}`, { day: dayOf(this.now()), count: this.used(userId) + 1 });
+    return allowed;
+  }
+
+  /** Gives back an image counted by reserve(). */
+  release(userId) {
+    const used = this.used(userId);
+    if (used > 0) this.store.set('images', `user:${userId}`, { day: dayOf(this.now()), count: used - 1 });
+  }
+}
+
+function dayOf(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+/**
+ * The image to edit for a chat message: its own first image attachment,
+ * else the first one on the message it replies to. Resolves with the
+ * Discord attachment, or null.
+ */
+export async function sourceImage(message) {
+  const firstImage = m => [...(m?.attachments?.values() ?? [])].find(a => a.contentType?.startsWith('image/')) ?? null;
+  const own = firstImage(message);
+  if (own || !message.reference?.messageId) return own;
+  const referenced = await message.fetchReference().catch(() => null);
+  return firstImage(referenced);
+}
+
+/**
+ * The generate_image tool. The handler expects the message being answered
+ * as `context.message` and collects what it makes in `context.images`
+ * (`{ name, data }`), for the bot to attach to its reply.
+ *
+ * @param {{ client: ImageClient, quota: ImageQuota, limits: object }} options
+ *   `limits` are loadImage's limits for images to edit
+ */
+export function imageTool({ client, quota, limits }) {
+  return {
+    name: 'generate_image',
+    description: 'Create an image from a detailed description; it is attached to your reply. Set edit to true to change the image the user attached or replied to instead. Do not describe the image again afterwards beyond a short caption.',
+    parameters: {
+      type: 'object',
+      properties: {
+        prompt: { type: 'string', description: 'What the image should show, or the change to make' },
+        edit:   { type: 'boolean', description: 'Edit the user\'s image instead of creating a new one (default false)' },
+      },
+      required: ['prompt'],
+    },
+    async handler({ prompt, edit = false }, { message, images }) {
+      if (!message || !images) throw new Error('Images can only be made in chat replies');
+      if (!prompt?.trim()) throw new Error('A prompt is required');
+
+      const allowed = quota.reserve(message.author.id);
+      if (!allowed.allowed) {
+        throw new Error(`${message.author.username} has used all of today's images; more in ${Math.ceil(allowed.retryAfterMs / 3_600_000)} h`);
+      }
+
+      let result;
+      try {
+        if (edit) {
+          const attachment = await sourceImage(message);
+          if (!attachment) throw new Error('There is no image attached to or replied to by this message');
+          result = await client.edit(prompt, await loadImage(attachment, limits));
+        } else {
+          result = await client.generate(prompt);
+        }
+      } catch (err) {
+        quota.release(message.author.id);
+        throw err;
+      }
+
+      const name = `image-${images.length + 1}.png`;
+      images.push({ name, data: result.data });
+      log.info('Images', `${edit ? 'Edited' : 'Generated'} ${name} for ${message.author.username}`);
+      return { attached: name, revisedPrompt: result.revisedPrompt };
+    },
+  };
+}
@@ -1,15 +1,29 @@
+import fs from 'fs';
 import dotenv from 'dotenv';
 import * as log from './logger.js';
-import { ensureAuthenticated } from './auth.js';
+import { CopilotAuth } from './auth.js';
 import { CopilotManager } from './copilot.js';
+import { ProviderRouter, loadProviders } from './providers.js';
 import { DiscordBot } from './bot.js';
+import { openStore, STORAGE_BACKENDS } from './store.js';
+import { DEFAULT_SYSTEM_PROMPT } from './persona.js';
+import { TRIGGER_MODES, validateKeyword } from './triggers.js';
+import { parseRate, parseRoleQuotas } from './ratelimit.js';
+import { DM_ACCESS_MODES } from './dms.js';
+import { TABLE_MODES } from './render.js';
 
 dotenv.config();
 
 // ─── Config ──────────────────────────────────────────────────────────────────
 
+// Where slash commands are registered
+const COMMAND_REGISTRATIONS = ['global', 'guild'];
+
+// Auto-archive durations Discord accepts for threads
+const THREAD_ARCHIVE_MINUTES = [60, 1440, 4320, 10080];
+
 function loadConfig() {
-  const required = ['DISCORD_TOKEN', 'DISCORD_GUILD_ID'];
+  const required = ['DISCORD_TOKEN'];
   const missing = required.filter(k => !process.env[k]);
   if (missing.length) {
     missing.forEach(k => log.error('Config', `Missing required variable: ${k}`));
@@ -21,16 +35,132 @@ function loadConfig() {
     return isNaN(n) ? fallback : n;
   };
 
+  let systemPrompt = process.env.SYSTEM_PROMPT || DEFAULT_SYSTEM_PROMPT;
+  if (process.env.SYSTEM_PROMPT_FILE) {
+    try {
+      systemPrompt = fs.readFileSync(process.env.SYSTEM_PROMPT_FILE, 'utf8').trim();
+    } catch (err) {
+      log.error('Config', `Cannot read SYSTEM_PROMPT_FILE: ${err.message}`);
+      process.exit(1);
+    }
+  }
+
+  const triggerMode = (process.env.TRIGGER_MODE || 'all').toLowerCase();
+  if (!TRIGGER_MODES.includes(triggerMode)) {
+    log.error('Config', `TRIGGER_MODE must be one of: ${TRIGGER_MODES.join(', ')}`);
+    process.exit(1);
+  }
+  if (process.env.TRIGGER_KEYWORD) {
+    try {
+      validateKeyword(process.env.TRIGGER_KEYWORD);
+    } catch (err) {
+      log.error('Config', `Invalid TRIGGER_KEYWORD: ${err.message}`);
+      process.exit(1);
+    }
+  }
+
+  const archiveMinutes = int('THREAD_AUTO_ARCHIVE_MINUTES', 1440);
+  if (!THREAD_ARCHIVE_MINUTES.includes(archiveMinutes)) {
+    log.error('Config', `THREAD_AUTO_ARCHIVE_MINUTES must be one of: ${THREAD_ARCHIVE_MINUTES.join(', ')}`);
+    process.exit(1);
+  }
+
+  const storageBackend = (process.env.STORAGE_BACKEND || 'json').toLowerCase();
+  if (!STORAGE_BACKENDS.includes(storageBackend)) {
+    log.error('Config', `STORAGE_BACKEND must be one of: ${STORAGE_BACKENDS.join(', ')}`);
+    process.exit(1);
+  }
+
+  // Guild registration is instant, so it stays the default for single-server setups
+  const commandRegistration = (process.env.COMMAND_REGISTRATION || (process.env.DISCORD_GUILD_ID ? 'guild' : 'global')).toLowerCase();
+  if (!COMMAND_REGISTRATIONS.includes(commandRegistration)) {
+    log.error('Config', `COMMAND_REGISTRATION must be one of: ${COMMAND_REGISTRATIONS.join(', ')}`);
+    process.exit(1);
+  }
+
+  const dmAccess = (process.env.DM_ACCESS || 'off').toLowerCase();
+  if (!DM_ACCESS_MODES.includes(dmAccess)) {
+    log.error('Config', `DM_ACCESS must be one of: ${DM_ACCESS_MODES.join(', ')}`);
+    process.exit(1);
+  }
+
+  const renderTables = (process.env.RENDER_TABLES || 'code').toLowerCase();
+  if (!TABLE_MODES.includes(renderTables)) {
+    log.error('Config', `RENDER_TABLES must be one of: ${TABLE_MODES.join(', ')}`);
+    process.exit(1);
+  }
+
+  let limits;
+  try {
+    limits = {
+      RATE_LIMIT_USER:    parseRate(process.env.RATE_LIMIT_USER    ?? '5/60'),
+      RATE_LIMIT_CHANNEL: parseRate(process.env.RATE_LIMIT_CHANNEL ?? '20/60'),
+      RATE_LIMIT_GUILD:   parseRate(process.env.RATE_LIMIT_GUILD   ?? '60/60'),
+      ROLE_QUOTAS:        parseRoleQuotas(process.env.ROLE_QUOTAS),
+    };
+  } catch (err) {
+    log.error('Config', err.message);
+    process.exit(1);
+  }
+
   return {
     DISCORD_TOKEN:       process.env.DISCORD_TOKEN,
-    DISCORD_GUILD_ID:    process.env.DISCORD_GUILD_ID,
+    DISCORD_GUILD_ID:    process.env.DISCORD_GUILD_ID    || null,
+    COMMAND_REGISTRATION: commandRegistration,
     DISCORD_CHANNEL_ID:  process.env.DISCORD_CHANNEL_ID  || null,
     BLACKLISTED_CHANNELS: (process.env.BLACKLISTED_CHANNEL_IDS || '')
       .split(',').map(s => s.trim()).filter(Boolean),
     REPLY_TO_BOT:         process.env.REPLY_TO_BOT === 'true',
+    DM_ACCESS:            dmAccess,
+    DM_ALLOWED_USER_IDS:  (process.env.DM_ALLOWED_USER_IDS || '')
+      .split(',').map(s => s.trim()).filter(Boolean),
     CONTEXT_MESSAGE_COUNT: int('CONTEXT_MESSAGE_COUNT', 5),
     IMAGE_SUPPORT:        process.env.IMAGE_SUPPORT !== 'false',
     MAX_IMAGE_SIZE_MB:    int('MAX_IMAGE_SIZE_MB', 5),
+    MAX_IMAGE_DIMENSION:  int('MAX_IMAGE_DIMENSION', 2048),
+    ATTACHMENT_TIMEOUT_MS: int('ATTACHMENT_TIMEOUT_MS', 15000),
+    FILE_SUPPORT:         process.env.FILE_SUPPORT !== 'false',
+    MAX_FILE_SIZE_MB:     int('MAX_FILE_SIZE_MB', 10),
+    MAX_FILE_TEXT_KB:     int('MAX_FILE_TEXT_KB', 50),
+    CSV_PREVIEW_ROWS:     int('CSV_PREVIEW_ROWS', 20),
+    STREAM_RESPONSES:     process.env.STREAM_RESPONSES !== 'false',
+    STREAM_EDIT_INTERVAL_MS: int('STREAM_EDIT_INTERVAL_MS', 1000),
+    REPLY_BUTTONS:        process.env.REPLY_BUTTONS !== 'false',
+    LONG_REPLY_MAX_MESSAGES: int('LONG_REPLY_MAX_MESSAGES', 0),
+    FEEDBACK_LOG:         process.env.FEEDBACK_LOG || undefined,
+    RENDER_TABLES:        renderTables,
+    RENDER_MATH:          process.env.RENDER_MATH !== 'false',
+    MERMAID_CLI:          process.env.MERMAID_CLI || '',
+    REPLY_EMBED:          process.env.REPLY_EMBED === 'true',
+    IMAGE_API_URL:        process.env.IMAGE_API_URL || '',
+    IMAGE_API_KEY:        process.env.IMAGE_API_KEY || '',
+    IMAGE_MODEL:          process.env.IMAGE_MODEL || '',
+    IMAGE_SIZE:           process.env.IMAGE_SIZE || '1024x1024',
+    IMAGE_DAILY_QUOTA:    int('IMAGE_DAILY_QUOTA', 10),
+    SYSTEM_PROMPT:        systemPrompt,
+    TRIGGER_MODE:         triggerMode,
+    TRIGGER_PREFIX:       process.env.TRIGGER_PREFIX || '!ask',
+    TRIGGER_KEYWORD:      process.env.TRIGGER_KEYWORD || '',
+    THREAD_MODE:          process.env.THREAD_MODE === 'true',
+    THREAD_AUTO_ARCHIVE_MINUTES: archiveMinutes,
+    COPILOT_MAX_RETRIES:  int('COPILOT_MAX_RETRIES', 3),
+    PROVIDERS_FILE:       process.env.PROVIDERS_FILE || null,
+    TOOLS_ENABLED:        process.env.TOOLS_ENABLED !== 'false',
+    MAX_TOOL_ITERATIONS:  int('MAX_TOOL_ITERATIONS', 5),
+    SANDBOX_TIMEOUT_MS:   int('SANDBOX_TIMEOUT_MS', 2000),
+    SANDBOX_MEMORY_MB:    int('SANDBOX_MEMORY_MB', 64),
+    SANDBOX_MAX_OUTPUT_CHARS: int('SANDBOX_MAX_OUTPUT_CHARS', 4000),
+    DAILY_QUOTA:          int('DAILY_QUOTA', 0),
+    QUEUE_CONCURRENCY:    int('QUEUE_CONCURRENCY', 4),
+    QUEUE_MAX_DEPTH:      int('QUEUE_MAX_DEPTH', 10),
+    QUEUE_COALESCE_MS:    int('QUEUE_COALESCE_MS', 1500),
+    STORAGE_BACKEND:      storageBackend,
+    STORAGE_FILE:         process.env.STORAGE_FILE || undefined,
+    ADMIN_ROLE_IDS:       (process.env.ADMIN_ROLE_IDS || '')
+      .split(',').map(s => s.trim()).filter(Boolean),
+    CONVERSATION_LOG:     process.env.CONVERSATION_LOG !== 'false',
+    LOG_RETENTION_DAYS:   int('LOG_RETENTION_DAYS', 30),
+    ...limits,
   };
 }
 
@@ -44,11 +174,11 @@ async function main() {
   const config = loadConfig();
   log.info('Config', 'Configuration loaded');
 
-  // 1. Authenticate with GitHub (device flow if no token stored)
+  // 1. Authenticate with GitHub (device flow if no token stored) and get a Copilot session token
   log.info('Auth', 'Checking GitHub authentication...');
-  let token;
+  const auth = new CopilotAuth();
   try {
-    token = await ensureAuthenticated();
+    await auth.getToken();
     log.info('Auth', 'Authenticated successfully');
   } catch (err) {
     log.error('Auth', `Authentication failed: ${err.message}`);
@@ -56,7 +186,8 @@ async function main() {
   }
 
   // 2. Start Copilot
-  const copilot = new CopilotManager(token);
+  const retry = { retries: config.COPILOT_MAX_RETRIES };
+  const copilot = new CopilotManager(auth, { retry });
   try {
     await copilot.start();
   } catch (err) {
@@ -65,8 +196,31 @@ async function main() {
     process.exit(1);
   }
 
-  // 3. Start Discord bot
-  const bot = new DiscordBot(config, copilot);
+  // 3. Other providers, for models that run elsewhere (PROVIDERS_FILE)
+  let providers = {};
+  if (config.PROVIDERS_FILE) {
+    try {
+      providers = loadProviders(config.PROVIDERS_FILE, { retry });
+      log.info('Providers', `Loaded ${providers.providers.size} providers and ${providers.models.length} models from ${config.PROVIDERS_FILE}`);
+    } catch (err) {
+      log.error('Providers', err.message);
+      process.exit(1);
+    }
+  }
+  const llm = new ProviderRouter(copilot, providers);
+
+  // 4. Open storage
+  let store;
+  try {
+    store = await openStore({ backend: config.STORAGE_BACKEND, file: config.STORAGE_FILE });
+    log.info('Store', `Using ${config.STORAGE_BACKEND} storage`);
+  } catch (err) {
+    log.error('Store', `Could not open storage: ${err.message}`);
+    process.exit(1);
+  }
+
+  // 5. Start Discord bot
+  const bot = new DiscordBot(config, llm, store);
   try {
     await bot.start();
   } catch (err) {
@@ -81,7 +235,8 @@ async function main() {
     shuttingDown = true;
     log.info('Shutdown', `Signal: ${signal}`);
     await bot.stop();
-    await copilot.stop();
+    await llm.stop();
+    store.close();
     setTimeout(() => process.exit(0), 300);
   }
 
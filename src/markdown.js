@@ -0,0 +1,167 @@
+// Splitting Discord-flavoured Markdown into messages without breaking it.
+
+export const DISCORD_MSG_LIMIT = 2000;
+
+// Breaks this close to the limit are taken as they come; further back only
+// a better kind of break (see scoreBreak) is worth a shorter message
+const BREAK_WINDOW = 500;
+
+// Room kept at the end of a message for closing a code fence
+const FENCE_RESERVE = 8;
+
+const FENCE_LINE = /^ {0,3}(`{3,}|~{3,})(.*)$/;
+const TABLE_ROW  = /^\s*\|/;
+const LIST_ITEM  = /^\s*(?:[-*+]|\d+[.)])\s/;
+
+/**
+ * Splits a reply into messages of at most `limit` characters.
+ *
+ * Code blocks cut between messages are closed at the end of one and
+ * reopened, with their language tag, at the start of the next; a block left
+ * open at the very end is closed. Breaks go between paragraphs or lines
+ * where possible – not inside tables or between list items – and otherwise
+ * between words, outside links and inline code.
+ *
+ * Each message depends only on the text up to its end, so re-splitting a
+ * growing (streamed) text never changes messages that are already full.
+ */
+export function splitMarkdown(text, { limit = DISCORD_MSG_LIMIT } = {}) {
+  const chunks = [];
+  let pos = 0;
+  let fence = null; // { marker, info } of the code block open at `pos`
+
+  while (pos < text.length) {
+    const prefix = fence ? `${fence.marker}${fence.info}\n` : '';
+    const rest   = text.slice(pos);
+
+    const endFence = fenceAfter(rest, fence);
+    const whole    = prefix + rest + (endFence ? `\n${endFence.marker}` : '');
+    if (whole.length <= limit) {
+      chunks.push(whole);
+      break;
+    }
+
+    const window = rest.slice(0, limit - prefix.length - FENCE_RESERVE);
+    const { cut, skip } = findBreak(window, fence);
+    const piece = rest.slice(0, cut);
+    const open  = fenceAfter(piece, fence);
+    chunks.push(prefix + piece.replace(/\s+$/, '') + (open ? `\n${open.marker}` : ''));
+
+    pos += cut + skip;
+    fence = open;
+    // Outside code, whitespace at the start of a message is just noise
+    if (!fence) while (pos < text.length && /\s/.test(text[pos])) pos++;
+  }
+
+  return chunks.length ? chunks : [text];
+}
+
+/** The code fence still open after `text`, given the one open before it. */
+function fenceAfter(text, fence) {
+  for (const line of text.split('\n')) {
+    const match = FENCE_LINE.exec(line);
+    if (!match) continue;
+    const [, marker, info] = match;
+    if (!fence) fence = { marker, info: info.trim() };
+    else if (marker[0] === fence.marker[0] && marker.length >= fence.marker.length && !info.trim()) fence = null;
+  }
+  return fence;
+}
+
+/**
+ * Where to end a message within `window`: `cut` is the length of text kept,
+ * `skip` the separator dropped after it (a newline or space).
+ */
+function findBreak(window, fence) {
+  const lines = window.split('\n');
+  const lateFrom = window.length - BREAK_WINDOW;
+  const breaks = [];
+  let offset = 0;
+  let open = fence;
+
+  // Line breaks; the last line may be incomplete, so it has none of its own
+  for (let i = 0; i < lines.length - 1; i++) {
+    open = fenceAfter(lines[i], open);
+    offset += lines[i].length + 1;
+    if (offset > 1) breaks.push({ cut: offset - 1, skip: 1, score: scoreBreak(lines[i], lines[i + 1], open) });
+  }
+
+  const late = breaks.filter(b => b.cut >= lateFrom && b.score > 0);
+  if (late.length) {
+    const top = Math.max(...late.map(b => b.score));
+    return late.filter(b => b.score === top).at(-1);
+  }
+
+  // A long last line of prose may be split between words – not mid-link or
+  // inline code, and not in code blocks or table rows, which read badly cut
+  const lastLine = lines[lines.length - 1];
+  if (!open && !TABLE_ROW.test(lastLine)) {
+    const lineStart = window.length - lastLine.length;
+    for (let i = lastLine.lastIndexOf(' '); i > 0 && lineStart + i >= lateFrom; i = lastLine.lastIndexOf(' ', i - 1)) {
+      if (!insideInline(lastLine.slice(0, i))) return { cut: lineStart + i, skip: 1 };
+    }
+  }
+
+  return breaks.filter(b => b.score > 0).at(-1) ?? breaks.at(-1) ?? { cut: window.length, skip: 0 };
+}
+
+/**
+ * How good a line break is, from 0 (inside a table) to 4 (between
+ * paragraphs, or just outside a code block).
+ */
+function scoreBreak(line, next, open) {
+  if (open) return FENCE_LINE.test(next) ? 2 : 1; // inside code: fine, it gets reopened
+  if (FENCE_LINE.test(line) || FENCE_LINE.test(next)) return 4;
+  if (!line.trim() || !next.trim()) return 4;
+  if (TABLE_ROW.test(line) && TABLE_ROW.test(next)) return 0;
+  if (LIST_ITEM.test(next) || (LIST_ITEM.test(line) && /^\s+\S/.test(next))) return 2;
+  return 3;
+}
+
+/** Whether the end of `linePrefix` is inside inline code or a Markdown link. */
+function insideInline(linePrefix) {
+  if ((linePrefix.match(/`/g)?.length ?? 0) % 2 === 1) return true;
+  return /\[[^\]]*$/.test(linePrefix) || /\]\([^)]*$/.test(linePrefix);
+}
+
+// ─── Long replies as files ────────────────────────────────────────────────────
+
+const EXTENSIONS = {
+  js: 'js', javascript: 'js', jsx: 'jsx', ts: 'ts', typescript: 'ts', tsx: 'tsx',
+  py: 'py', python: 'py', rb: 'rb', ruby: 'rb', go: 'go', rust: 'rs', rs: 'rs',
+  java: 'java', kotlin: 'kt', kt: 'kt', c: 'c', cpp: 'cpp', 'c++': 'cpp', cs: 'cs', csharp: 'cs',
+  php: 'php', swift: 'swift', sh: 'sh', bash: 'sh', shell: 'sh', zsh: 'sh', ps1: 'ps1', powershell: 'ps1',
+  sql: 'sql', json: 'json', yaml: 'yml', yml: 'yml', toml: 'toml', xml: 'xml', html: 'html', css: 'css',
+  md: 'md', markdown: 'md', diff: 'diff',
+};
+
+const CODE_BLOCK = /^ {0,3}(`{3,}|~{3,})([^\n]*)\n([\s\S]*?)\n {0,3}\1[ \t]*$/gm;
+
+/**
+ * Shrinks a reply that would take more than `maxMessages` messages by
+ * attaching it as files: first code blocks too long for one message become
+ * source files (named after their language), then – if it's still too
+ * long – the whole reply is attached as `response.md` behind a short preview.
+ *
+ * @returns {{ text: string, files: { name: string, content: string }[] }}
+ */
+export function packLongReply(text, { maxMessages, limit = DISCORD_MSG_LIMIT }) {
+  if (!maxMessages || splitMarkdown(text, { limit }).length <= maxMessages) return { text, files: [] };
+
+  const files = [];
+  const shortened = text.replace(CODE_BLOCK, (block, marker, info, code) => {
+    if (block.length <= limit) return block;
+    const lang = info.trim().split(/\s+/)[0].toLowerCase();
+    const ext  = EXTENSIONS[lang] ?? 'txt';
+    const name = `snippet-${files.length + 1}.${ext}`;
+    files.push({ name, content: `${code}\n` });
+    return `*(code attached as \`${name}\`)*`;
+  });
+  if (splitMarkdown(shortened, { limit }).length <= maxMessages) return { text: shortened, files };
+
+  const [preview] = splitMarkdown(text, { limit: Math.min(limit, 500) });
+  return {
+    text:  `${preview}\n\n*…the full reply is attached as \`response.md\`.*`,
+    files: [{ name: 'response.md', content: text }],
+  };
+}
@@ -0,0 +1,50 @@
+export const DEFAULT_SYSTEM_PROMPT =
+  'You are {bot}, a helpful assistant chatting in the Discord server "{server}", channel #{channel}. ' +
+  'Today is {date}. Messages from users are prefixed with their username. ' +
+  'Keep answers concise – under 2000 characters where possible – and format them with Discord markdown.';
+
+// Most specific first
+export const PERSONA_SCOPES = ['thread', 'channel', 'guild'];
+
+/** Replaces `{name}` placeholders with values from `vars`; unknown placeholders are left alone. */
+export function renderPersona(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => vars[name] ?? match);
+}
+
+/**
+ * System prompts per thread, channel and guild, falling back to the configured
+ * default. Overrides are kept in the JSON store under `personas`.
+ */
+export class PersonaStore {
+  constructor(store, defaultPrompt = DEFAULT_SYSTEM_PROMPT) {
+    this.store = store;
+    this.defaultPrompt = defaultPrompt;
+  }
+
+  get(scope, id) {
+    return this.store.get('personas', `${scope}:${id}`) ?? null;
+  }
+
+  set(scope, id, prompt) {
+    this.store.set('personas', `${scope}:${id}`, prompt);
+  }
+
+  reset(scope, id) {
+    return this.store.delete('personas', `${scope}:${id}`);
+  }
+
+  /**
+   * The most specific persona for a location, as `{ prompt, scope }`
+   * (`scope` is 'default' when no override applies).
+   *
+   * @param {{ threadId?: string, channelId?: string, guildId?: string }} ids
+   */
+  resolve(ids) {
+    for (const scope of PERSONA_SCOPES) {
+      const id = ids[`${scope}Id`];
+      const prompt = id && this.get(scope, id);
+      if (prompt) return { prompt, scope };
+    }
+    return { prompt: this.defaultPrompt, scope: 'default' };
+  }
+}
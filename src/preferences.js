@@ -0,0 +1,42 @@
+import { DEFAULT_MODEL } from './copilot.js';
+
+// Most specific first
+export const MODEL_SCOPES = ['user', 'channel', 'guild'];
+
+/**
+ * Model choices per user, channel and guild, falling back to the default
+ * model. Kept in the JSON store under `models` so they survive restarts.
+ */
+export class ModelPreferences {
+  constructor(store, defaultModel = DEFAULT_MODEL) {
+    this.store = store;
+    this.defaultModel = defaultModel;
+  }
+
+  get(scope, id) {
+    return this.store.get('models', `${scope}:${id}`) ?? null;
+  }
+
+  set(scope, id, modelId) {
+    this.store.set('models', `${scope}:${id}`, modelId);
+  }
+
+  reset(scope, id) {
+    return this.store.delete('models', `${scope}:${id}`);
+  }
+
+  /**
+   * The model to use for a request, as `{ model, scope }`
+   * (`scope` is 'default' when no preference applies).
+   *
+   * @param {{ userId?: string, channelId?: string, guildId?: string }} ids
+   */
+  resolve(ids) {
+    for (const scope of MODEL_SCOPES) {
+      const id = ids[`${scope}Id`];
+      const model = id && this.get(scope, id);
+      if (model) return { model, scope };
+    }
+    return { model: this.defaultModel, scope: 'default' };
+  }
+}
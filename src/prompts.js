@@ -0,0 +1,78 @@
+import { describeMessage } from './conversation.js';
+import { estimateTextTokens } from './context.js';
+
+// One-shot requests behind /summarize and the Explain / Translate message
+// commands. Each builder returns chat-completion messages for CopilotManager.
+
+const SUMMARIZE_PROMPT =
+  'Summarize the Discord conversation below for someone who missed it. Lead with the ' +
+  'main topics, then decisions, open questions and who is doing what. Use short bullet ' +
+  'points and mention people by name; skip small talk.';
+
+const EXPLAIN_PROMPT =
+  'Explain the Discord message below to the person asking: what it means, any jargon, ' +
+  'code or references in it, and the context they may be missing. Be concise.';
+
+const TRANSLATE_PROMPT =
+  'Translate the Discord message below into {language}. Keep formatting, code, mentions ' +
+  'and emoji as they are. Reply with the translation only; if it is already in ' +
+  '{language}, say so in one short sentence.';
+
+const DURATION_UNITS = { s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000, w: 604_800_000 };
+
+/** Parses durations like "90m", "2h" or "1d 12h" into milliseconds; null if invalid. */
+export function parseDuration(text) {
+  const compact = String(text ?? '').toLowerCase().replace(/\s+/g, '');
+  if (!/^(\d+[smhdw])+$/.test(compact)) return null;
+  const ms = compact.match(/\d+[smhdw]/g).reduce((sum, part) => sum + parseInt(part, 10) * DURATION_UNITS[part.slice(-1)], 0);
+  return ms > 0 ? ms : null;
+}
+
+/** The English name of a Discord locale (e.g. 'pt-BR' → 'Brazilian Portuguese'). */
+export function languageName(locale) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(locale) ?? 'English';
+  } catch {
+    return 'English';
+  }
+}
+
+/**
+ * Asks for a summary of `messages` (oldest first). When the transcript is
+ * longer than `maxTokens`, the oldest messages are left out.
+ *
+ * @returns {{ messages: object[], included: number }}
+ */
+export function summarizeRequest(messages, { maxTokens = Infinity } = {}) {
+  const lines = [];
+  let tokens = 0;
+  for (const message of [...messages].reverse()) {
+    const text = describeMessage(message);
+    if (!text) continue;
+    const line = `[${new Date(message.createdTimestamp).toISOString().slice(0, 16).replace('T', ' ')}] ${message.author.username}: ${text}`;
+    tokens += estimateTextTokens(line);
+    if (tokens > maxTokens) break;
+    lines.unshift(line);
+  }
+  return {
+    messages: [
+      { role: 'system', content: SUMMARIZE_PROMPT },
+      { role: 'user',   content: lines.join('\n') },
+    ],
+    included: lines.length,
+  };
+}
+
+export function explainRequest(message) {
+  return [
+    { role: 'system', content: EXPLAIN_PROMPT },
+    { role: 'user',   content: `${message.author.username}: ${describeMessage(message)}` },
+  ];
+}
+
+export function translateRequest(message, language) {
+  return [
+    { role: 'system', content: TRANSLATE_PROMPT.replaceAll('{language}', language) },
+    { role: 'user',   content: describeMessage(message) },
+  ];
+}
@@ -0,0 +1,507 @@
+import fs from 'fs';
+import * as log from './logger.js';
+import { fetchWithRetry } from './http.js';
+
+// LLM backends. Every provider takes and returns chat-completion messages
+// (see conversation.js), so the rest of the bot doesn't care where a model
+// runs: GitHub Copilot (copilot.js), any OpenAI-compatible server such as
+// Ollama or llama.cpp, or Anthropic's Messages API. ProviderRouter picks the
+// provider for each model and fails over to a second one on errors.
+
+export const PROVIDER_TYPES = ['openai', 'anthropic'];
+
+export const DEFAULT_MAX_TOOL_ITERATIONS = 5;
+
+const ANTHROPIC_API_BASE = 'https://api.anthropic.com';
+const ANTHROPIC_VERSION  = '2023-06-01';
+
+// Anthropic requires a reply limit; used unless a model entry sets maxOutputTokens
+const DEFAULT_MAX_OUTPUT_TOKENS = 4096;
+
+// Conservative window for configured models that don't say
+const DEFAULT_CONTEXT_TOKENS = 32000;
+
+/**
+ * Base class with the tool-calling loop. Subclasses talk to one API through
+ *
+ *   complete(conversation, model, { tools, toolChoice, signal, maxTokens })
+ *     → { message: { content, tool_calls? }, finishReason }
+ *   completeStream(conversation, model, options)  – an async generator that
+ *     yields text deltas and returns the same as complete()
+ *
+ * where `message` is an assistant chat-completion message and finishReason
+ * is normalised to 'stop', 'length' or 'tool_calls'.
+ */
+export class ChatProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async start() {}
+
+  async stop() {}
+
+  /**
+   * Sends a conversation and resolves with the complete reply as
+   * `{ data: { content, finishReason } }`.
+   *
+   * With `tools` (a ToolRegistry), tool calls the model makes are executed
+   * with `context` and their results fed back until it gives a final answer,
+   * for at most `maxToolIterations` rounds.
+   *
+   * `data.finishReason` is 'length' when the reply was cut off at the
+   * model's output limit. A `signal` (AbortSignal) cancels the request.
+   */
+  async send(messages, { model, tools = null, context = {}, maxToolIterations = DEFAULT_MAX_TOOL_ITERATIONS, signal, maxTokens } = {}) {
+    const conversation = [...messages];
+    for (let round = 0; ; round++) {
+      const { message = {}, finishReason = null } =
+        await this.complete(conversation, model, { signal, maxTokens, ...toolOptions(tools, round, maxToolIterations) });
+      if (!message.tool_calls?.length || round >= maxToolIterations) {
+        return { data: { content: message.content ?? '', finishReason } };
+      }
+      await this.runTools(conversation, message, tools, context);
+    }
+  }
+
+  /**
+   * Streaming counterpart of send(): yields the reply as text deltas while
+   * it is generated. Tool calls are executed between rounds and streaming
+   * resumes with the answer. The generator's return value is `{ finishReason }`.
+   */
+  async *stream(messages, { model, tools = null, context = {}, maxToolIterations = DEFAULT_MAX_TOOL_ITERATIONS, signal, maxTokens } = {}) {
+    const conversation = [...messages];
+    for (let round = 0; ; round++) {
+      const { message, finishReason } =
+        yield* this.completeStream(conversation, model, { signal, maxTokens, ...toolOptions(tools, round, maxToolIterations) });
+      if (!message.tool_calls?.length || round >= maxToolIterations) return { finishReason };
+      await this.runTools(conversation, message, tools, context);
+    }
+  }
+
+  /** Appends the assistant's tool calls and their results to `conversation`. */
+  async runTools(conversation, message, tools, context) {
+    conversation.push({ role: 'assistant', content: message.content || null, tool_calls: message.tool_calls });
+    for (const call of message.tool_calls) {
+      conversation.push({ role: 'tool', tool_call_id: call.id, content: await tools.execute(call, context) });
+    }
+  }
+}
+
+/**
+ * Request options for one round of the tool loop. Once the iteration cap is
+ * reached the tools stay declared (earlier rounds reference them) but the
+ * model is told not to call any more.
+ */
+function toolOptions(tools, round, maxToolIterations) {
+  if (!tools?.size) return {};
+  return round < maxToolIterations ? { tools } : { tools, toolChoice: 'none' };
+}
+
+// ─── OpenAI-compatible ────────────────────────────────────────────────────────
+
+/**
+ * Any server speaking OpenAI's `/chat/completions` (OpenAI, Ollama,
+ * llama.cpp, vLLM, …). `baseUrl` includes the version path, e.g.
+ * `http://localhost:11434/v1`.
+ */
+export class OpenAIProvider extends ChatProvider {
+  /** @param {{ name?: string, baseUrl: string, apiKey?: string, label?: string, retry?: object }} options */
+  constructor({ name = 'openai', baseUrl, apiKey = '', label = 'OpenAI', retry = {} }) {
+    super(name);
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.label = label;
+    this.retry = retry;
+  }
+
+  async headers() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+    return headers;
+  }
+
+  async complete(conversation, model, options) {
+    const res = await this.request(conversation, model, options);
+    const data = await res.json();
+    const { message = {}, finish_reason: finishReason = null } = data?.choices?.[0] ?? {};
+    return { message, finishReason };
+  }
+
+  async *completeStream(conversation, model, options) {
+    const res = await this.request(conversation, model, { ...options, stream: true });
+
+    let content = '';
+    let finishReason = null;
+    const calls = [];
+    for await (const event of readSSE(res.body)) {
+      const choice = event?.choices?.[0];
+      if (choice?.finish_reason) finishReason = choice.finish_reason;
+      const delta = choice?.delta;
+      if (delta?.content) {
+        content += delta.content;
+        yield delta.content;
+      }
+      for (const part of delta?.tool_calls ?? []) {
+        const call = calls[part.index ?? 0] ??= { id: '', type: 'function', function: { name: '', arguments: '' } };
+        if (part.id) call.id = part.id;
+        if (part.function?.name) call.function.name += part.function.name;
+        if (part.function?.arguments) call.function.arguments += part.function.arguments;
+      }
+    }
+
+    const toolCalls = calls.filter(Boolean);
+    return { message: { content, ...(toolCalls.length ? { tool_calls: toolCalls } : {}) }, finishReason };
+  }
+
+  async request(messages, model, { stream = false, tools = null, toolChoice, signal, maxTokens } = {}) {
+    const body = { model, messages };
+    if (stream) body.stream = true;
+    if (tools?.size) body.tools = tools.definitions();
+    if (toolChoice) body.tool_choice = toolChoice;
+    if (maxTokens) body.max_tokens = maxTokens;
+
+    const res = await this.fetch('/chat/completions', {
+      method: 'POST',
+      body: JSON.stringify(body),
+      signal,
+    });
+
+    if (!res.ok) {
+      const text = await res.text();
+      throw new Error(`${this.label} API ${res.status}: ${text}`);
+    }
+
+    return res;
+  }
+
+  /** fetch() against the API with its headers; rate limits and server errors are retried with backoff. */
+  async fetch(path, init = {}) {
+    return fetchWithRetry(
+      async () => fetch(`${this.baseUrl}${path}`, { ...init, headers: { ...await this.headers(), ...init.headers } }),
+      { label: this.label, ...this.retry, signal: init.signal },
+    );
+  }
+}
+
+// ─── Anthropic ────────────────────────────────────────────────────────────────
+
+const STOP_REASONS = { end_turn: 'stop', stop_sequence: 'stop', max_tokens: 'length', tool_use: 'tool_calls' };
+
+/** Anthropic's Messages API (`/v1/messages`). */
+export class AnthropicProvider extends ChatProvider {
+  /** @param {{ name?: string, baseUrl?: string, apiKey: string, maxTokens?: number, retry?: object }} options */
+  constructor({ name = 'anthropic', baseUrl = ANTHROPIC_API_BASE, apiKey, maxTokens = DEFAULT_MAX_OUTPUT_TOKENS, retry = {} }) {
+    super(name);
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.maxTokens = maxTokens;
+    this.retry = retry;
+  }
+
+  async complete(conversation, model, options) {
+    const res = await this.request(conversation, model, options);
+    const data = await res.json();
+    const blocks = data?.content ?? [];
+    const toolCalls = blocks.filter(b => b.type === 'tool_use').map(b => ({
+      id: b.id, type: 'function', function: { name: b.name, arguments: JSON.stringify(b.input ?? {}) },
+    }));
+    const content = blocks.filter(b => b.type === 'text').map(b => b.text).join('');
+    return {
+      message:      { content, ...(toolCalls.length ? { tool_calls: toolCalls } : {}) },
+      finishReason: STOP_REASONS[data?.stop_reason] ?? data?.stop_reason ?? null,
+    };
+  }
+
+  async *completeStream(conversation, model, options) {
+    const res = await this.request(conversation, model, { ...options, stream: true });
+
+    let content = '';
+    let finishReason = null;
+    const calls = []; // by content block index
+    for await (const event of readSSE(res.body)) {
+      if (event.type === 'content_block_start' && event.content_block?.type === 'tool_use') {
+        calls[event.index] = { id: event.content_block.id, type: 'function', function: { name: event.content_block.name, arguments: '' } };
+      } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        content += event.delta.text;
+        yield event.delta.text;
+      } else if (event.type === 'content_block_delta' && event.delta?.type === 'input_json_delta') {
+        calls[event.index].function.arguments += event.delta.partial_json;
+      } else if (event.type === 'message_delta' && event.delta?.stop_reason) {
+        finishReason = STOP_REASONS[event.delta.stop_reason] ?? event.delta.stop_reason;
+      } else if (event.type === 'error') {
+        throw new Error(`Anthropic API error: ${event.error?.message ?? 'stream failed'}`);
+      }
+    }
+
+    const toolCalls = calls.filter(Boolean).map(c => ({ ...c, function: { ...c.function, arguments: c.function.arguments || '{}' } }));
+    return { message: { content, ...(toolCalls.length ? { tool_calls: toolCalls } : {}) }, finishReason };
+  }
+
+  async request(messages, model, { stream = false, tools = null, toolChoice, signal, maxTokens } = {}) {
+    const body = { model, max_tokens: maxTokens ?? this.maxTokens, ...toAnthropicMessages(messages) };
+    if (stream) body.stream = true;
+    if (tools?.size) {
+      body.tools = tools.definitions().map(({ function: f }) => ({ name: f.name, description: f.description, input_schema: f.parameters }));
+      if (toolChoice === 'none') body.tool_choice = { type: 'none' };
+    }
+
+    const res = await fetchWithRetry(
+      () => fetch(`${this.baseUrl}/v1/messages`, {
+        method:  'POST',
+        headers: { 'Content-Type': 'application/json', 'x-api-key': this.apiKey, 'anthropic-version': ANTHROPIC_VERSION },
+        body:    JSON.stringify(body),
+        signal,
+      }),
+      { label: 'Anthropic', ...this.retry, signal },
+    );
+
+    if (!res.ok) {
+      const text = await res.text();
+      throw new Error(`Anthropic API ${res.status}: ${text}`);
+    }
+    return res;
+  }
+}
+
+/**
+ * Converts chat-completion messages to the Messages API's `{ system, messages }`:
+ * system prompts are joined, images become base64 image blocks, tool calls
+ * `tool_use` blocks and tool results `tool_result` blocks in a user turn.
+ * Consecutive turns of the same role are merged, as the API requires.
+ */
+export function toAnthropicMessages(messages) {
+  const system = [];
+  const out = [];
+  const push = (role, blocks) => {
+    const last = out.at(-1);
+    if (last?.role === role) last.content.push(...blocks);
+    else out.push({ role, content: blocks });
+  };
+
+  for (const m of messages) {
+    if (m.role === 'system') {
+      system.push(typeof m.content === 'string' ? m.content : m.content.map(p => p.text ?? '').join(''));
+    } else if (m.role === 'tool') {
+      push('user', [{ type: 'tool_result', tool_use_id: m.tool_call_id, content: m.content }]);
+    } else {
+      const blocks = contentBlocks(m.content);
+      for (const call of m.tool_calls ?? []) {
+        blocks.push({ type: 'tool_use', id: call.id, name: call.function.name, input: parseArguments(call.function.arguments) });
+      }
+      if (blocks.length) push(m.role === 'assistant' ? 'assistant' : 'user', blocks);
+    }
+  }
+
+  return { ...(system.length ? { system: system.join('\n\n') } : {}), messages: out };
+}
+
+function contentBlocks(content) {
+  if (content == null || content === '') return [];
+  if (typeof content === 'string') return [{ type: 'text', text: content }];
+  return content.flatMap(part => {
+    if (part.type === 'text') return part.text ? [{ type: 'text', text: part.text }] : [];
+    if (part.type === 'image_url') {
+      const match = /^data:([^;]+);base64,(.*)$/s.exec(part.image_url?.url ?? '');
+      return match
+        ? [{ type: 'image', source: { type: 'base64', media_type: match[1], data: match[2] } }]
+        : [{ type: 'image', source: { type: 'url', url: part.image_url.url } }];
+    }
+    return [];
+  });
+}
+
+function parseArguments(text) {
+  try {
+    return text ? JSON.parse(text) : {};
+  } catch {
+    return {};
+  }
+}
+
+// ─── Routing & failover ───────────────────────────────────────────────────────
+
+/**
+ * Sends each request to the provider configured for its model (Copilot for
+ * everything else). When that provider fails and the model has a failover,
+ * the request is repeated there – for streams only if nothing had been
+ * streamed yet. Cancelled requests are never retried.
+ *
+ * Has the same interface as a provider, plus `fetch` for Copilot's catalog.
+ */
+export class ProviderRouter {
+  /**
+   * @param {ChatProvider} copilot  the default provider (a CopilotManager)
+   * @param {{ providers?: Map<string, ChatProvider>, models?: object[] }} [options]
+   *   `models` as returned by loadProviders
+   */
+  constructor(copilot, { providers = new Map(), models = [] } = {}) {
+    this.copilot = copilot;
+    this.providers = new Map([['copilot', copilot], ...providers]);
+    this.models = new Map(models.map(m => [m.id, m]));
+  }
+
+  /** `{ provider, model, maxTokens, failover }` for a model ID; failover has the same shape or is null. */
+  route(modelId) {
+    const entry = this.models.get(modelId);
+    const at = (name, model) => ({ provider: this.providers.get(name ?? 'copilot'), model, maxTokens: entry?.maxOutputTokens });
+    const primary = at(entry?.provider, modelId);
+    const failover = entry?.failover ? at(entry.failover.provider, entry.failover.model ?? modelId) : null;
+    return { ...primary, failover };
+  }
+
+  /** The configured model entries, for the catalog. */
+  modelEntries() {
+    return [...this.models.values()];
+  }
+
+  async start() {
+    for (const provider of new Set(this.providers.values())) await provider.start();
+  }
+
+  async stop() {
+    for (const provider of new Set(this.providers.values())) await provider.stop();
+  }
+
+  fetch(path, init) {
+    return this.copilot.fetch(path, init);
+  }
+
+  async send(messages, options = {}) {
+    const route = this.route(options.model);
+    try {
+      return await route.provider.send(messages, { maxTokens: route.maxTokens, ...options, model: route.model });
+    } catch (err) {
+      if (!this.canFailOver(route, err, options)) throw err;
+      return route.failover.provider.send(messages, { maxTokens: route.maxTokens, ...options, model: route.failover.model });
+    }
+  }
+
+  async *stream(messages, options = {}) {
+    const route = this.route(options.model);
+    let streamed = false;
+    try {
+      const deltas = route.provider.stream(messages, { maxTokens: route.maxTokens, ...options, model: route.model });
+      let next;
+      while (!(next = await deltas.next()).done) {
+        streamed = true;
+        yield next.value;
+      }
+      return next.value;
+    } catch (err) {
+      if (streamed || !this.canFailOver(route, err, options)) throw err;
+      return yield* route.failover.provider.stream(messages, { maxTokens: route.maxTokens, ...options, model: route.failover.model });
+    }
+  }
+
+  canFailOver(route, err, { signal }) {
+    if (!route.failover || signal?.aborted || err.name === 'AbortError') return false;
+    log.warn('Providers', `${route.provider.name} failed for ${route.model} (${err.message}); failing over to ${route.failover.provider.name}`);
+    return true;
+  }
+}
+
+// ─── Configuration ────────────────────────────────────────────────────────────
+
+/**
+ * Reads the providers file (PROVIDERS_FILE):
+ *
+ *   {
+ *     "providers": {
+ *       "local":  { "type": "openai", "baseUrl": "http://localhost:11434/v1" },
+ *       "claude": { "type": "anthropic", "apiKeyEnv": "ANTHROPIC_API_KEY" }
+ *     },
+ *     "models": [
+ *       { "id": "llama3.1", "provider": "local", "contextTokens": 128000, "tools": true },
+ *       { "id": "claude-sonnet-4", "provider": "claude", "vision": true, "tools": true,
+ *         "failover": { "provider": "copilot" } }
+ *     ]
+ *   }
+ *
+ * "copilot" is always available as a provider. API keys can be given inline
+ * (`apiKey`) or read from the environment (`apiKeyEnv`). Throws on anything
+ * invalid.
+ *
+ * @returns {{ providers: Map<string, ChatProvider>, models: object[] }}
+ *   models in the shape of MODELS (copilot.js) plus `provider`, `failover`
+ *   and `maxOutputTokens`
+ */
+export function loadProviders(file, { env = process.env, retry = {} } = {}) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read ${file}: ${err.message}`);
+  }
+
+  const providers = new Map();
+  for (const [name, spec] of Object.entries(config.providers ?? {})) {
+    if (name === 'copilot') throw new Error('"copilot" is built in and can\'t be redefined');
+    if (!PROVIDER_TYPES.includes(spec.type)) throw new Error(`Provider "${name}": type must be one of: ${PROVIDER_TYPES.join(', ')}`);
+    const apiKey = spec.apiKey ?? (spec.apiKeyEnv ? env[spec.apiKeyEnv] : '') ?? '';
+    if (spec.apiKeyEnv && !apiKey) throw new Error(`Provider "${name}": ${spec.apiKeyEnv} is not set`);
+
+    if (spec.type === 'openai') {
+      if (!spec.baseUrl) throw new Error(`Provider "${name}": baseUrl is required`);
+      providers.set(name, new OpenAIProvider({ name, baseUrl: spec.baseUrl, apiKey, label: name, retry }));
+    } else {
+      if (!apiKey) throw new Error(`Provider "${name}": apiKey or apiKeyEnv is required`);
+      providers.set(name, new AnthropicProvider({ name, baseUrl: spec.baseUrl, apiKey, retry }));
+    }
+  }
+
+  const known = name => name === 'copilot' || providers.has(name);
+  const models = (config.models ?? []).map(entry => {
+    if (!entry.id) throw new Error('Every model needs an "id"');
+    const provider = entry.provider ?? 'copilot';
+    if (!known(provider)) throw new Error(`Model "${entry.id}": unknown provider "${provider}"`);
+    if (entry.failover && !known(entry.failover.provider)) throw new Error(`Model "${entry.id}": unknown failover provider "${entry.failover.provider}"`);
+
+    const contextTokens = entry.contextTokens ?? DEFAULT_CONTEXT_TOKENS;
+    const vision = Boolean(entry.vision);
+    const tools  = Boolean(entry.tools);
+    const features = [`${Math.round(contextTokens / 1000)}k context`];
+    if (vision) features.push('vision');
+    if (tools)  features.push('tools');
+
+    return {
+      id:              entry.id,
+      label:           entry.label ?? entry.id,
+      description:     `${provider} · ${features.join(' · ')}`,
+      contextTokens,
+      vision,
+      tools,
+      provider,
+      failover:        entry.failover ? { provider: entry.failover.provider, model: entry.failover.model ?? entry.id } : null,
+      maxOutputTokens: entry.maxOutputTokens,
+    };
+  });
+
+  return { providers, models };
+}
+
+/** Parses a server-sent event stream, yielding each `data:` payload as JSON until `[DONE]`. */
+export async function* readSSE(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).replace(/\r$/, '');
+      buffer = buffer.slice(newline + 1);
+
+      if (!line.startsWith('data:')) continue;
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') return;
+
+      try {
+        yield JSON.parse(data);
+      } catch {
+        log.debug('Providers', `Ignoring malformed SSE payload: ${data.slice(0, 80)}`);
+      }
+    }
+  }
+}
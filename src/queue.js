@@ -0,0 +1,208 @@
+import * as log from './logger.js';
+
+/**
+ * The queue of requests waiting to be answered. Each channel's requests run
+ * one at a time and in order; at most `concurrency` run at once overall,
+ * and the channel waiting longest goes next when a slot frees up.
+ *
+ * Messages a user sends in quick succession are coalesced: while a request
+ * is still waiting, another plain message from the same user in the same
+ * channel within `coalesceMs` joins it instead of queueing on its own, and
+ * the request is answered once, for the newest message. A request is held
+ * back `coalesceMs` after its last message so the follow-ups can arrive –
+ * but takes at most `maxBatch` messages and is held no longer than
+ * `maxHoldMs` after the first, so a steady stream can't stall the channel.
+ *
+ * Entries are `{ message, batch, options, queuedAt }`: `batch` holds the
+ * earlier messages coalesced into it. `run(entry)` answers one.
+ */
+export class RequestQueue {
+  /**
+   * @param {{ run: (entry: object) => Promise<void>, concurrency?: number, maxDepth?: number,
+   *           coalesceMs?: number, maxBatch?: number, maxHoldMs?: number, now?: () => number }} options
+   *   `maxDepth` requests may wait per channel (0 = no cap)
+   */
+  constructor({ run, concurrency = 4, maxDepth = 10, coalesceMs = 0, maxBatch = 5, maxHoldMs = 10_000, now = Date.now }) {
+    this.run = run;
+    this.concurrency = Math.max(1, concurrency);
+    this.maxDepth = maxDepth;
+    this.coalesceMs = coalesceMs;
+    this.maxBatch = maxBatch;
+    this.maxHoldMs = maxHoldMs;
+    this.now = now;
+
+    this.channels = new Map(); // channelId → { waiting: [entry], running: entry|null }
+    this.active = 0;
+    this.seq = 0;
+    this.timer = null;
+  }
+
+  /** Whether a new message for this channel would be taken (joins a waiting request, or there's room). Requests with `options` never join one. */
+  accepts(message, options = {}) {
+    const joins = !Object.keys(options).length && this.coalesces(message);
+    return joins || !this.maxDepth || this.waiting(message.channelId).length < this.maxDepth;
+  }
+
+  /** Whether a plain message would join a waiting request rather than make a new one. */
+  coalesces(message) {
+    return Boolean(this.coalesceTarget(message));
+  }
+
+  /**
+   * Queues a message and returns `{ entry, coalesced, position }`,
+   * where position is the entry's place in its channel's line counting the
+   * request being answered (0 when it starts without waiting on anyone).
+   * Only plain messages (no `options`) are coalesced; the depth cap is
+   * checked with accepts() beforehand.
+   */
+  add(message, options = {}) {
+    const now    = this.now();
+    const target = Object.keys(options).length ? null : this.coalesceTarget(message);
+    if (target) {
+      target.batch.push(target.message);
+      target.message = message;
+      target.readyAt = Math.min(now + this.coalesceMs, target.queuedAt + this.maxHoldMs);
+      this.schedule();
+      return { entry: target, coalesced: true, position: this.positionOf(target) };
+    }
+
+    const channel = this.channel(message.channelId);
+    const entry = {
+      message,
+      batch:    [],
+      options,
+      queuedAt: now,
+      readyAt:  Object.keys(options).length ? now : now + this.coalesceMs,
+      seq:      this.seq++,
+    };
+    channel.waiting.push(entry);
+    const position = this.positionOf(entry);
+    this.schedule();
+    return { entry, coalesced: false, position };
+  }
+
+  /**
+   * Drops a waiting message (e.g. when it was deleted). A coalesced request
+   * keeps its other messages and is answered for the newest one left.
+   * Returns the entry when the whole request was dropped, else null.
+   */
+  cancel(channelId, messageId) {
+    const channel = this.channels.get(channelId);
+    const entry   = channel?.waiting.find(e => e.message.id === messageId || e.batch.some(m => m.id === messageId));
+    if (!entry) return null;
+
+    if (entry.batch.length) {
+      if (entry.message.id === messageId) entry.message = entry.batch.pop();
+      else entry.batch = entry.batch.filter(m => m.id !== messageId);
+      return null;
+    }
+    channel.waiting.splice(channel.waiting.indexOf(entry), 1);
+    this.prune(channelId);
+    return entry;
+  }
+
+  /** Drops every waiting request in a channel and returns them. */
+  clear(channelId) {
+    const channel = this.channels.get(channelId);
+    if (!channel) return [];
+    const removed = channel.waiting.splice(0);
+    this.prune(channelId);
+    return removed;
+  }
+
+  /** Requests waiting in a channel, in order. */
+  waiting(channelId) {
+    return this.channels.get(channelId)?.waiting ?? [];
+  }
+
+  /** `[{ channelId, running, waiting }]` for every channel with requests, for /queue. */
+  snapshot() {
+    return [...this.channels].map(([channelId, { running, waiting }]) => ({ channelId, running, waiting: [...waiting] }));
+  }
+
+  /** Stops starting requests; those already running finish. */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    for (const channelId of [...this.channels.keys()]) this.clear(channelId);
+  }
+
+  // ─── Internals ───────────────────────────────────────────────────────────────
+
+  channel(channelId) {
+    if (!this.channels.has(channelId)) this.channels.set(channelId, { waiting: [], running: null });
+    return this.channels.get(channelId);
+  }
+
+  prune(channelId) {
+    const channel = this.channels.get(channelId);
+    if (channel && !channel.running && channel.waiting.length === 0) this.channels.delete(channelId);
+  }
+
+  /** The waiting request a message from the same user would join, if any. */
+  coalesceTarget(message) {
+    if (this.coalesceMs <= 0) return null;
+    const last = this.waiting(message.channelId).at(-1);
+    if (!last || Object.keys(last.options).length || last.message.author.id !== message.author.id) return null;
+    // A full request, or one held as long as it may be, takes no more
+    if (last.batch.length + 1 >= this.maxBatch || this.now() >= last.queuedAt + this.maxHoldMs) return null;
+    return this.now() - last.message.createdTimestamp <= this.coalesceMs ? last : null;
+  }
+
+  positionOf(entry) {
+    const channel = this.channels.get(entry.message.channelId);
+    const ahead   = channel.waiting.indexOf(entry) + (channel.running ? 1 : 0);
+    if (ahead === 0 && this.active < this.concurrency) return 0;
+    return ahead + 1;
+  }
+
+  /** Starts whatever can start now, and sets a timer for requests still held back. */
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    while (this.active < this.concurrency) {
+      const next = this.nextReady();
+      if (!next) break;
+      this.start(next);
+    }
+
+    const held = [...this.channels.values()]
+      .filter(c => !c.running && c.waiting.length)
+      .map(c => c.waiting[0].readyAt);
+    if (held.length && this.active < this.concurrency) {
+      this.timer = setTimeout(() => this.schedule(), Math.max(0, Math.min(...held) - this.now()));
+      this.timer.unref?.();
+    }
+  }
+
+  /** The ready request that has waited longest among idle channels. */
+  nextReady() {
+    const now = this.now();
+    let best = null;
+    for (const channel of this.channels.values()) {
+      const head = channel.waiting[0];
+      if (channel.running || !head || head.readyAt > now) continue;
+      if (!best || head.seq < best.seq) best = head;
+    }
+    return best;
+  }
+
+  start(entry) {
+    const channelId = entry.message.channelId;
+    const channel   = this.channels.get(channelId);
+    channel.waiting.shift();
+    channel.running = entry;
+    this.active++;
+
+    Promise.resolve()
+      .then(() => this.run(entry))
+      .catch(err => log.error('Queue', `Unhandled queue error: ${err.message}`))
+      .finally(() => {
+        channel.running = null;
+        this.active--;
+        this.prune(channelId);
+        this.schedule();
+      });
+  }
+}
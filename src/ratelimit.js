@@ -0,0 +1,156 @@
+// Most specific first; every bucket must have a token for a request to pass
+export const LIMIT_SCOPES = ['user', 'channel', 'guild'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Past this many buckets, those that have refilled (same as never used) are dropped
+const MAX_IDLE_BUCKETS = 1000;
+
+/**
+ * Parses a rate like "5/60" (5 requests per 60 seconds) into
+ * `{ capacity, intervalMs }`, or null for "", "0" or "off".
+ */
+export function parseRate(value) {
+  const text = String(value ?? '').trim().toLowerCase();
+  if (!text || text === '0' || text === 'off') return null;
+  const match = text.match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) throw new Error(`Invalid rate "${value}" (expected requests/seconds, e.g. 5/60)`);
+  return { capacity: Number(match[1]), intervalMs: Number(match[2]) * 1000 };
+}
+
+/** Parses "roleId:quota,roleId:quota" into `{ [roleId]: quota }`. */
+export function parseRoleQuotas(value) {
+  const quotas = {};
+  for (const entry of String(value ?? '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const match = entry.match(/^(\d+)\s*:\s*(\d+)$/);
+    if (!match) throw new Error(`Invalid role quota "${entry}" (expected roleId:quota)`);
+    quotas[match[1]] = Number(match[2]);
+  }
+  return quotas;
+}
+
+/** UTC day a timestamp falls on, e.g. "2024-05-01". */
+function dayOf(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+/**
+ * Token-bucket rate limits per user, channel and guild plus daily request
+ * quotas per user. A bucket holds up to `capacity` requests and refills
+ * continuously over `intervalMs`. Daily quotas come from the user's roles
+ * (the most generous one wins, 0 = unlimited) and reset at midnight UTC.
+ *
+ * Buckets live in memory – they refill within minutes, so a restart
+ * costing one burst doesn't matter. Daily counters are saved in the store
+ * under `usage` so restarts don't hand out fresh quotas.
+ */
+export class RateLimiter {
+  /**
+   * @param {object} store
+   * @param {{ user?: object|null, channel?: object|null, guild?: object|null,
+   *           dailyQuota?: number, roleQuotas?: Record<string, number>, now?: () => number }} options
+   *   rates as returned by parseRate (null = no limit)
+   */
+  constructor(store, { user = null, channel = null, guild = null, dailyQuota = 0, roleQuotas = {}, now = Date.now } = {}) {
+    this.store = store;
+    this.rates = { user, channel, guild };
+    this.dailyQuota = dailyQuota;
+    this.roleQuotas = roleQuotas;
+    this.now = now;
+    this.buckets = new Map(); // `${scope}:${id}` → { tokens, updatedAt }
+  }
+
+  /** The daily quota for a member with these roles (0 = unlimited). */
+  quotaFor(roleIds = []) {
+    const quotas = roleIds.filter(id => id in this.roleQuotas).map(id => this.roleQuotas[id]);
+    if (quotas.length === 0) return this.dailyQuota;
+    return quotas.includes(0) ? 0 : Math.max(...quotas);
+  }
+
+  /**
+   * Counts a request if every limit allows it. Returns `{ allowed: true }`
+   * or `{ allowed: false, scope, retryAfterMs }`, where `scope` is the bucket
+   * that ran out ('user' | 'channel' | 'guild') or 'quota'.
+   *
+   * With `countQuota` false only the buckets are charged: for a message
+   * that joins a request already counted towards the daily quota.
+   *
+   * @param {{ userId: string, channelId?: string, guildId?: string, roleIds?: string[] }} ids
+   */
+  consume({ userId, channelId, guildId, roleIds = [] }, { countQuota = true } = {}) {
+    const now = this.now();
+    const ids = { user: userId, channel: channelId, guild: guildId };
+
+    const quota = this.quotaFor(roleIds);
+    if (countQuota && quota > 0 && this.used(userId, now) >= quota) {
+      return { allowed: false, scope: 'quota', retryAfterMs: this.quotaResetsAt(now) - now };
+    }
+
+    // Check every bucket before taking from any, so a full guild bucket doesn't cost the user a token
+    const buckets = [];
+    for (const scope of LIMIT_SCOPES) {
+      const rate = this.rates[scope];
+      if (!rate || !ids[scope]) continue;
+      const bucket = this.bucket(scope, ids[scope], now);
+      if (bucket.tokens < 1) {
+        const retryAfterMs = Math.ceil((1 - bucket.tokens) * rate.intervalMs / rate.capacity);
+        return { allowed: false, scope, retryAfterMs };
+      }
+      buckets.push([scope, bucket]);
+    }
+
+    for (const [scope, bucket] of buckets) {
+      this.buckets.set(`${scope}:${ids[scope]}`, { tokens: bucket.tokens - 1, updatedAt: now });
+    }
+    if (this.buckets.size > MAX_IDLE_BUCKETS) this.prune(now);
+    if (countQuota) this.store.set('usage', `user:${userId}`, { day: dayOf(now), count: this.used(userId, now) + 1 });
+    return { allowed: true };
+  }
+
+  /** A bucket's current state, refilled for the time since it was last used. */
+  bucket(scope, id, now = this.now()) {
+    const { capacity, intervalMs } = this.rates[scope];
+    const saved = this.buckets.get(`${scope}:${id}`);
+    if (!saved) return { tokens: capacity, capacity };
+    const refilled = saved.tokens + (now - saved.updatedAt) * capacity / intervalMs;
+    return { tokens: Math.min(capacity, refilled), capacity };
+  }
+
+  /** Forgets buckets that have refilled completely. */
+  prune(now = this.now()) {
+    for (const key of this.buckets.keys()) {
+      const scope = key.slice(0, key.indexOf(':'));
+      if (!this.rates[scope] || this.bucket(scope, key.slice(scope.length + 1), now).tokens >= this.rates[scope].capacity) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+
+  /** Requests the user has made today. */
+  used(userId, now = this.now()) {
+    const saved = this.store.get('usage', `user:${userId}`);
+    return saved?.day === dayOf(now) ? saved.count : 0;
+  }
+
+  quotaResetsAt(now = this.now()) {
+    return Date.parse(dayOf(now)) + DAY_MS;
+  }
+
+  /**
+   * A user's standing for /usage: today's requests against their quota
+   * (`limit` 0 = unlimited) and their personal bucket, if limited.
+   */
+  usage({ userId, roleIds = [] }) {
+    const now   = this.now();
+    const limit = this.quotaFor(roleIds);
+    const used  = this.used(userId, now);
+    const rate  = this.rates.user;
+    return {
+      used,
+      limit,
+      remaining: limit > 0 ? Math.max(0, limit - used) : null,
+      resetsAt:  this.quotaResetsAt(now),
+      burst:     rate ? { available: Math.floor(this.bucket('user', userId, now).tokens), ...rate } : null,
+    };
+  }
+}
@@ -0,0 +1,312 @@
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import * as log from './logger.js';
+
+// Post-processing for model output that Discord doesn't render itself:
+// Markdown tables become monospace code blocks (or embeds), and LaTeX display
+// math and Mermaid diagrams become PNG attachments. Anything that can't be
+// rendered is left as the model wrote it.
+
+export const TABLE_MODES = ['code', 'embed', 'off'];
+
+// Discord limits
+const EMBED_FIELD_VALUE_LIMIT = 1024;
+const EMBED_FIELD_NAME_LIMIT  = 256;
+const EMBED_INLINE_COLUMNS    = 3;
+const BLANK = '\u200b'; // embed fields can't be empty
+export const EMBED_DESCRIPTION_LIMIT = 4096;
+
+const MATH_FENCES = new Set(['latex', 'tex', 'math', 'katex']);
+const MERMAID_TIMEOUT_MS = 30_000;
+
+// Rendered math is rasterised at this many pixels per ex, on white with a margin
+const MATH_EX_PX = 9;
+const MATH_MARGIN_PX = 16;
+
+const FENCE_LINE     = /^ {0,3}(`{3,}|~{3,})\s*([^\s`]*).*$/;
+const TABLE_ROW      = /^\s*\|.*\|\s*$/;
+const TABLE_DIVIDER  = /^\s*\|(\s*:?-+:?\s*\|)+\s*$/;
+const MATH_OPEN      = /^\s*(\$\$|\\\[)(.*)$/;
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Rewrites a reply for Discord.
+ *
+ * `renderMath(tex)` and `renderMermaid(source)` resolve with PNG data; they
+ * default to mathToPng and a MermaidRenderer for `mermaidCommand`, and
+ * either can be turned off (`math: false`, no `mermaidCommand`).
+ */
+export class Renderer {
+  constructor({ tables = 'code', math = true, mermaidCommand = '', renderMath, renderMermaid } = {}) {
+    this.tables        = tables;
+    this.renderMath    = math ? (renderMath ?? mathToPng) : null;
+    this.renderMermaid = renderMermaid ?? (mermaidCommand ? new MermaidRenderer(mermaidCommand).render : null);
+  }
+
+  /**
+   * @returns {Promise<{ text: string, files: { name: string, data: Buffer, ref: string }[], embeds: { embed: object, ref: string }[] }>}
+   *   `ref` is the line in `text` that stands in for a file or embed, so it
+   *   can go on the message that line ends up in (see placeRendered)
+   */
+  async render(text) {
+    const out    = [];
+    const files  = [];
+    const embeds = [];
+    const lines  = text.split('\n');
+
+    const image = async (kind, render, source, original) => {
+      try {
+        const name = `${kind}-${files.length + 1}.png`;
+        const ref  = `*(${kind}: ${name})*`;
+        files.push({ name, data: await render(source), ref });
+        out.push(ref);
+      } catch (err) {
+        log.warn('Render', `Could not render ${kind}: ${err.message}`);
+        out.push(...original);
+      }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line  = lines[i];
+      const fence = FENCE_LINE.exec(line);
+
+      if (fence) {
+        const end   = closingFence(lines, i, fence[1]);
+        const block = lines.slice(i, end + 1);
+        const lang  = fence[2].toLowerCase();
+        const body  = lines.slice(i + 1, end).join('\n');
+        i = end;
+        if (end < lines.length && lang === 'mermaid' && this.renderMermaid) await image('diagram', this.renderMermaid, body, block);
+        else if (end < lines.length && MATH_FENCES.has(lang) && this.renderMath) await image('math', this.renderMath, body, block);
+        else out.push(...block);
+        continue;
+      }
+
+      const math = this.renderMath && MATH_OPEN.exec(line);
+      if (math) {
+        const end = closingMath(lines, i, math[1]);
+        if (end !== -1) {
+          const block = lines.slice(i, end + 1);
+          const tex   = block.join('\n').trim().slice(2, -2);
+          i = end;
+          await image('math', this.renderMath, tex, block);
+          continue;
+        }
+      }
+
+      if (this.tables !== 'off' && TABLE_ROW.test(line) && TABLE_DIVIDER.test(lines[i + 1] ?? '')) {
+        let end = i + 1;
+        while (end + 1 < lines.length && TABLE_ROW.test(lines[end + 1])) end++;
+        const table = parseTable(lines.slice(i, end + 1));
+        i = end;
+
+        const embed = this.tables === 'embed' && tableEmbed(table);
+        if (embed) {
+          const ref = `*(table ${embeds.length + 1} below)*`;
+          embeds.push({ embed, ref });
+          out.push(ref);
+        } else {
+          out.push('```', ...formatTable(table), '```');
+        }
+        continue;
+      }
+
+      out.push(line);
+    }
+
+    return { text: out.join('\n'), files, embeds };
+  }
+}
+
+/** Index of the line closing the code block opened at `start`, or lines.length if it isn't closed. */
+function closingFence(lines, start, marker) {
+  for (let i = start + 1; i < lines.length; i++) {
+    const match = FENCE_LINE.exec(lines[i]);
+    if (match && match[1][0] === marker[0] && match[1].length >= marker.length && !match[2]) return i;
+  }
+  return lines.length;
+}
+
+/** Index of the line ending the `$$` / `\[` block opened at `start`, or -1. */
+function closingMath(lines, start, opener) {
+  const closer = opener === '$$' ? '$$' : '\\]';
+  const first  = lines[start].trim();
+  if (first.length > 2 * closer.length - 1 && first.endsWith(closer) && first !== opener) return start;
+  for (let i = start + 1; i < lines.length; i++) {
+    if (FENCE_LINE.test(lines[i])) return -1;
+    if (lines[i].trim().endsWith(closer)) return i;
+  }
+  return -1;
+}
+
+// ─── Tables ───────────────────────────────────────────────────────────────────
+
+function splitRow(row) {
+  const cells = [];
+  let cell = '';
+  let code = false;
+  const inner = row.trim().replace(/^\|/, '').replace(/\|$/, '');
+  for (let i = 0; i < inner.length; i++) {
+    const ch = inner[i];
+    if (ch === '\\' && inner[i + 1] === '|') {
+      cell += '|';
+      i++;
+    } else if (ch === '`') {
+      code = !code;
+      cell += ch;
+    } else if (ch === '|' && !code) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+/** A Markdown table's `{ header, align, rows }`; alignments are 'left', 'center' or 'right'. */
+export function parseTable(lines) {
+  const [headerLine, dividerLine, ...rowLines] = lines;
+  const header = splitRow(headerLine);
+  const align  = splitRow(dividerLine).map(d => (d.endsWith(':') ? (d.startsWith(':') ? 'center' : 'right') : 'left'));
+  const rows   = rowLines.map(line => {
+    const cells = splitRow(line);
+    return header.map((_, i) => cells[i] ?? '');
+  });
+  return { header, align, rows };
+}
+
+/** Markdown emphasis and code markers, which a code block would show literally. */
+function plain(cell) {
+  return cell
+    .replace(/\*\*(.+?)\*\*|__(.+?)__/g, '$1$2')
+    .replace(/(^|[^\w*])\*(?!\s)(.+?)\*(?!\w)/g, '$1$2')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1');
+}
+
+function pad(text, width, align) {
+  const space = width - [...text].length;
+  if (align === 'right') return ' '.repeat(space) + text;
+  if (align === 'center') return ' '.repeat(Math.floor(space / 2)) + text + ' '.repeat(Math.ceil(space / 2));
+  return text + ' '.repeat(space);
+}
+
+/** Lines of a table laid out in aligned columns, for a code block. */
+export function formatTable({ header, align, rows }) {
+  const cells  = [header, ...rows].map(row => row.map(plain));
+  const widths = header.map((_, i) => Math.max(...cells.map(row => [...row[i]].length)));
+  const line   = row => row.map((cell, i) => pad(cell, widths[i], align[i])).join(' | ').trimEnd();
+  return [
+    line(cells[0]),
+    widths.map(w => '-'.repeat(w)).join('-+-'),
+    ...cells.slice(1).map(line),
+  ];
+}
+
+/**
+ * An embed with one inline field per column, or null when the table has
+ * more columns than fit side by side or its cells exceed Discord's limits.
+ */
+export function tableEmbed({ header, rows }) {
+  if (header.length > EMBED_INLINE_COLUMNS) return null;
+  const fields = header.map((name, i) => ({
+    name:   name.slice(0, EMBED_FIELD_NAME_LIMIT) || BLANK,
+    value:  rows.map(row => row[i] || BLANK).join('\n') || BLANK,
+    inline: true,
+  }));
+  if (fields.some(f => f.value.length > EMBED_FIELD_VALUE_LIMIT)) return null;
+  return { fields };
+}
+
+// ─── Images ───────────────────────────────────────────────────────────────────
+
+let mathDocument = null;
+
+/** Renders LaTeX as a PNG with MathJax (the optional `mathjax-full` package). */
+export async function mathToPng(tex) {
+  mathDocument ??= await loadMathJax();
+  const { adaptor, doc } = mathDocument;
+  const svg = adaptor.innerHTML(doc.convert(tex.trim(), { display: true }))
+    .replace(/(width|height)="([\d.]+)ex"/g, (_, side, ex) => `${side}="${(parseFloat(ex) * MATH_EX_PX).toFixed(1)}px"`);
+
+  const { default: sharp } = await import('sharp');
+  return sharp(Buffer.from(svg))
+    .flatten({ background: '#ffffff' })
+    .extend({ top: MATH_MARGIN_PX, bottom: MATH_MARGIN_PX, left: MATH_MARGIN_PX, right: MATH_MARGIN_PX, background: '#ffffff' })
+    .png()
+    .toBuffer();
+}
+
+async function loadMathJax() {
+  const [{ mathjax }, { TeX }, { AllPackages }, { SVG }, { liteAdaptor }, { RegisterHTMLHandler }] = await Promise.all([
+    import('mathjax-full/js/mathjax.js'),
+    import('mathjax-full/js/input/tex.js'),
+    import('mathjax-full/js/input/tex/AllPackages.js'),
+    import('mathjax-full/js/output/svg.js'),
+    import('mathjax-full/js/adaptors/liteAdaptor.js'),
+    import('mathjax-full/js/handlers/html.js'),
+  ]);
+  const adaptor = liteAdaptor();
+  RegisterHTMLHandler(adaptor);
+  const doc = mathjax.document('', {
+    // Throw on bad TeX (including unknown macros) instead of rendering it in red
+    InputJax:  new TeX({ packages: AllPackages.filter(p => p !== 'noundefined'), formatError: (jax, err) => { throw err; } }),
+    OutputJax: new SVG({ fontCache: 'none' }),
+  });
+  return { adaptor, doc };
+}
+
+/**
+ * Renders Mermaid diagrams by running the Mermaid CLI (`mmdc`, from
+ * @mermaid-js/mermaid-cli), which is not a dependency of the bot – point
+ * MERMAID_CLI at it to turn diagrams on.
+ */
+export class MermaidRenderer {
+  constructor(command) {
+    this.command = command;
+    this.render = this.render.bind(this);
+  }
+
+  async render(source) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cobot-mermaid-'));
+    try {
+      const input  = path.join(dir, 'diagram.mmd');
+      const output = path.join(dir, 'diagram.png');
+      await fs.writeFile(input, source);
+      await execFileAsync(this.command, ['-i', input, '-o', output, '-b', 'white', '-q'], { timeout: MERMAID_TIMEOUT_MS });
+      return await fs.readFile(output);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }
+}
+
+// ─── Placement ────────────────────────────────────────────────────────────────
+
+/**
+ * Which message each rendered file or embed goes on, given the text split
+ * into `chunks`: the one containing its ref, else the last.
+ *
+ * @returns {{ files: object[], embeds: object[] }[]}  one entry per chunk
+ */
+export function placeRendered(chunks, { files = [], embeds = [] }) {
+  const placed = chunks.map(() => ({ files: [], embeds: [] }));
+  const home = ref => {
+    const i = chunks.findIndex(chunk => chunk.includes(ref));
+    return placed[i === -1 ? placed.length - 1 : i];
+  };
+  for (const file of files) home(file.ref).files.push(file);
+  for (const item of embeds) home(item.ref).embeds.push(item.embed);
+  return placed;
+}
+
+/** The footer line for an answer embed, e.g. "gpt-4.1 · 2.4s". */
+export function answerFooter(model, latencyMs) {
+  return [model, latencyMs != null && `${(latencyMs / 1000).toFixed(1)}s`].filter(Boolean).join(' · ');
+}
@@ -0,0 +1,151 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder } from 'discord.js';
+import * as log from './logger.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+export const FEEDBACK_FILE = path.join(ROOT, '.cobot-feedback.jsonl');
+
+// Controls under the bot's replies. Custom IDs carry what's needed to act on
+// them, even after a restart: `reply:<action>:<requestId>:<authorId>`, where
+// requestId is the message that was answered and authorId its author.
+export const REPLY_ACTIONS = ['regenerate', 'model', 'stop', 'continue', 'up', 'down'];
+
+// Discord's limit on select menu options
+const SELECT_MENU_LIMIT = 25;
+
+// Replies remembered for Continue (and for deleting every part on Regenerate)
+const RECENT_REPLY_LIMIT = 500;
+
+export function replyControlId(action, requestId, authorId) {
+  return `reply:${action}:${requestId}:${authorId}`;
+}
+
+/** `{ action, requestId, authorId }` for a reply control's custom ID, or null. */
+export function parseReplyControlId(customId) {
+  const [prefix, action, requestId, authorId] = String(customId).split(':');
+  if (prefix !== 'reply' || !REPLY_ACTIONS.includes(action) || !requestId || !authorId) return null;
+  return { action, requestId, authorId };
+}
+
+/** The Stop button shown while a reply is being generated. */
+export function stopControls(requestId, authorId) {
+  return [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(replyControlId('stop', requestId, authorId))
+        .setLabel('Stop')
+        .setStyle(ButtonStyle.Danger),
+    ).toJSON(),
+  ];
+}
+
+/**
+ * Buttons for a finished reply – Regenerate, Continue (when the answer was
+ * cut short), thumbs up/down – plus a menu to regenerate with another model.
+ *
+ * @param {{ requestId: string, authorId: string, truncated?: boolean, models?: { id: string, label: string }[], model?: string }} reply
+ */
+export function replyControls({ requestId, authorId, truncated = false, models = [], model }) {
+  const id = action => replyControlId(action, requestId, authorId);
+  const buttons = [
+    new ButtonBuilder().setCustomId(id('regenerate')).setLabel('Regenerate').setEmoji('🔄').setStyle(ButtonStyle.Secondary),
+  ];
+  if (truncated) {
+    buttons.push(new ButtonBuilder().setCustomId(id('continue')).setLabel('Continue').setEmoji('▶️').setStyle(ButtonStyle.Primary));
+  }
+  buttons.push(
+    new ButtonBuilder().setCustomId(id('up')).setEmoji('👍').setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(id('down')).setEmoji('👎').setStyle(ButtonStyle.Secondary),
+  );
+
+  const rows = [new ActionRowBuilder().addComponents(buttons).toJSON()];
+  if (models.length > 1) {
+    rows.push(new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId(id('model'))
+        .setPlaceholder('Regenerate with another model…')
+        .addOptions(models.slice(0, SELECT_MENU_LIMIT).map(m => ({
+          label:   m.label.slice(0, 100),
+          value:   m.id,
+          default: m.id === model,
+        }))),
+    ).toJSON());
+  }
+  return rows;
+}
+
+/**
+ * The bot's most recent replies, by the ID of the message they answer:
+ * `{ model, content, messageIds }`. Kept in memory only; the oldest are
+ * dropped past RECENT_REPLY_LIMIT.
+ */
+export class RecentReplies {
+  constructor(limit = RECENT_REPLY_LIMIT) {
+    this.limit = limit;
+    this.replies = new Map();
+  }
+
+  remember(requestId, reply) {
+    this.replies.delete(requestId);
+    this.replies.set(requestId, reply);
+    if (this.replies.size > this.limit) this.replies.delete(this.replies.keys().next().value);
+  }
+
+  get(requestId) {
+    return this.replies.get(requestId) ?? null;
+  }
+}
+
+/**
+ * Thumbs up/down on replies, appended to a JSON Lines file for reviewing
+ * which models and personas work well. Entries record the model, persona
+ * scope and where the reply was – not who voted; repeat votes by the same
+ * user on the same reply are ignored while the bot runs.
+ */
+export class FeedbackLog {
+  constructor(file = FEEDBACK_FILE) {
+    this.file = file;
+    this.voted = new Set();
+  }
+
+  /**
+   * @param {{ rating: 'up'|'down', replyId: string, requestId?: string, model?: string|null, persona?: string, guildId?: string|null, channelId?: string }} entry
+   * @param {string} userId  used only to ignore repeat votes
+   * @returns {boolean} false if this user already rated the reply
+   */
+  record(entry, userId) {
+    const vote = `${entry.replyId}:${userId}`;
+    if (this.voted.has(vote)) return false;
+    this.voted.add(vote);
+    try {
+      fs.appendFileSync(this.file, `${JSON.stringify({ at: new Date().toISOString(), ...entry })}\n`);
+    } catch (err) {
+      log.warn('Feedback', `Could not write ${this.file}: ${err.message}`);
+    }
+    return true;
+  }
+
+  entries() {
+    if (!fs.existsSync(this.file)) return [];
+    return fs.readFileSync(this.file, 'utf8').split('\n').filter(Boolean).flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+  }
+
+  /** Up and down votes per model, e.g. `{ 'gpt-4.1': { up: 3, down: 1 } }`. */
+  summary() {
+    const byModel = {};
+    for (const { model, rating } of this.entries()) {
+      const counts = byModel[model ?? 'unknown'] ??= { up: 0, down: 0 };
+      if (rating === 'up' || rating === 'down') counts[rating]++;
+    }
+    return byModel;
+  }
+}
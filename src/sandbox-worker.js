@@ -0,0 +1,135 @@
+// Worker side of sandbox.js: runs one snippet in a fresh vm context and posts
+// the result back. The context only has the JavaScript built-ins plus a
+// console defined inside it — no host functions are passed in, so there is
+// no path to require(), process, the filesystem or the network. Stack traces
+// only show frames in the snippet, so they don't give away host paths.
+
+import vm from 'vm';
+import { parentPort, workerData } from 'worker_threads';
+
+const { code, timeoutMs, maxOutputChars } = workerData;
+
+// Defines console and the formatting helpers inside the context
+const BOOTSTRAP = `(() => {
+  // Kept before the snippet runs: it may replace the built-ins' methods
+  const apply = Reflect.apply;
+  const join  = Array.prototype.join;
+  const map   = Array.prototype.map;
+  const slice = String.prototype.slice;
+  const text  = String;
+
+  const limit = ${Number(maxOutputChars)};
+  const lines = [];
+  let size = 0;
+  let truncated = false;
+
+  const format = (value, depth = 0, seen = new Set()) => {
+    if (typeof value === 'string') return depth === 0 ? value : JSON.stringify(value);
+    if (typeof value === 'function') return '[Function' + (value.name ? ': ' + value.name : ' (anonymous)') + ']';
+    if (typeof value === 'bigint') return value + 'n';
+    if (typeof value === 'symbol') return value.toString();
+    if (value === null || typeof value !== 'object') return String(value);
+    if (value instanceof Error) return value.name + ': ' + value.message;
+    if (seen.has(value)) return '[Circular]';
+    if (depth > 3) return Array.isArray(value) ? '[Array]' : '[Object]';
+    seen.add(value);
+    let out;
+    if (Array.isArray(value)) {
+      out = '[ ' + value.map(v => format(v, depth + 1, seen)).join(', ') + ' ]';
+    } else if (value instanceof Map) {
+      out = 'Map(' + value.size + ') { ' + [...value].map(([k, v]) => format(k, depth + 1, seen) + ' => ' + format(v, depth + 1, seen)).join(', ') + ' }';
+    } else if (value instanceof Set) {
+      out = 'Set(' + value.size + ') { ' + [...value].map(v => format(v, depth + 1, seen)).join(', ') + ' }';
+    } else {
+      const entries = Object.keys(value).map(k => k + ': ' + format(value[k], depth + 1, seen));
+      out = entries.length ? '{ ' + entries.join(', ') + ' }' : '{}';
+    }
+    seen.delete(value);
+    return out;
+  };
+
+  const write = (...args) => {
+    if (truncated) return;
+    const line = text(apply(join, apply(map, args, [a => format(a)]), [' ']));
+    if (size + line.length > limit) {
+      lines[lines.length] = apply(slice, line, [0, Math.max(0, limit - size)]);
+      truncated = true;
+      return;
+    }
+    size += line.length + 1;
+    lines[lines.length] = line;
+  };
+
+  globalThis.console = { log: write, info: write, debug: write, warn: write, error: write, trace: write };
+
+  // Fixed for good: a snippet's own prepareStackTrace would see the host's frames
+  Object.defineProperty(Error, 'prepareStackTrace', {
+    value: (err, frames) => {
+      const where = f => 'snippet.js:' + f.getLineNumber() + ':' + f.getColumnNumber();
+      const lines = frames
+        .filter(f => f.getFileName() === 'snippet.js')
+        .map(f => '\\n    at ' + (f.getFunctionName() ? f.getFunctionName() + ' (' + where(f) + ')' : where(f)));
+      const message = err.message ? ': ' + String(err.message) : '';
+      return String(err.name || 'Error') + message + lines.join('');
+    },
+  });
+
+  Object.defineProperty(globalThis, '__sandbox', {
+    value: Object.freeze({
+      output:      () => apply(join, lines, ['\\n']),
+      truncated:   () => truncated,
+      format:      value => text(format(value, 1)),
+      formatError: err => text((err && typeof err === 'object' && 'message' in err)
+        ? (err instanceof Error && typeof err.stack === 'string' ? err.stack : String(err.name || 'Error') + ': ' + String(err.message))
+        : 'Uncaught ' + format(err, 1)),
+    }),
+  });
+})();`;
+
+// A null-prototype sandbox: with a plain {} the global's `constructor` would
+// be the worker's Object, and `this.constructor.constructor('return process')()`
+// would escape the context.
+const context = vm.createContext(Object.create(null), {
+  name: 'sandbox',
+  codeGeneration: { strings: false, wasm: false },
+  // Promise callbacks run inside the timeout too
+  microtaskMode: 'afterEvaluate',
+});
+new vm.Script(BOOTSTRAP).runInContext(context);
+
+// Evaluates a helper expression in the context, with the same time limit
+function inContext(source, value) {
+  context.__value = value;
+  try {
+    return new vm.Script(source).runInContext(context, { timeout: timeoutMs });
+  } finally {
+    delete context.__value;
+  }
+}
+
+const result = { output: '', value: undefined, error: null, timedOut: false, truncated: false };
+
+try {
+  const script = new vm.Script(code, { filename: 'snippet.js' });
+  try {
+    const value = script.runInContext(context, { timeout: timeoutMs, displayErrors: false });
+    if (value !== undefined) result.value = String(inContext('__sandbox.format(__value)', value));
+  } catch (err) {
+    if (err?.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      result.error = `Timed out after ${timeoutMs} ms`;
+      result.timedOut = true;
+    } else {
+      result.error = String(inContext('__sandbox.formatError(__value)', err));
+    }
+  }
+} catch (err) {
+  // Thrown while compiling (a SyntaxError from the host realm) or while formatting
+  result.error = err?.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT'
+    ? `Timed out after ${timeoutMs} ms`
+    : `${err.name}: ${err.message}`;
+}
+
+// The helpers already return primitives; coerced again so nothing else can reach the host
+result.output    = String(inContext('__sandbox.output()'));
+result.truncated = Boolean(inContext('__sandbox.truncated()'));
+parentPort.postMessage(result);
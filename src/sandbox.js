@@ -0,0 +1,89 @@
+import { Worker } from 'worker_threads';
+
+const WORKER_URL = new URL('./sandbox-worker.js', import.meta.url);
+
+// Extra wall-clock time for starting the worker before it is terminated
+const STARTUP_GRACE_MS = 3000;
+
+export const DEFAULT_SANDBOX_LIMITS = {
+  timeoutMs:      2000,
+  memoryMb:       64,
+  maxOutputChars: 4000,
+};
+
+/**
+ * Runs a JavaScript snippet in a worker thread, inside a vm context that only
+ * has the language built-ins and a console — no require, process, timers,
+ * filesystem or network. CPU time is capped by the vm timeout (with the
+ * worker terminated as a backstop), memory by the worker's heap limits and
+ * output by `maxOutputChars`.
+ *
+ * Never rejects; resolves with
+ * `{ output, value, error, timedOut, truncated, durationMs }` where `value` is
+ * the formatted result of the last expression (undefined when there is none).
+ */
+export function runJavaScript(code, limits = {}) {
+  const { timeoutMs, memoryMb, maxOutputChars } = { ...DEFAULT_SANDBOX_LIMITS, ...limits };
+  const started = Date.now();
+
+  return new Promise(resolve => {
+    const worker = new Worker(WORKER_URL, {
+      workerData: { code: String(code), timeoutMs, maxOutputChars },
+      resourceLimits: {
+        maxOldGenerationSizeMb:   memoryMb,
+        maxYoungGenerationSizeMb: Math.max(4, Math.floor(memoryMb / 8)),
+        stackSizeMb:              4,
+      },
+      env:    {},
+      stdin:  false,
+      stdout: true,
+      stderr: true,
+    });
+
+    let settled = false;
+    const finish = result => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(killer);
+      worker.terminate().catch(() => {});
+      resolve({
+        output: '', value: undefined, error: null, timedOut: false, truncated: false,
+        ...result,
+        durationMs: Date.now() - started,
+      });
+    };
+
+    const killer = setTimeout(
+      () => finish({ error: `Timed out after ${timeoutMs} ms`, timedOut: true }),
+      timeoutMs + STARTUP_GRACE_MS
+    );
+
+    worker.once('message', finish);
+    worker.once('error', err => finish({
+      error: err.code === 'ERR_WORKER_OUT_OF_MEMORY'
+        ? `Memory limit of ${memoryMb} MB exceeded`
+        : `${err.name}: ${err.message}`,
+    }));
+    worker.once('exit', code => finish({ error: `Sandbox exited unexpectedly (code ${code})` }));
+  });
+}
+
+/** Pulls the code out of a ```js fenced block, or returns the text unchanged. */
+export function extractCode(text) {
+  const fenced = String(text ?? '').match(/```(?:js|javascript|mjs|cjs)?[^\S\n]*\n?([\s\S]*?)```/i);
+  return (fenced ? fenced[1] : String(text ?? '')).trim();
+}
+
+/** A run result as Discord markdown: output and/or error in code blocks. */
+export function formatRunResult(result) {
+  const block = text => `\`\`\`\n${text.replace(/```/g, '`\u200b``')}\n\`\`\``;
+  const parts = [];
+
+  if (result.output) parts.push(`**Output**${result.truncated ? ' (truncated)' : ''}\n${block(result.output)}`);
+  if (result.value !== undefined) parts.push(`**Result**\n${block(result.value)}`);
+  if (result.error) parts.push(`**Error**\n${block(result.error)}`);
+  if (parts.length === 0) parts.push('*No output.*');
+
+  parts.push(`-# ${result.durationMs} ms`);
+  return parts.join('\n');
+}
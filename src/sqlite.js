@@ -0,0 +1,257 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import * as log from './logger.js';
+import { SAVE_DELAY_MS } from './store.js';
+
+// Schema migrations, applied in order; PRAGMA user_version records how many ran
+const MIGRATIONS = [
+  `CREATE TABLE kv (
+     namespace TEXT NOT NULL,
+     key       TEXT NOT NULL,
+     value     TEXT NOT NULL,
+     PRIMARY KEY (namespace, key)
+   );
+   CREATE TABLE conversation_log (
+     id         INTEGER PRIMARY KEY AUTOINCREMENT,
+     at         INTEGER NOT NULL,
+     guild_id   TEXT,
+     channel_id TEXT,
+     user_id    TEXT,
+     role       TEXT NOT NULL,
+     model      TEXT,
+     content    TEXT NOT NULL
+   );
+   CREATE INDEX conversation_log_user    ON conversation_log (user_id, at);
+   CREATE INDEX conversation_log_channel ON conversation_log (channel_id, at);`,
+];
+
+const LOG_COLUMNS = { at: 'at', guildId: 'guild_id', channelId: 'channel_id', userId: 'user_id', role: 'role', model: 'model', content: 'content' };
+
+/** WHERE clause + parameters for a conversation-log filter (see JsonStore.logs). */
+function logWhere({ userId, channelId, guildId, before, since } = {}) {
+  const clauses = [];
+  const params  = [];
+  if (userId)    { clauses.push('user_id = ?');    params.push(userId); }
+  if (channelId) { clauses.push('channel_id = ?'); params.push(channelId); }
+  if (guildId)   { clauses.push('guild_id = ?');   params.push(guildId); }
+  if (before)    { clauses.push('at < ?');         params.push(before); }
+  if (since)     { clauses.push('at >= ?');        params.push(since); }
+  return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+}
+
+/**
+ * Storage in an embedded SQLite database, with the same API as JsonStore.
+ *
+ * Uses Node's built-in `node:sqlite` where available (Node 22.5+), which
+ * writes to disk incrementally. Older Node versions fall back to sql.js
+ * (SQLite compiled to WebAssembly), which keeps the database in memory and
+ * writes the whole file a moment after changes (see SAVE_DELAY_MS), so a
+ * burst of them costs one write.
+ */
+export class SqliteStore {
+  static async open(file) {
+    let db;
+    try {
+      const { DatabaseSync } = await import('node:sqlite');
+      db = new NativeDatabase(new DatabaseSync(file));
+    } catch (err) {
+      if (err.code !== 'ERR_UNKNOWN_BUILTIN_MODULE') throw err;
+      db = await WasmDatabase.open(file);
+    }
+    return new SqliteStore(db, file);
+  }
+
+  constructor(db, file) {
+    this.db = db;
+    this.file = file;
+    this.migrate();
+  }
+
+  migrate() {
+    const version = this.db.get('PRAGMA user_version').user_version;
+    if (version >= MIGRATIONS.length) return;
+    for (let v = version; v < MIGRATIONS.length; v++) {
+      this.db.transaction(() => {
+        this.db.exec(MIGRATIONS[v]);
+        this.db.exec(`PRAGMA user_version = ${v + 1}`);
+      });
+    }
+    log.info('Store', `Migrated ${path.basename(this.file)} from schema ${version} to ${MIGRATIONS.length}`);
+  }
+
+  get(namespace, key) {
+    const row = this.db.get('SELECT value FROM kv WHERE namespace = ? AND key = ?', [namespace, key]);
+    return row ? JSON.parse(row.value) : undefined;
+  }
+
+  set(namespace, key, value) {
+    this.db.run(
+      'INSERT INTO kv (namespace, key, value) VALUES (?, ?, ?) ON CONFLICT (namespace, key) DO UPDATE SET value = excluded.value',
+      [namespace, key, JSON.stringify(value)],
+    );
+  }
+
+  /** Removes a key; returns whether it existed. */
+  delete(namespace, key) {
+    return this.db.run('DELETE FROM kv WHERE namespace = ? AND key = ?', [namespace, key]) > 0;
+  }
+
+  entries(namespace) {
+    return this.db.all('SELECT key, value FROM kv WHERE namespace = ? ORDER BY rowid', [namespace])
+      .map(row => [row.key, JSON.parse(row.value)]);
+  }
+
+  namespaces() {
+    return this.db.all('SELECT DISTINCT namespace FROM kv').map(row => row.namespace);
+  }
+
+  appendLog(entry) {
+    const columns = Object.keys(LOG_COLUMNS);
+    this.db.run(
+      `INSERT INTO conversation_log (${columns.map(c => LOG_COLUMNS[c]).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      columns.map(c => entry[c] ?? null),
+    );
+  }
+
+  logs(filter = {}, { limit = 0 } = {}) {
+    const { where, params } = logWhere(filter);
+    const select = Object.entries(LOG_COLUMNS).map(([name, column]) => `${column} AS ${name}`).join(', ');
+    const rows = limit > 0
+      ? this.db.all(`SELECT * FROM (SELECT ${select}, id FROM conversation_log ${where} ORDER BY id DESC LIMIT ?) ORDER BY id`, [...params, limit])
+      : this.db.all(`SELECT ${select}, id FROM conversation_log ${where} ORDER BY id`, params);
+    return rows.map(({ id, ...row }) => Object.fromEntries(Object.entries(row).filter(([, v]) => v !== null)));
+  }
+
+  deleteLogs(filter = {}) {
+    const { where, params } = logWhere(filter);
+    return this.db.run(`DELETE FROM conversation_log ${where}`, params);
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+// ─── Drivers ──────────────────────────────────────────────────────────────────
+
+// Both expose get/all/run/exec/transaction/close; run() returns the number of changed rows.
+
+class NativeDatabase {
+  constructor(db) {
+    this.db = db;
+    this.db.exec('PRAGMA journal_mode = WAL');
+  }
+
+  get(sql, params = []) {
+    return this.db.prepare(sql).get(...params);
+  }
+
+  all(sql, params = []) {
+    return this.db.prepare(sql).all(...params);
+  }
+
+  run(sql, params = []) {
+    return Number(this.db.prepare(sql).run(...params).changes);
+  }
+
+  exec(sql) {
+    this.db.exec(sql);
+  }
+
+  transaction(fn) {
+    this.db.exec('BEGIN');
+    try {
+      fn();
+      this.db.exec('COMMIT');
+    } catch (err) {
+      this.db.exec('ROLLBACK');
+      throw err;
+    }
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+class WasmDatabase {
+  static async open(file) {
+    const require = createRequire(import.meta.url);
+    const { default: initSqlJs } = await import('sql.js');
+    const SQL = await initSqlJs({ locateFile: name => require.resolve(`sql.js/dist/${name}`) });
+    const data = fs.existsSync(file) ? fs.readFileSync(file) : null;
+    return new WasmDatabase(new SQL.Database(data), file);
+  }
+
+  constructor(db, file) {
+    this.db = db;
+    this.file = file;
+    this.inTransaction = false;
+    this.saveTimer = null;
+  }
+
+  get(sql, params = []) {
+    return this.all(sql, params)[0];
+  }
+
+  all(sql, params = []) {
+    const stmt = this.db.prepare(sql);
+    try {
+      stmt.bind(params);
+      const rows = [];
+      while (stmt.step()) rows.push(stmt.getAsObject());
+      return rows;
+    } finally {
+      stmt.free();
+    }
+  }
+
+  run(sql, params = []) {
+    this.db.run(sql, params);
+    const changes = this.db.getRowsModified();
+    this.persist();
+    return changes;
+  }
+
+  exec(sql) {
+    this.db.exec(sql);
+    this.persist();
+  }
+
+  transaction(fn) {
+    this.inTransaction = true;
+    this.db.exec('BEGIN');
+    try {
+      fn();
+      this.db.exec('COMMIT');
+    } catch (err) {
+      this.db.exec('ROLLBACK');
+      throw err;
+    } finally {
+      this.inTransaction = false;
+    }
+    this.persist();
+  }
+
+  /** Schedules a write of the database file. */
+  persist() {
+    if (this.inTransaction || this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.flush(), SAVE_DELAY_MS);
+    this.saveTimer.unref?.();
+  }
+
+  /** Writes the in-memory database to disk now (atomically, via a temp file). */
+  flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, this.db.export());
+    fs.renameSync(tmp, this.file);
+  }
+
+  close() {
+    if (this.saveTimer) this.flush();
+    this.db.close();
+  }
+}
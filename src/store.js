@@ -0,0 +1,182 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as log from './logger.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+export const DATA_FILES = {
+  json:   path.join(ROOT, '.cobot-data.json'),
+  sqlite: path.join(ROOT, '.cobot-data.sqlite'),
+};
+
+export const STORAGE_BACKENDS = Object.keys(DATA_FILES);
+
+// Changes are written to the file at most this often; close() writes what's pending
+export const SAVE_DELAY_MS = 1000;
+
+/** The conversation log kept beside a JSON data file, e.g. `.cobot-data.json` → `.cobot-data.log.jsonl`. */
+export function logFileFor(file) {
+  return `${file.replace(/\.json$/i, '')}.log.jsonl`;
+}
+
+/**
+ * Opens the configured storage backend. Both backends offer the same API:
+ *
+ *  - key/value settings grouped by namespace – get, set, delete, entries, namespaces
+ *    (e.g. `store.set('personas', 'channel:123', '...')`)
+ *  - conversation log records – appendLog, logs, deleteLogs
+ *  - close()
+ *
+ * Repositories such as PersonaStore or ConversationLog sit on top of this.
+ */
+export async function openStore({ backend = 'json', file = DATA_FILES[backend] } = {}) {
+  if (backend === 'json') return new JsonStore(file);
+  if (backend === 'sqlite') {
+    const { SqliteStore } = await import('./sqlite.js');
+    return SqliteStore.open(file);
+  }
+  throw new Error(`Unknown storage backend "${backend}" (expected ${STORAGE_BACKENDS.join(' or ')})`);
+}
+
+/** Keeps the conversation-log records that match `filter` (see JsonStore.logs). */
+function matchesLog(entry, { userId, channelId, guildId, before, since } = {}) {
+  return (!userId    || entry.userId === userId)
+      && (!channelId || entry.channelId === channelId)
+      && (!guildId   || entry.guildId === guildId)
+      && (!before    || entry.at < before)
+      && (!since     || entry.at >= since);
+}
+
+// JSON file layout migrations; the file records how many have been applied
+const JSON_MIGRATIONS = [
+  // 1: settings namespaces move under `kv`, conversation log added
+  data => {
+    const kv = {};
+    for (const [namespace, values] of Object.entries(data)) kv[namespace] = values;
+    return { kv, logs: [] };
+  },
+  // 2: the conversation log moves to its own append-only file
+  ({ logs = [], ...rest }, store) => {
+    if (logs.length) fs.appendFileSync(store.logFile, logs.map(e => `${JSON.stringify(e)}\n`).join(''));
+    return rest;
+  },
+];
+
+/**
+ * Storage in a JSON file for settings plus a JSON Lines file for the
+ * conversation log (see logFileFor).
+ *
+ * Settings are kept in memory and the settings file is rewritten a moment
+ * after they change, so a burst of changes costs one write; log records are
+ * appended as they come. Fine for a handful of servers – busy ones should
+ * use the SQLite backend.
+ */
+export class JsonStore {
+  constructor(file = DATA_FILES.json) {
+    this.file = file;
+    this.logFile = logFileFor(file);
+    this.saveTimer = null;
+    let data = {};
+    try {
+      if (fs.existsSync(file)) data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      log.warn('Store', `Could not read ${file}, starting empty: ${err.message}`);
+    }
+    this.data = this.migrate(data);
+    this.records = this.readLogFile();
+  }
+
+  migrate(data) {
+    const { version = 0, ...rest } = data;
+    if (version >= JSON_MIGRATIONS.length) return data;
+
+    let migrated = rest;
+    for (let v = version; v < JSON_MIGRATIONS.length; v++) migrated = JSON_MIGRATIONS[v](migrated, this);
+    migrated = { version: JSON_MIGRATIONS.length, ...migrated };
+    if (fs.existsSync(this.file)) {
+      log.info('Store', `Migrated ${path.basename(this.file)} from schema ${version} to ${migrated.version}`);
+      this.data = migrated;
+      this.flush();
+    }
+    return migrated;
+  }
+
+  get(namespace, key) {
+    return this.data.kv[namespace]?.[key];
+  }
+
+  set(namespace, key, value) {
+    (this.data.kv[namespace] ??= {})[key] = value;
+    this.save();
+  }
+
+  /** Removes a key; returns whether it existed. */
+  delete(namespace, key) {
+    if (!this.data.kv[namespace] || !(key in this.data.kv[namespace])) return false;
+    delete this.data.kv[namespace][key];
+    this.save();
+    return true;
+  }
+
+  entries(namespace) {
+    return Object.entries(this.data.kv[namespace] ?? {});
+  }
+
+  namespaces() {
+    return Object.keys(this.data.kv);
+  }
+
+  /** @param {{ at: number, guildId?: string, channelId?: string, userId?: string, role: string, model?: string, content: string }} entry */
+  appendLog(entry) {
+    this.records.push(entry);
+    fs.appendFileSync(this.logFile, `${JSON.stringify(entry)}\n`);
+  }
+
+  /** Log records, oldest first, filtered by `userId`, `channelId`, `guildId`, `since` and/or `before` (timestamps). */
+  logs(filter = {}, { limit = 0 } = {}) {
+    const found = this.records.filter(e => matchesLog(e, filter));
+    return limit > 0 ? found.slice(-limit) : found;
+  }
+
+  /** Removes matching log records (rewriting the log file); returns how many were removed. */
+  deleteLogs(filter = {}) {
+    const before = this.records.length;
+    this.records = this.records.filter(e => !matchesLog(e, filter));
+    const removed = before - this.records.length;
+    if (removed) fs.writeFileSync(this.logFile, this.records.map(e => `${JSON.stringify(e)}\n`).join(''));
+    return removed;
+  }
+
+  readLogFile() {
+    if (!fs.existsSync(this.logFile)) return [];
+    const records = [];
+    for (const line of fs.readFileSync(this.logFile, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        log.warn('Store', `Skipping an unreadable line in ${path.basename(this.logFile)}`);
+      }
+    }
+    return records;
+  }
+
+  /** Schedules a write of the settings file (see SAVE_DELAY_MS). */
+  save() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.flush(), SAVE_DELAY_MS);
+    this.saveTimer.unref?.();
+  }
+
+  /** Writes the settings file now. */
+  flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    fs.writeFileSync(this.file, JSON.stringify(this.data));
+  }
+
+  close() {
+    if (this.saveTimer) this.flush();
+  }
+}
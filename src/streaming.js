@@ -0,0 +1,119 @@
+import * as log from './logger.js';
+
+const PLACEHOLDER = '…';
+
+/**
+ * A Discord reply that fills in progressively as a streamed response arrives.
+ *
+ * Posts a placeholder reply, then edits it at most once per `interval` ms with
+ * the text received so far. When the text outgrows one message it is cut with
+ * the same `split` function used for regular replies and continues in a new one.
+ * The whole text is re-split on every edit, so `split` must not move breaks
+ * it has already made as the text grows (see splitMarkdown).
+ *
+ * `components` (message action rows, e.g. a Stop button) ride along on the
+ * message currently being written and move with it when the text rolls over.
+ */
+export class StreamingReply {
+  constructor(source, { split, interval = 1000, components = [] } = {}) {
+    this.source = source;
+    this.split = split;
+    this.interval = interval;
+    this.components = components;
+
+    this.text = '';
+    this.messages = [];     // Discord messages posted so far
+    this.contents = [];     // what each of them currently shows
+    this.started = false;
+
+    this.timer = null;
+    this.lastFlush = 0;
+    this.pending = Promise.resolve();
+  }
+
+  async start() {
+    this.started = true;
+    await this.write(0, PLACEHOLDER);
+  }
+
+  push(delta) {
+    this.text += delta;
+    if (this.timer) return;
+    const wait = Math.max(0, this.lastFlush + this.interval - Date.now());
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.enqueue(() => this.flush());
+    }, wait);
+  }
+
+  /** Flushes everything received and resolves with the complete text. */
+  async finish() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    await this.enqueue(() => this.flush());
+    return this.text;
+  }
+
+  /** Replaces the components on the last message (e.g. once streaming is done). */
+  async setComponents(components) {
+    this.components = components;
+    await this.enqueue(() => this.messages.at(-1)?.edit({ components }));
+  }
+
+  /**
+   * Reports a failure or empty result: replaces the placeholder if nothing was
+   * streamed yet, otherwise posts the notice as a separate reply.
+   */
+  async abort(notice) {
+    clearTimeout(this.timer);
+    this.timer = null;
+    await this.pending;
+    if (this.text.trim()) {
+      await this.flush();
+      await this.source.reply(notice);
+    } else {
+      await this.write(0, notice);
+    }
+  }
+
+  /** Deletes everything posted so far (e.g. when the message being answered is gone). */
+  async discard() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    await this.pending;
+    await Promise.all(this.messages.map(m => m.delete().catch(() => {})));
+    this.messages = [];
+    this.contents = [];
+  }
+
+  // ─── Internals ───────────────────────────────────────────────────────────────
+
+  enqueue(fn) {
+    this.pending = this.pending
+      .then(fn)
+      .catch(err => log.warn('Stream', `Failed to update streamed reply: ${err.message}`));
+    return this.pending;
+  }
+
+  async flush() {
+    this.lastFlush = Date.now();
+    if (!this.text.trim()) return;
+
+    const chunks = this.split(this.text);
+    for (let i = 0; i < chunks.length; i++) await this.write(i, chunks[i]);
+  }
+
+  /** Shows `content` in the i-th message, posting it (and moving the components there) if it's new. */
+  async write(i, content) {
+    const last    = i >= this.messages.length - 1;
+    const payload = last && this.components.length ? { content, components: this.components } : content;
+
+    if (i < this.messages.length) {
+      if (content !== this.contents[i]) await this.messages[i].edit(payload);
+    } else {
+      if (this.components.length && this.messages.length) await this.messages.at(-1).edit({ components: [] });
+      this.messages.push(await this.source.reply(payload));
+    }
+    this.contents[i] = content;
+  }
+}
@@ -0,0 +1,280 @@
+import { ToolRegistry } from './copilot.js';
+import { runJavaScript } from './sandbox.js';
+
+// ─── Math ─────────────────────────────────────────────────────────────────────
+
+const MATH_CONSTANTS = { pi: Math.PI, e: Math.E, tau: 2 * Math.PI };
+
+const MATH_FUNCTIONS = {
+  abs: Math.abs, sign: Math.sign, sqrt: Math.sqrt, cbrt: Math.cbrt,
+  exp: Math.exp, ln: Math.log, log: Math.log10, log2: Math.log2, log10: Math.log10,
+  sin: Math.sin, cos: Math.cos, tan: Math.tan, asin: Math.asin, acos: Math.acos, atan: Math.atan,
+  sinh: Math.sinh, cosh: Math.cosh, tanh: Math.tanh, atan2: Math.atan2,
+  floor: Math.floor, ceil: Math.ceil, round: Math.round, trunc: Math.trunc,
+  min: Math.min, max: Math.max, pow: Math.pow, hypot: Math.hypot,
+};
+
+const MAX_EXPRESSION_LENGTH = 500;
+
+/**
+ * Evaluates an arithmetic expression without eval(): numbers, + - * / % ^
+ * (or **), parentheses, factorial (!), the constants in MATH_CONSTANTS and
+ * the functions in MATH_FUNCTIONS. Throws on anything else.
+ */
+export function evaluateMath(expression) {
+  const source = String(expression ?? '');
+  if (source.length > MAX_EXPRESSION_LENGTH) throw new Error('Expression is too long');
+
+  const tokens = source.match(/\d*\.?\d+(?:e[+-]?\d+)?|\*\*|[a-z_][a-z0-9_]*|\S/gi) ?? [];
+  let pos = 0;
+
+  const peek   = () => tokens[pos];
+  const next   = () => tokens[pos++];
+  const expect = token => {
+    if (next() !== token) throw new Error(`Expected "${token}"`);
+  };
+
+  // expression := term (('+' | '-') term)*
+  function parseExpression() {
+    let value = parseTerm();
+    while (peek() === '+' || peek() === '-') {
+      value = next() === '+' ? value + parseTerm() : value - parseTerm();
+    }
+    return value;
+  }
+
+  // term := unary (('*' | '/' | '%') unary)*
+  function parseTerm() {
+    let value = parseUnary();
+    while (['*', '/', '%'].includes(peek())) {
+      const op  = next();
+      const rhs = parseUnary();
+      value = op === '*' ? value * rhs : op === '/' ? value / rhs : value % rhs;
+    }
+    return value;
+  }
+
+  // unary := ('-' | '+') unary | power
+  function parseUnary() {
+    if (peek() === '-') { next(); return -parseUnary(); }
+    if (peek() === '+') { next(); return parseUnary(); }
+    return parsePower();
+  }
+
+  // power := postfix (('^' | '**') unary)?   (right-associative)
+  function parsePower() {
+    const base = parsePostfix();
+    if (peek() === '^' || peek() === '**') {
+      next();
+      return base ** parseUnary();
+    }
+    return base;
+  }
+
+  // postfix := primary '!'*
+  function parsePostfix() {
+    let value = parsePrimary();
+    while (peek() === '!') {
+      next();
+      value = factorial(value);
+    }
+    return value;
+  }
+
+  function parsePrimary() {
+    const token = next();
+    if (token === undefined) throw new Error('Unexpected end of expression');
+
+    if (token === '(') {
+      const value = parseExpression();
+      expect(')');
+      return value;
+    }
+    if (/^\d*\.?\d/.test(token)) return Number(token);
+
+    const name = token.toLowerCase();
+    if (Object.hasOwn(MATH_FUNCTIONS, name)) {
+      expect('(');
+      const args = [parseExpression()];
+      while (peek() === ',') { next(); args.push(parseExpression()); }
+      expect(')');
+      return MATH_FUNCTIONS[name](...args);
+    }
+    if (Object.hasOwn(MATH_CONSTANTS, name)) return MATH_CONSTANTS[name];
+
+    throw new Error(`Unexpected "${token}"`);
+  }
+
+  const result = parseExpression();
+  if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos]}"`);
+  return result;
+}
+
+function factorial(n) {
+  if (!Number.isInteger(n) || n < 0) throw new Error('Factorial needs a non-negative integer');
+  if (n > 170) return Infinity;
+  let result = 1;
+  for (let i = 2; i <= n; i++) result *= i;
+  return result;
+}
+
+// ─── Built-in tools ───────────────────────────────────────────────────────────
+
+// Upper bound for recent_messages, so one call can't pull a whole channel
+const MAX_FETCHED_MESSAGES = 50;
+
+/**
+ * Tools every channel gets unless disabled. Handlers receive the Discord
+ * message being answered as `context.message`, the sandbox limits for
+ * run_javascript as `context.sandbox`, and a list to add images for the
+ * reply to as `context.images`.
+ */
+export const BUILTIN_TOOLS = [
+  {
+    name: 'recent_messages',
+    description: 'Fetch recent messages from the current Discord channel, oldest first. Use this when asked about earlier discussion that is not in the conversation.',
+    parameters: {
+      type: 'object',
+      properties: {
+        limit: { type: 'integer', minimum: 1, maximum: MAX_FETCHED_MESSAGES, description: 'How many messages to fetch (default 20)' },
+      },
+    },
+    async handler({ limit = 20 }, { message }) {
+      if (!message?.channel?.messages) throw new Error('No channel available');
+      const count = Math.min(Math.max(1, Math.floor(limit) || 20), MAX_FETCHED_MESSAGES);
+      const fetched = await message.channel.messages.fetch({ limit: count, before: message.id });
+      return [...fetched.values()]
+        .sort((a, b) => a.createdTimestamp - b.createdTimestamp)
+        .map(m => `[${new Date(m.createdTimestamp).toISOString()}] ${m.author.username}: ${m.cleanContent ?? m.content}`)
+        .join('\n') || 'No earlier messages.';
+    },
+  },
+  {
+    name: 'user_roles',
+    description: "Look up a server member's roles. Accepts a user ID, a mention like <@123> or a username.",
+    parameters: {
+      type: 'object',
+      properties: {
+        user: { type: 'string', description: 'User ID, mention or username' },
+      },
+      required: ['user'],
+    },
+    async handler({ user }, { message }) {
+      const guild = message?.guild;
+      if (!guild) throw new Error('Roles are only available in servers');
+
+      const query = String(user ?? '').trim();
+      const id = query.match(/^<@!?(\d+)>$/)?.[1] ?? (/^\d+$/.test(query) ? query : null);
+      const member = id
+        ? await guild.members.fetch(id).catch(() => null)
+        : (await guild.members.fetch({ query, limit: 1 }).catch(() => null))?.first();
+      if (!member) throw new Error(`No member matching "${query}"`);
+
+      return {
+        user:     member.user.username,
+        nickname: member.nickname ?? null,
+        roles:    [...member.roles.cache.values()]
+          .filter(r => r.id !== guild.id) // @everyone
+          .sort((a, b) => b.position - a.position)
+          .map(r => r.name),
+      };
+    },
+  },
+  {
+    name: 'calculate',
+    description: 'Evaluate an arithmetic expression exactly. Supports + - * / % ^ !, parentheses, pi, e and functions like sqrt, log, ln, sin, cos, round, min, max.',
+    parameters: {
+      type: 'object',
+      properties: {
+        expression: { type: 'string', description: 'e.g. "2^10 / (3 + sqrt(16))"' },
+      },
+      required: ['expression'],
+    },
+    handler({ expression }) {
+      const result = evaluateMath(expression);
+      if (Number.isNaN(result)) throw new Error('Result is not a number');
+      return String(result);
+    },
+  },
+  {
+    name: 'current_time',
+    description: 'Get the current date and time, optionally in a given IANA time zone such as "Europe/Berlin".',
+    parameters: {
+      type: 'object',
+      properties: {
+        timezone: { type: 'string', description: 'IANA time zone (default UTC)' },
+      },
+    },
+    handler({ timezone = 'UTC' }) {
+      const now = new Date();
+      let formatted;
+      try {
+        formatted = now.toLocaleString('en-US', { timeZone: timezone, dateStyle: 'full', timeStyle: 'long' });
+      } catch {
+        throw new Error(`Unknown time zone "${timezone}"`);
+      }
+      return { iso: now.toISOString(), timezone, local: formatted };
+    },
+  },
+  {
+    name: 'run_javascript',
+    description: 'Run a JavaScript snippet in a sandbox and get its console output, the value of its last expression and any error. There is no filesystem, network, timers or modules. Use this to check what code prints instead of guessing.',
+    parameters: {
+      type: 'object',
+      properties: {
+        code: { type: 'string', description: 'JavaScript source to run' },
+      },
+      required: ['code'],
+    },
+    async handler({ code }, { sandbox }) {
+      const { output, value, error, truncated } = await runJavaScript(code ?? '', sandbox);
+      return { output, result: value ?? null, error, truncated };
+    },
+  },
+];
+
+export const BUILTIN_TOOL_NAMES = BUILTIN_TOOLS.map(t => t.name);
+
+/** The built-in tools plus optional ones, such as generate_image (images.js). */
+export function createToolRegistry(extraTools = []) {
+  return new ToolRegistry([...BUILTIN_TOOLS, ...extraTools]);
+}
+
+// ─── Per-channel settings ─────────────────────────────────────────────────────
+
+/**
+ * Which tools are switched on in each channel or thread. Tools are enabled
+ * unless turned off; a thread's overrides win over its parent channel's.
+ * Kept in the JSON store under `tools` as `{ [channelId]: { [tool]: boolean } }`.
+ */
+export class ToolSettings {
+  constructor(store) {
+    this.store = store;
+  }
+
+  get(channelId) {
+    return this.store.get('tools', channelId) ?? {};
+  }
+
+  set(channelId, tool, enabled) {
+    this.store.set('tools', channelId, { ...this.get(channelId), [tool]: enabled });
+  }
+
+  reset(channelId) {
+    return this.store.delete('tools', channelId);
+  }
+
+  /**
+   * Names from `tools` that are enabled at this location.
+   *
+   * @param {string[]} tools
+   * @param {{ threadId?: string, channelId?: string }} ids
+   */
+  enabled(tools, { threadId, channelId }) {
+    const overrides = {
+      ...(channelId ? this.get(channelId) : {}),
+      ...(threadId ? this.get(threadId) : {}),
+    };
+    return tools.filter(name => overrides[name] !== false);
+  }
+}
@@ -0,0 +1,114 @@
+// When the bot answers a message:
+//   all     – every message in an allowed channel
+//   mention – messages that @mention the bot or reply to it
+//   reply   – replies to one of the bot's messages
+//   prefix  – messages starting with a prefix (e.g. "!ask")
+//   keyword – messages containing one of a list of words (case-insensitive)
+export const TRIGGER_MODES = ['all', 'mention', 'reply', 'prefix', 'keyword'];
+
+// Longest keyword list accepted from /trigger
+export const MAX_KEYWORD_LENGTH = 100;
+
+/** The words and phrases in a comma-separated keyword list, lowercased. */
+export function parseKeywords(value) {
+  return String(value ?? '').split(',').map(k => k.trim().toLowerCase()).filter(Boolean);
+}
+
+/** Throws if `value` is not a usable keyword list. */
+export function validateKeyword(value) {
+  if (value.length > MAX_KEYWORD_LENGTH) throw new Error(`longer than ${MAX_KEYWORD_LENGTH} characters`);
+  if (parseKeywords(value).length === 0) throw new Error('no keywords given');
+}
+
+/**
+ * Whether `content` contains one of the keywords as a whole word. Matched as
+ * plain text rather than a regular expression: keywords come from users and
+ * run on every message, and a regex can take exponential time on a short one.
+ */
+export function containsKeyword(content, keywords) {
+  const text   = content.toLowerCase();
+  const isWord = c => c !== undefined && /\w/.test(c);
+  return keywords.some(keyword => {
+    for (let at = text.indexOf(keyword); at !== -1; at = text.indexOf(keyword, at + 1)) {
+      const end = at + keyword.length;
+      const startsClean = !isWord(keyword[0]) || !isWord(text[at - 1]);
+      const endsClean   = !isWord(keyword.at(-1)) || !isWord(text[end]);
+      if (startsClean && endsClean) return true;
+    }
+    return false;
+  });
+}
+
+/** `content` without a leading trigger prefix, if it starts with one. */
+export function stripPrefix(content, prefix) {
+  const trimmed = content.trimStart();
+  if (!prefix || !trimmed.toLowerCase().startsWith(prefix.toLowerCase())) return content;
+  return trimmed.slice(prefix.length).trimStart();
+}
+
+/**
+ * Whether a message addresses the bot under the given trigger settings.
+ *
+ * @param {object} message Discord message
+ * @param {{ mode: string, value?: string }} trigger `value` is the prefix or keyword list
+ * @param {string} botId
+ */
+export function isTriggered(message, { mode, value }, botId) {
+  const content     = message.content ?? '';
+  const repliesToBot = message.mentions?.repliedUser?.id === botId;
+
+  switch (mode) {
+    case 'all':     return true;
+    case 'mention': return repliesToBot || Boolean(message.mentions?.users?.has(botId));
+    case 'reply':   return repliesToBot;
+    case 'prefix':  return Boolean(value) && content.trimStart().toLowerCase().startsWith(value.toLowerCase());
+    case 'keyword': return containsKeyword(content, parseKeywords(value));
+    default:        return false;
+  }
+}
+
+/**
+ * Trigger settings per thread and channel, falling back to the global
+ * TRIGGER_* configuration. Overrides are kept in the JSON store under `triggers`.
+ */
+export class TriggerStore {
+  /**
+   * @param {object} store JsonStore
+   * @param {{ mode: string, prefix: string, keyword: string }} defaults
+   */
+  constructor(store, defaults) {
+    this.store = store;
+    this.defaults = defaults;
+  }
+
+  get(channelId) {
+    return this.store.get('triggers', channelId) ?? null;
+  }
+
+  set(channelId, mode, value) {
+    this.store.set('triggers', channelId, value ? { mode, value } : { mode });
+  }
+
+  reset(channelId) {
+    return this.store.delete('triggers', channelId);
+  }
+
+  /**
+   * Settings in effect for a location, as `{ mode, value, scope }`.
+   *
+   * @param {{ threadId?: string, channelId?: string }} ids
+   */
+  resolve({ threadId, channelId }) {
+    for (const [scope, id] of [['thread', threadId], ['channel', channelId]]) {
+      const override = id && this.get(id);
+      if (override) return { ...override, value: override.value ?? this.defaultValue(override.mode), scope };
+    }
+    return { mode: this.defaults.mode, value: this.defaultValue(this.defaults.mode), scope: 'default' };
+  }
+
+  defaultValue(mode) {
+    if (mode === 'prefix')  return this.defaults.prefix;
+    if (mode === 'keyword') return this.defaults.keyword;
+    return undefined;
+  }
+}
@@ -8,6 +8,9 @@
  */
 
 import dotenv from 'dotenv';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
 import path from 'path';
 import { execSync } from 'child_process';
 import { fileURLToPath } from 'url';
@@ -39,20 +42,33 @@ function assertEqual(a, b, msg) {
   if (a !== b) throw new Error(msg || `Expected ${JSON.stringify(b)}, got ${JSON.stringify(a)}`);
 }
 
-// ─── Inline splitMessage (same logic as bot.js, no discord.js import needed) ──
+/** Starts a throwaway HTTP server on a random port; resolves with its base URL. */
+async function startServer(handler) {
+  const server = http.createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  return {
+    url,
+    close: () => new Promise(resolve => {
+      server.close(resolve);
+      server.closeAllConnections();
+    }),
+  };
+}
+
+/** Path for a scratch file in the OS temp dir, removed if it already exists. */
+function tempFile(name) {
+  const file = path.join(os.tmpdir(), `cobot_test_${process.pid}_${name}`);
+  fs.rmSync(file, { force: true });
+  return file;
+}
+
+// ─── splitMessage (bot.js delegates to splitMarkdown) ────────────────────────
+
+const { splitMarkdown, packLongReply } = await import('../src/markdown.js');
 
 function splitMessage(content, limit = 2000) {
-  if (content.length <= limit) return [content];
-  const chunks = [];
-  let remaining = content;
-  while (remaining.length > 0) {
-    let chunk = remaining.slice(0, limit);
-    const split = Math.max(chunk.lastIndexOf('\n'), chunk.lastIndexOf(' '));
-    if (split > limit - 500) chunk = chunk.slice(0, split);
-    chunks.push(chunk);
-    remaining = remaining.slice(chunk.length).trimStart();
-  }
-  return chunks;
+  return splitMarkdown(content, { limit });
 }
 
 // ─── Auth Module ──────────────────────────────────────────────────────────────
@@ -130,6 +146,56 @@ await test('Very long single word is hard-cut at limit', async () => {
   chunks.forEach(c => assert(c.length <= 2000, `Chunk too long: ${c.length}`));
 });
 
+await test('Code blocks split across messages are closed and reopened', async () => {
+  const code = Array.from({ length: 150 }, (_, i) => `  const value${i} = compute(${i});`).join('\n');
+  const chunks = splitMessage(`Here you go:\n\n\`\`\`js\n${code}\n\`\`\`\n\nDone.`);
+  assert(chunks.length >= 2);
+  for (const chunk of chunks) {
+    assert(chunk.length <= 2000, `Chunk is ${chunk.length} chars`);
+    assertEqual((chunk.match(/^```/gm) ?? []).length % 2, 0, 'Every chunk has balanced fences');
+  }
+  assert(chunks[1].startsWith('```js\n  const'), 'Reopened with the language tag, indentation kept');
+  assert(chunks.at(-1).endsWith('```\n\nDone.'));
+});
+
+await test('An unclosed code block is closed in the last message', async () => {
+  assertEqual(splitMessage('```py\nprint(1)').join('|'), '```py\nprint(1)\n```');
+});
+
+await test('Tables are kept whole and links are not cut', async () => {
+  const table = ['| a | b |', '|---|---|', ...Array.from({ length: 30 }, (_, i) => `| row ${i} | value ${i} |`)].join('\n');
+  const prose = 'Intro line.\n\n' + 'word '.repeat(200).trim() + '\n\n' + table;
+  const chunks = splitMessage(prose, 1200);
+  assert(chunks.some(c => c.startsWith('| a | b |') && c.endsWith('| row 29 | value 29 |')), 'Table in one message');
+
+  const link = `${'x '.repeat(990)}see [the docs](https://example.com/some/long/path) ${'y '.repeat(100)}`;
+  for (const chunk of splitMessage(link)) {
+    assertEqual((chunk.match(/\[/g) ?? []).length, (chunk.match(/\)/g) ?? []).length, 'Link intact');
+  }
+});
+
+await test('splitMarkdown never moves a break as streamed text grows', async () => {
+  const text = `Intro.\n\n\`\`\`ts\n${'let a = 1;\n'.repeat(300)}\`\`\`\n\n${'- item\n'.repeat(200)}`;
+  const final = splitMessage(text);
+  for (let n = 50; n < text.length; n += 97) {
+    const partial = splitMessage(text.slice(0, n));
+    for (let i = 0; i < partial.length - 1; i++) assertEqual(partial[i], final[i], `Chunk ${i} changed at ${n} chars`);
+  }
+});
+
+await test('packLongReply attaches long code, then the whole reply', async () => {
+  const code = '```python\n' + 'print("hello world")\n'.repeat(120) + '```';
+  const packed = packLongReply(`Intro\n\n${code}\n\nOutro`, { maxMessages: 1 });
+  assertEqual(packed.files.length, 1);
+  assertEqual(packed.files[0].name, 'snippet-1.py');
+  assert(packed.text.includes('`snippet-1.py`') && packed.text.endsWith('Outro'));
+
+  const essay = packLongReply('lorem ipsum '.repeat(600), { maxMessages: 2 });
+  assertEqual(essay.files[0].name, 'response.md');
+  assert(essay.text.length < 600);
+  assertEqual(packLongReply('short', { maxMessages: 0 }).files.length, 0, '0 turns it off');
+});
+
 // ─── Model Config ─────────────────────────────────────────────────────────────
 
 console.log('\n── Model configuration ───────────────────────────────────────────────────\n');
@@ -159,69 +225,2688 @@ await test('Every model entry has id, label, and description', async () => {
   }
 });
 
-// ─── Live Copilot API ─────────────────────────────────────────────────────────
+// ─── Streaming ────────────────────────────────────────────────────────────────
 
-console.log('\n── Live Copilot API ──────────────────────────────────────────────────────\n');
+console.log('\n── Streaming ─────────────────────────────────────────────────────────────\n');
 
-// Live tests require COPILOT_GITHUB_TOKEN — a token obtained from the device flow
-// (client Ov23li8tweQw6odWQebz). gh CLI tokens are NOT directly accepted by the
-// Copilot REST API; they only work via the Copilot CLI subprocess (old SDK approach).
-const liveToken = process.env.COPILOT_GITHUB_TOKEN || null;
+const { CopilotManager: StubbedManager, readSSE } = await import('../src/copilot.js');
+const { StreamingReply } = await import('../src/streaming.js');
 
-if (!liveToken) {
-  console.log('  ⚠  COPILOT_GITHUB_TOKEN not set – skipping live API tests.');
-  console.log('     Run the bot first to complete device login, then:\n');
-  console.log('     COPILOT_GITHUB_TOKEN=<token-from-.cobot-auth.json> node test/test.js\n');
-} else {
-  const { CopilotManager } = await import('../src/copilot.js');
-  let manager;
+/** Fake Discord message that records replies and edits. */
+function fakeMessage() {
+  const sent = [];
+  const source = {
+    sent,
+    reply: async content => {
+      const msg = { content, edits: 0, edit: async c => { msg.content = c; msg.edits++; } };
+      sent.push(msg);
+      return msg;
+    },
+  };
+  return source;
+}
 
-  await test('CopilotManager starts', async () => {
-    manager = new CopilotManager(liveToken);
-    await manager.start();
+await test('stream() yields deltas from a local SSE stub', async () => {
+  let requestBody;
+  const stub = await startServer((req, res) => {
+    let raw = '';
+    req.on('data', c => { raw += c; });
+    req.on('end', () => {
+      requestBody = JSON.parse(raw);
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      for (const word of ['Hel', 'lo', ', ', 'world']) {
+        res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: word } }] })}\n\n`);
+      }
+      res.write('data: [DONE]\n\n');
+      res.end();
+    });
   });
 
-  if (manager) {
-    await test('send() returns a non-empty string with default model (gpt-4.1)', async () => {
-      const res = await manager.send('Reply with exactly the single word: pong');
-      const content = res?.data?.content;
-      assert(typeof content === 'string' && content.length > 0, 'Expected non-empty content');
-      console.log(`       → "${content.slice(0, 120).replace(/\n/g, '↵')}"`);
-    });
+  try {
+    const manager = new StubbedManager('stub_token', { baseUrl: stub.url });
+    const deltas = [];
+    for await (const d of manager.stream([{ role: 'user', content: 'hi' }])) deltas.push(d);
+    assertEqual(deltas.join(''), 'Hello, world');
+    assertEqual(deltas.length, 4);
+    assertEqual(requestBody.stream, true);
+  } finally {
+    await stub.close();
+  }
+});
 
-    await test('setModel switches to gpt-5-mini', async () => {
-      // gpt-5-mini / gpt-4o may return 402 if the subscription does not include them;
-      // we verify the call either succeeds or throws cleanly (not a crash)
-      let ok = false;
-      try {
-        await manager.setModel('gpt-5-mini');
-        const res = await manager.send('Reply with exactly the single word: pong');
-        ok = res?.data?.content?.length > 0;
-      } catch (err) {
-        // 402 = quota not available for this model – still a clean error, counts as pass
-        ok = /40[24]|quota|not available/i.test(err.message);
-        if (ok) console.log(`       (model not available for this subscription: ${err.message.slice(0, 80)})`);
-        else throw err;
+await test('stream() surfaces API errors', async () => {
+  const stub = await startServer((req, res) => { res.writeHead(500); res.end('boom'); });
+  try {
+    const manager = new StubbedManager('stub_token', { baseUrl: stub.url, retry: { retries: 0 } });
+    let threw = false;
+    try { for await (const _ of manager.stream([{ role: 'user', content: 'hi' }])); } catch (err) { threw = /500/.test(err.message); }
+    assert(threw, 'Expected a Copilot API 500 error');
+  } finally {
+    await stub.close();
+  }
+});
+
+await test('readSSE handles payloads split across chunks', async () => {
+  async function* body() {
+    const enc = new TextEncoder();
+    yield enc.encode('data: {"a"');
+    yield enc.encode(':1}\r\n\ndata: {"a":2}\n');
+    yield enc.encode('\ndata: [DONE]\n\ndata: {"a":3}\n\n');
+  }
+  const events = [];
+  for await (const e of readSSE(body())) events.push(e.a);
+  assertEqual(events.join(','), '1,2');
+});
+
+await test('StreamingReply posts a placeholder and edits it with the text', async () => {
+  const source = fakeMessage();
+  const reply = new StreamingReply(source, { split: splitMessage, interval: 0 });
+  await reply.start();
+  assertEqual(source.sent.length, 1);
+  reply.push('Hello');
+  reply.push(' there');
+  const text = await reply.finish();
+  assertEqual(text, 'Hello there');
+  assertEqual(source.sent.length, 1);
+  assertEqual(source.sent[0].content, 'Hello there');
+});
+
+await test('StreamingReply rolls over into new messages past 2000 chars', async () => {
+  const source = fakeMessage();
+  const reply = new StreamingReply(source, { split: splitMessage, interval: 0 });
+  await reply.start();
+  const words = ('word ').repeat(1000);
+  for (let i = 0; i < words.length; i += 250) reply.push(words.slice(i, i + 250));
+  await reply.finish();
+
+  assert(source.sent.length >= 3, `Expected at least 3 messages, got ${source.sent.length}`);
+  source.sent.forEach((m, i) => assert(m.content.length <= 2000, `Message ${i} is ${m.content.length} chars`));
+  const rejoined = source.sent.map(m => m.content).join(' ').replace(/\s+/g, ' ').trim();
+  assertEqual(rejoined, words.trim());
+});
+
+await test('StreamingReply keeps components on the message being written', async () => {
+  const source = fakeMessage();
+  const stop = [{ type: 1, components: [] }];
+  const reply = new StreamingReply(source, { split: splitMessage, interval: 0, components: stop });
+  await reply.start();
+  assertEqual(source.sent[0].content.components, stop);
+  reply.push('word '.repeat(500));
+  await reply.finish();
+  assertEqual(source.sent.length, 2);
+  assertEqual(source.sent[0].content.components.length, 0, 'Moved off the finished message');
+  assertEqual(source.sent[1].content.components, stop);
+  await reply.setComponents([]);
+  assertEqual(source.sent[1].content.components.length, 0);
+});
+
+await test('send() and stream() report the finish reason', async () => {
+  const stub = await startServer((req, res) => {
+    let raw = '';
+    req.on('data', c => { raw += c; });
+    req.on('end', () => {
+      if (!JSON.parse(raw).stream) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ choices: [{ message: { content: 'Cut' }, finish_reason: 'length' }] }));
+        return;
       }
-      assert(ok);
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: 'Done' } }] })}\n\n`);
+      res.write(`data: ${JSON.stringify({ choices: [{ delta: {}, finish_reason: 'stop' }] })}\n\n`);
+      res.end('data: [DONE]\n\n');
     });
+  });
+  try {
+    const manager = new StubbedManager('stub_token', { baseUrl: stub.url });
+    assertEqual((await manager.send([{ role: 'user', content: 'hi' }])).data.finishReason, 'length');
+    const deltas = manager.stream([{ role: 'user', content: 'hi' }]);
+    let next;
+    while (!(next = await deltas.next()).done);
+    assertEqual(next.value.finishReason, 'stop');
+  } finally {
+    await stub.close();
+  }
+});
 
-    await test('setModel switches back to gpt-4.1', async () => {
-      await manager.setModel('gpt-4.1');
-      const res = await manager.send('Reply with exactly the single word: pong');
-      assert(res?.data?.content?.length > 0);
-      console.log(`       → "${res.data.content.slice(0, 120).replace(/\n/g, '↵')}"`);
-    });
+await test('An AbortSignal stops a stream without retrying', async () => {
+  let requests = 0;
+  const stub = await startServer((req, res) => {
+    requests++;
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: 'Hel' } }] })}\n\n`);
+    // …and never finishes
+  });
+  try {
+    const manager = new StubbedManager('stub_token', { baseUrl: stub.url });
+    const controller = new AbortController();
+    let text = '';
+    let aborted = false;
+    try {
+      for await (const d of manager.stream([{ role: 'user', content: 'hi' }], { signal: controller.signal })) {
+        text += d;
+        controller.abort();
+      }
+    } catch (err) {
+      aborted = err.name === 'AbortError';
+    }
+    assert(aborted, 'Expected an AbortError');
+    assertEqual(text, 'Hel');
+    assertEqual(requests, 1);
+  } finally {
+    await stub.close();
+  }
+});
+
+await test('StreamingReply.abort replaces the placeholder when nothing streamed', async () => {
+  const source = fakeMessage();
+  const reply = new StreamingReply(source, { split: splitMessage, interval: 0 });
+  await reply.start();
+  await reply.abort('Something went wrong');
+  assertEqual(source.sent.length, 1);
+  assertEqual(source.sent[0].content, 'Something went wrong');
+});
+
+// ─── Conversation History ─────────────────────────────────────────────────────
+
+console.log('\n── Conversation history ──────────────────────────────────────────────────\n');
+
+const { toChatMessages, describeMessage } = await import('../src/conversation.js');
+
+function fakeHistoryMessage(authorId, username, content, extra = {}) {
+  return { author: { id: authorId, username }, content, embeds: [], attachments: new Map(), ...extra };
+}
+
+await test('Bot messages become assistant turns, others user turns with names', async () => {
+  const msgs = toChatMessages([
+    { message: fakeHistoryMessage('u1', 'alice', 'What is 2+2?') },
+    { message: fakeHistoryMessage('bot', 'Co-Bot', '4') },
+    { message: fakeHistoryMessage('u2', 'bob', 'And 3+3?') },
+  ], { botId: 'bot' });
+
+  assertEqual(msgs.length, 3);
+  assertEqual(msgs[0].role, 'user');
+  assertEqual(msgs[0].content, 'alice: What is 2+2?');
+  assertEqual(msgs[1].role, 'assistant');
+  assertEqual(msgs[1].content, '4');
+  assertEqual(msgs[2].content, 'bob: And 3+3?');
+});
+
+await test('Consecutive bot messages are merged into one assistant turn', async () => {
+  const msgs = toChatMessages([
+    { message: fakeHistoryMessage('bot', 'Co-Bot', 'part one') },
+    { message: fakeHistoryMessage('bot', 'Co-Bot', 'part two') },
+  ], { botId: 'bot' });
+  assertEqual(msgs.length, 1);
+  assertEqual(msgs[0].content, 'part one\npart two');
+});
+
+await test('Images become image_url parts on user turns', async () => {
+  const [msg] = toChatMessages([{
+    message: fakeHistoryMessage('u1', 'alice', 'look'),
+    images:  [{ contentType: 'image/png', data: Buffer.from('png') }],
+  }], { botId: 'bot' });
+
+  assert(Array.isArray(msg.content), 'Expected multi-part content');
+  assertEqual(msg.content[0].text, 'alice: look');
+  assertEqual(msg.content[1].image_url.url, `data:image/png;base64,${Buffer.from('png').toString('base64')}`);
+});
+
+await test('Embeds and non-image attachments are kept as text', async () => {
+  const text = describeMessage(fakeHistoryMessage('u1', 'alice', 'see this', {
+    embeds: [{ title: 'Build failed', description: 'exit code 1', fields: [{ name: 'Job', value: 'lint' }] }],
+    attachments: new Map([
+      ['1', { name: 'log.txt', contentType: 'text/plain' }],
+      ['2', { name: 'cat.png', contentType: 'image/png' }],
+    ]),
+  }));
+  assert(text.includes('Build failed\nexit code 1\nJob: lint'), text);
+  assert(text.includes('[Attachment: log.txt]'), text);
+  assert(!text.includes('cat.png'), 'Images should not be listed as text');
+});
+
+await test('Empty messages are skipped', async () => {
+  const msgs = toChatMessages([{ message: fakeHistoryMessage('u1', 'alice', '') }], { botId: 'bot' });
+  assertEqual(msgs.length, 0);
+});
+
+// ─── Context Budget ───────────────────────────────────────────────────────────
+
+console.log('\n── Context budget ────────────────────────────────────────────────────────\n');
+
+const { ContextManager, contextBudget, estimateMessageTokens } = await import('../src/context.js');
+const { getModelInfo } = await import('../src/copilot.js');
+const builtInCatalog = { get: getModelInfo };
+
+/** Fake Copilot that records summary requests and answers with a canned summary. */
+function fakeSummarizer(model = 'gpt-4o') {
+  const calls = [];
+  return {
+    calls,
+    send: async (messages, options) => {
+      assertEqual(options?.model, model, 'Summaries should use the conversation model');
+      calls.push(messages);
+      return { data: { content: `summary #${calls.length}` } };
+    },
+  };
+}
+
+function historyOf(count, size) {
+  return Array.from({ length: count }, (_, i) =>
+    fakeHistoryMessage(`u${i % 3}`, `user${i % 3}`, `${i}:` + 'x'.repeat(size), { id: String(i), createdTimestamp: i })
+  );
+}
+
+await test('Budget follows the model context window', async () => {
+  assert(contextBudget(getModelInfo('gpt-4.1')) > contextBudget(getModelInfo('gpt-4o')), 'gpt-4.1 should allow more context than gpt-4o');
+  assert(contextBudget(getModelInfo('unknown-model')) > 0, 'Unknown models get a fallback budget');
+});
+
+await test('Images count towards the estimate', async () => {
+  const plain = fakeHistoryMessage('u1', 'alice', 'hi');
+  const withImage = fakeHistoryMessage('u1', 'alice', 'hi', {
+    attachments: new Map([['1', { name: 'a.png', contentType: 'image/png' }]]),
+  });
+  assert(estimateMessageTokens(withImage) > estimateMessageTokens(plain) + 500);
+});
+
+await test('History within budget is passed through without summarizing', async () => {
+  const copilot = fakeSummarizer();
+  const history = historyOf(10, 100);
+  const result = await new ContextManager(copilot, builtInCatalog).fit('c1', history, 'gpt-4o');
+  assertEqual(result.history.length, 10);
+  assertEqual(result.summary, null);
+  assertEqual(copilot.calls.length, 0);
+});
+
+await test('Overflowing history is trimmed and older messages summarized', async () => {
+  const copilot = fakeSummarizer();
+  const history = historyOf(100, 4000); // ~100k tokens against gpt-4o's ~60k budget
+  const result = await new ContextManager(copilot, builtInCatalog).fit('c1', history, 'gpt-4o');
+
+  const kept = result.history.reduce((n, m) => n + estimateMessageTokens(m), 0);
+  assert(kept <= contextBudget(getModelInfo('gpt-4o')), `Kept ${kept} tokens, over budget`);
+  assertEqual(result.history[result.history.length - 1].id, '99', 'Newest message must be kept');
+  assert(result.summary?.startsWith('summary #'), 'Expected a summary');
+  assert(copilot.calls.length >= 1);
+});
+
+await test('Summaries are cached per channel and extended incrementally', async () => {
+  const copilot = fakeSummarizer();
+  const manager = new ContextManager(copilot, builtInCatalog);
+  const history = historyOf(100, 4000);
+
+  await manager.fit('c1', history, 'gpt-4o');
+  const firstCalls = copilot.calls.length;
+
+  // Same history again: nothing new has scrolled out of the window
+  await manager.fit('c1', history, 'gpt-4o');
+  assertEqual(copilot.calls.length, firstCalls, 'Expected the cached summary to be reused');
+
+  // Two new messages push two more old ones out – only those get summarized
+  const next = [...history.slice(2), ...historyOf(102, 4000).slice(100)];
+  await manager.fit('c1', next, 'gpt-4o');
+  assertEqual(copilot.calls.length, firstCalls + 1);
+  const lastRequest = copilot.calls[copilot.calls.length - 1][1].content;
+  assert(lastRequest.includes(`summary #${firstCalls}`), 'Previous summary should be rolled forward');
+
+  // Another channel has its own summary
+  await manager.fit('c2', history, 'gpt-4o');
+  assert(copilot.calls.length > firstCalls + 1);
+});
+
+// ─── Settings Store & Personas ────────────────────────────────────────────────
+
+console.log('\n── Settings store & personas ─────────────────────────────────────────────\n');
+
+const { JsonStore, logFileFor } = await import('../src/store.js');
+const { PersonaStore, renderPersona, DEFAULT_SYSTEM_PROMPT } = await import('../src/persona.js');
+
+await test('JsonStore persists values across instances', async () => {
+  const file = tempFile('store.json');
+  const store = new JsonStore(file);
+  store.set('things', 'a', { n: 1 });
+  store.flush();
+  assertEqual(new JsonStore(file).get('things', 'a').n, 1);
+  assert(store.delete('things', 'a'));
+  assert(!store.delete('things', 'a'), 'Second delete should report nothing removed');
+  store.close();
+  assertEqual(new JsonStore(file).get('things', 'a'), undefined);
+  fs.rmSync(file, { force: true });
+});
+
+await test('JsonStore batches settings writes and appends the log as JSON Lines', async () => {
+  const file = tempFile('batched.json');
+  const store = new JsonStore(file);
+  store.set('things', 'a', 1);
+  store.set('things', 'b', 2);
+  assert(!fs.existsSync(file), 'Settings should be written after a delay, not on every change');
+  store.appendLog({ at: 1, userId: 'u', content: 'one' });
+  store.appendLog({ at: 2, userId: 'u', content: 'two' });
+  const lines = fs.readFileSync(logFileFor(file), 'utf8').trim().split('\n');
+  assertEqual(lines.length, 2);
+  assertEqual(JSON.parse(lines[1]).content, 'two');
+  store.close();
+  assertEqual(fs.readFileSync(file, 'utf8'), JSON.stringify(store.data), 'Expected compact JSON');
+  assertEqual(new JsonStore(file).logs().map(e => e.content).join(), 'one,two');
+  fs.rmSync(file, { force: true });
+  fs.rmSync(logFileFor(file), { force: true });
+});
+
+await test('renderPersona fills known placeholders and keeps unknown ones', async () => {
+  const out = renderPersona('Hi {bot} in {server}/#{channel} {unknown}', { bot: 'Co-Bot', server: 'Guild', channel: 'general' });
+  assertEqual(out, 'Hi Co-Bot in Guild/#general {unknown}');
+});
+
+await test('Persona resolution prefers thread > channel > guild > default', async () => {
+  const file = tempFile('personas.json');
+  const personas = new PersonaStore(new JsonStore(file));
+  const ids = { threadId: 't1', channelId: 'c1', guildId: 'g1' };
+
+  assertEqual(personas.resolve(ids).prompt, DEFAULT_SYSTEM_PROMPT);
+  personas.set('guild', 'g1', 'guild persona');
+  assertEqual(personas.resolve(ids).scope, 'guild');
+  personas.set('channel', 'c1', 'channel persona');
+  assertEqual(personas.resolve(ids).prompt, 'channel persona');
+  personas.set('thread', 't1', 'thread persona');
+  assertEqual(personas.resolve(ids).prompt, 'thread persona');
+  assertEqual(personas.resolve({ channelId: 'c2', guildId: 'g1' }).prompt, 'guild persona');
+
+  personas.reset('thread', 't1');
+  assertEqual(personas.resolve(ids).prompt, 'channel persona');
+  fs.rmSync(file, { force: true });
+});
+
+// ─── Image Attachments ────────────────────────────────────────────────────────
+
+console.log('\n── Image attachments ─────────────────────────────────────────────────────\n');
+
+const { loadImage, fetchLimited, detectImageType, AttachmentCache } = await import('../src/attachments.js');
+const { default: sharp } = await import('sharp');
+
+const smallPng = await sharp({ create: { width: 16, height: 16, channels: 3, background: '#ff0000' } }).png().toBuffer();
+const widePng  = await sharp({ create: { width: 3000, height: 300, channels: 3, background: '#00ff00' } }).png().toBuffer();
+const limits   = { maxBytes: 1024 * 1024, timeoutMs: 2000, maxDimension: 2048 };
+
+const imageServer = await startServer((req, res) => {
+  switch (req.url) {
+    case '/small.png':  res.writeHead(200, { 'Content-Type': 'image/png' }); res.end(smallPng); break;
+    case '/wide.png':   res.writeHead(200, { 'Content-Type': 'image/png' }); res.end(widePng); break;
+    case '/fake.png':   res.writeHead(200, { 'Content-Type': 'image/png' }); res.end('<html>not an image</html>'); break;
+    case '/huge':       res.writeHead(200, { 'Content-Length': String(limits.maxBytes + 1) }); res.end(); break;
+    case '/chunked': {
+      // No Content-Length – the limit has to be enforced while reading
+      res.writeHead(200);
+      const block = Buffer.alloc(64 * 1024);
+      for (let i = 0; i < 20; i++) res.write(block);
+      res.end();
+      break;
+    }
+    case '/slow':       setTimeout(() => res.end(), 5000); break;
+    default:            res.writeHead(404); res.end();
+  }
+});
+
+const attachmentAt = (file, contentType = 'image/png') =>
+  ({ name: file, contentType, url: `${imageServer.url}/${file}` });
+
+try {
+  await test('detectImageType recognises PNG, JPEG, GIF and WebP', async () => {
+    assertEqual(detectImageType(smallPng), 'image/png');
+    assertEqual(detectImageType(Buffer.from([0xff, 0xd8, 0xff, 0xe0])), 'image/jpeg');
+    assertEqual(detectImageType(Buffer.from('GIF89a......')), 'image/gif');
+    assertEqual(detectImageType(Buffer.from('RIFF\0\0\0\0WEBPVP8 ')), 'image/webp');
+    assertEqual(detectImageType(Buffer.from('hello')), null);
+  });
+
+  await test('loadImage downloads a valid image into memory', async () => {
+    const image = await loadImage(attachmentAt('small.png'), limits);
+    assertEqual(image.contentType, 'image/png');
+    assert(image.data.equals(smallPng), 'Image bytes should be unchanged');
+  });
+
+  await test('loadImage downscales oversized images', async () => {
+    const image = await loadImage(attachmentAt('wide.png'), limits);
+    const { width, height } = await sharp(image.data).metadata();
+    assertEqual(width, 2048);
+    assert(height < 300, `Expected aspect ratio to be kept, got height ${height}`);
+  });
+
+  await test('loadImage rejects content that does not match the claimed type', async () => {
+    let error;
+    try { await loadImage(attachmentAt('fake.png'), limits); } catch (err) { error = err; }
+    assert(error && /not a supported image/.test(error.message), `Unexpected: ${error?.message}`);
+
+    error = null;
+    try { await loadImage(attachmentAt('small.png', 'image/jpeg'), limits); } catch (err) { error = err; }
+    assert(error && /image\/png but was sent as image\/jpeg/.test(error.message), `Unexpected: ${error?.message}`);
+  });
+
+  await test('fetchLimited enforces the size limit via Content-Length and while streaming', async () => {
+    for (const file of ['huge', 'chunked']) {
+      let error;
+      try { await fetchLimited(`${imageServer.url}/${file}`, limits); } catch (err) { error = err; }
+      assert(error && /too large/.test(error.message), `${file}: ${error?.message}`);
+    }
+  });
+
+  await test('fetchLimited gives up after the timeout', async () => {
+    let error;
+    const started = Date.now();
+    try { await fetchLimited(`${imageServer.url}/slow`, { ...limits, timeoutMs: 200 }); } catch (err) { error = err; }
+    assert(error, 'Expected a timeout error');
+    assert(Date.now() - started < 2000, 'Timeout took too long');
+  });
+
+  await test('AttachmentCache evicts the least recently used entry', async () => {
+    const cache = new AttachmentCache(2);
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+    assertEqual(cache.get('b'), undefined);
+    assertEqual(cache.get('a'), 1);
+    assertEqual(cache.get('c'), 3);
+  });
+} finally {
+  await imageServer.close();
+}
+
+// ─── File Attachments ─────────────────────────────────────────────────────────
+
+console.log('\n── File attachments ──────────────────────────────────────────────────────\n');
+
+const { loadDocument, documentKind, renderDocument, parseCsv } = await import('../src/attachments.js');
+
+/** Builds a minimal one-page PDF showing `text`. */
+function makePdf(text) {
+  const stream = `BT /F1 12 Tf 72 720 Td (${text}) Tj ET`;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+  ];
+  let out = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = out.length;
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f\r\n`;
+  out += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n\r\n`).join('');
+  out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(out, 'latin1');
+}
+
+const files = {
+  'app.py':     'print("hello")\n',
+  'fence.md':   'before\n```js\ncode\n```\nafter',
+  'server.log': 'x'.repeat(5000),
+  'data.csv':   'name,score\n"Smith, Jane",10\nBob,"say ""hi"""\n' + 'n,1\n'.repeat(30),
+  'report.pdf': makePdf('Quarterly revenue grew'),
+  'blob.txt':   Buffer.from([0x68, 0x00, 0x69]),
+};
+
+const fileServer = await startServer((req, res) => {
+  const body = files[req.url.slice(1)];
+  if (body === undefined) { res.writeHead(404); res.end(); return; }
+  res.writeHead(200);
+  res.end(body);
+});
+
+const fileAt = (name, contentType = '') => ({ id: name, name, contentType, url: `${fileServer.url}/${name}` });
+const docLimits = { maxBytes: 1024 * 1024, timeoutMs: 2000, maxChars: 1000, csvRows: 5 };
+
+try {
+  await test('documentKind recognises text, code, CSV and PDF files', async () => {
+    assertEqual(documentKind({ name: 'a.py' }), 'text');
+    assertEqual(documentKind({ name: 'notes', contentType: 'text/plain; charset=utf-8' }), 'text');
+    assertEqual(documentKind({ name: 'x.json', contentType: 'application/json' }), 'text');
+    assertEqual(documentKind({ name: 'data.csv' }), 'csv');
+    assertEqual(documentKind({ name: 'r.pdf', contentType: 'application/pdf' }), 'pdf');
+    assertEqual(documentKind({ name: 'archive.zip', contentType: 'application/zip' }), null);
+  });
+
+  await test('Source files are inlined as fenced blocks with a language tag', async () => {
+    const doc = await loadDocument(fileAt('app.py'), docLimits);
+    assertEqual(doc.truncated, false);
+    assertEqual(renderDocument(doc), '[Attachment: app.py]\n```python\nprint("hello")\n\n```');
+  });
+
+  await test('Files containing fences get a longer fence', async () => {
+    const doc = await loadDocument(fileAt('fence.md'), docLimits);
+    assert(renderDocument(doc).includes('````markdown\nbefore'), renderDocument(doc));
+  });
+
+  await test('Long files are truncated to the configured size', async () => {
+    const doc = await loadDocument(fileAt('server.log'), docLimits);
+    assertEqual(doc.truncated, true);
+    assertEqual(doc.text.length, 1000);
+    assert(renderDocument(doc).includes('truncated to the first 1000 characters'));
+  });
+
+  await test('CSV is rendered as a table preview', async () => {
+    const doc = await loadDocument(fileAt('data.csv'), docLimits);
+    assertEqual(doc.rows, 32);
+    assertEqual(doc.truncated, true);
+    const lines = doc.text.split('\n');
+    assertEqual(lines[0], '| name | score |');
+    assertEqual(lines[2], '| Smith, Jane | 10 |');
+    assertEqual(lines[3], '| Bob | say "hi" |');
+    assertEqual(lines.length, 2 + 5);
+    assert(renderDocument(doc).startsWith('[Attachment: data.csv – CSV, 32 rows, first 5 shown]'));
+  });
+
+  await test('parseCsv handles quoted newlines and CRLF', async () => {
+    const rows = parseCsv('a,b\r\n"multi\nline",2\r\n');
+    assertEqual(rows.length, 2);
+    assertEqual(rows[1][0], 'multi\nline');
+  });
+
+  await test('PDF text is extracted locally', async () => {
+    const doc = await loadDocument(fileAt('report.pdf'), docLimits);
+    assertEqual(doc.pages, 1);
+    assert(doc.text.includes('Quarterly revenue grew'), `Got: ${JSON.stringify(doc.text)}`);
+  });
+
+  await test('Binary files are rejected', async () => {
+    let error;
+    try { await loadDocument(fileAt('blob.txt'), docLimits); } catch (err) { error = err; }
+    assert(error && /binary/.test(error.message), `Unexpected: ${error?.message}`);
+  });
+
+  await test('Loaded documents are inlined into the conversation', async () => {
+    const doc = await loadDocument(fileAt('app.py'), docLimits);
+    const [msg] = toChatMessages([{
+      message: fakeHistoryMessage('u1', 'alice', 'what does this print?', {
+        attachments: new Map([['app.py', { id: 'app.py', name: 'app.py', contentType: 'text/x-python' }]]),
+      }),
+      documents: [doc],
+    }], { botId: 'bot' });
+    assert(msg.content.includes('```python\nprint("hello")'), msg.content);
+  });
+} finally {
+  await fileServer.close();
+}
+
+// ─── Trigger Modes ────────────────────────────────────────────────────────────
+
+console.log('\n── Trigger modes ─────────────────────────────────────────────────────────\n');
+
+const { isTriggered, validateKeyword, TriggerStore } = await import('../src/triggers.js');
+
+function triggerMessage(content, { mentions = [], repliedTo = null } = {}) {
+  return { content, mentions: { users: new Map(mentions.map(id => [id, {}])), repliedUser: repliedTo ? { id: repliedTo } : null } };
+}
+
+await test('all mode answers every message', async () => {
+  assert(isTriggered(triggerMessage('hello'), { mode: 'all' }, 'bot'));
+});
+
+await test('mention mode needs an @mention or a reply to the bot', async () => {
+  const mode = { mode: 'mention' };
+  assert(!isTriggered(triggerMessage('hello'), mode, 'bot'));
+  assert(isTriggered(triggerMessage('<@bot> hello', { mentions: ['bot'] }), mode, 'bot'));
+  assert(isTriggered(triggerMessage('and then?', { repliedTo: 'bot' }), mode, 'bot'));
+  assert(!isTriggered(triggerMessage('hey', { mentions: ['someone'] }), mode, 'bot'));
+});
+
+await test('reply mode only answers replies to the bot', async () => {
+  const mode = { mode: 'reply' };
+  assert(isTriggered(triggerMessage('more', { repliedTo: 'bot' }), mode, 'bot'));
+  assert(!isTriggered(triggerMessage('more', { repliedTo: 'someone' }), mode, 'bot'));
+  assert(!isTriggered(triggerMessage('<@bot>', { mentions: ['bot'] }), mode, 'bot'));
+});
+
+await test('prefix mode matches a case-insensitive prefix', async () => {
+  const mode = { mode: 'prefix', value: '!ask' };
+  assert(isTriggered(triggerMessage('!ASK what is 2+2'), mode, 'bot'));
+  assert(!isTriggered(triggerMessage('what is !ask'), mode, 'bot'));
+});
+
+await test('The trigger prefix is left out of the prompt', async () => {
+  const msgs = toChatMessages([
+    { message: fakeHistoryMessage('u1', 'alice', '  !ASK what is 2+2?') },
+    { message: fakeHistoryMessage('u2', 'bob', 'what is !ask') },
+  ], { botId: 'bot', prefix: '!ask' });
+  assertEqual(msgs[0].content, 'alice: what is 2+2?');
+  assertEqual(msgs[1].content, 'bob: what is !ask');
+});
+
+await test('keyword mode matches whole words from a list', async () => {
+  const mode = { mode: 'keyword', value: 'cobot, co-bot' };
+  assert(isTriggered(triggerMessage('hey CoBot, help'), mode, 'bot'));
+  assert(isTriggered(triggerMessage('ask co-bot'), mode, 'bot'));
+  assert(!isTriggered(triggerMessage('cobots everywhere'), mode, 'bot'), 'Only whole words match');
+  assert(isTriggered(triggerMessage('!ping please'), { mode: 'keyword', value: '!ping' }, 'bot'));
+  assert(!isTriggered(triggerMessage('anything'), { mode: 'keyword', value: ' , ' }, 'bot'), 'An empty list never matches');
+});
+
+await test('Keywords are matched as plain text, never as a regular expression', async () => {
+  let threw = false;
+  try { validateKeyword('x'.repeat(101)); } catch { threw = true; }
+  assert(threw, 'Expected an over-long list to be rejected');
+
+  // Each of these takes seconds on a short message when run as a regex
+  const message = triggerMessage(`${'a'.repeat(26)}!`);
+  const started = Date.now();
+  for (const value of ['(a|a)+$', '(a|aa)*$', '(\\w|\\d)+$', '\\w*\\w*\\w*\\w*\\w*!x', '(a+)+$']) {
+    validateKeyword(value);
+    assert(!isTriggered(message, { mode: 'keyword', value }, 'bot'), `${value} should only match literally`);
+  }
+  assert(Date.now() - started < 100, 'Expected matching to be instant');
+  assert(isTriggered(triggerMessage('what does (a|a)+$ do'), { mode: 'keyword', value: '(a|a)+$' }, 'bot'));
+});
+
+await test('Trigger overrides resolve thread > channel > global', async () => {
+  const file = tempFile('triggers.json');
+  const triggers = new TriggerStore(new JsonStore(file), { mode: 'mention', prefix: '!ask', keyword: '' });
+
+  assertEqual(triggers.resolve({ threadId: 't1', channelId: 'c1' }).mode, 'mention');
+  triggers.set('c1', 'prefix');
+  const channel = triggers.resolve({ threadId: 't1', channelId: 'c1' });
+  assertEqual(channel.mode, 'prefix');
+  assertEqual(channel.value, '!ask', 'Prefix falls back to the global TRIGGER_PREFIX');
+  assertEqual(channel.scope, 'channel');
+
+  triggers.set('t1', 'keyword', 'deploy');
+  assertEqual(triggers.resolve({ threadId: 't1', channelId: 'c1' }).value, 'deploy');
+  assert(triggers.reset('t1'));
+  assertEqual(triggers.resolve({ threadId: 't1', channelId: 'c1' }).mode, 'prefix');
+  fs.rmSync(file, { force: true });
+});
+
+// ─── Threads ──────────────────────────────────────────────────────────────────
+
+console.log('\n── Threads ───────────────────────────────────────────────────────────────\n');
+
+const { DiscordBot } = await import('../src/bot.js');
+const { ChannelType } = await import('discord.js');
+
+// Just enough configuration for a DiscordBot that never logs in
+const BOT_CONFIG = {
+  CONTEXT_MESSAGE_COUNT: 5, IMAGE_SUPPORT: false, FILE_SUPPORT: false, MAX_FILE_TEXT_KB: 50,
+  SYSTEM_PROMPT: 'You are {bot}.', TRIGGER_MODE: 'mention', TRIGGER_PREFIX: '!ask', TRIGGER_KEYWORD: '',
+  THREAD_MODE: true, THREAD_AUTO_ARCHIVE_MINUTES: 1440, BLACKLISTED_CHANNELS: [], ADMIN_ROLE_IDS: [],
+  RATE_LIMIT_USER: null, RATE_LIMIT_CHANNEL: null, RATE_LIMIT_GUILD: null, DAILY_QUOTA: 0, ROLE_QUOTAS: {},
+  DM_ACCESS: 'off', DM_ALLOWED_USER_IDS: [], CONVERSATION_LOG: false, LOG_RETENTION_DAYS: 30,
+  STREAM_RESPONSES: false, REPLY_BUTTONS: false, RENDER_TABLES: 'code', RENDER_MATH: false,
+  LONG_REPLY_MAX_MESSAGES: 0, TOOLS_ENABLED: false, QUEUE_COALESCE_MS: 0,
+};
+
+let testBots = 0;
+
+/** A DiscordBot on a scratch store, "logged in" as user `bot`. */
+function testBot(config = {}, copilot = {}) {
+  testBots++;
+  const bot = new DiscordBot(
+    { ...BOT_CONFIG, FEEDBACK_LOG: tempFile(`bot_${testBots}_feedback.jsonl`), ...config },
+    copilot,
+    new JsonStore(tempFile(`bot_${testBots}.json`)),
+  );
+  bot.client = { user: { id: 'bot', username: 'Co-Bot' } };
+  return bot;
+}
+
+/**
+ * A fake text channel (or thread, with `parentId`) whose `messages.fetch`
+ * serves `history` newest first, honouring `limit` and `before` like Discord.
+ */
+function discordChannel({ id = 'c1', parentId = null, ownerId = 'bot', history = [], starter = null } = {}) {
+  const channel = {
+    id,
+    name:     id,
+    type:     parentId ? ChannelType.PublicThread : ChannelType.GuildText,
+    parentId,
+    ownerId,
+    history,
+    sent:     [],
+    isThread: () => Boolean(parentId),
+    sendTyping: async () => {},
+    send: async content => {
+      const msg = { id: `s${channel.sent.length + 1}`, content, edit: async () => {}, delete: async () => {} };
+      channel.sent.push(msg);
+      return msg;
+    },
+    fetchStarterMessage: async () => { if (!starter) throw new Error('Unknown Message'); return starter; },
+    messages: {
+      fetch: async (query = {}) => {
+        if (typeof query === 'string') {
+          const found = history.find(m => m.id === query);
+          if (!found) throw new Error('Unknown Message');
+          return found;
+        }
+        const cutoff = query.before ? history.find(m => m.id === query.before)?.createdTimestamp ?? Infinity : Infinity;
+        const found = history
+          .filter(m => m.createdTimestamp < cutoff)
+          .sort((a, b) => b.createdTimestamp - a.createdTimestamp)
+          .slice(0, query.limit ?? 50);
+        return new Map(found.map(m => [m.id, m]));
+      },
+      delete: async () => {},
+    },
+  };
+  return channel;
+}
+
+let discordMessages = 0;
+
+/** A fake guild message in `channel`, added to its history; records replies in `replies`. */
+function discordMessage(channel, content, { author = 'alice', mentionsBot = false, at } = {}) {
+  discordMessages++;
+  const message = {
+    id:               `m${discordMessages}`,
+    channelId:        channel.id,
+    guildId:          'g1',
+    channel,
+    author:           { id: author === 'bot' ? 'bot' : `u_${author}`, username: author, bot: author === 'bot' },
+    member:           { roles: [] },
+    content,
+    cleanContent:     content,
+    createdTimestamp: at ?? 1_700_000_000_000 + discordMessages * 1000,
+    attachments:      new Map(),
+    embeds:           [],
+    mentions:         { users: new Map(mentionsBot ? [['bot', {}]] : []), repliedUser: null },
+    replies:          [],
+    reply: async payload => {
+      const reply = { id: `${message.id}_r${message.replies.length + 1}`, payload, edit: async () => {}, delete: async () => {} };
+      message.replies.push(reply);
+      return reply;
+    },
+  };
+  channel.history.push(message);
+  return message;
+}
+
+/** A fake slash-command interaction that records what it was answered with. */
+function discordInteraction({ channel, sub = null, options = {}, user = 'alice' } = {}) {
+  const interaction = {
+    channel,
+    channelId:         channel?.id,
+    guildId:           'g1',
+    user:              { id: `u_${user}`, username: user },
+    member:            { roles: [] },
+    memberPermissions: null,
+    deferred:          false,
+    replied:           false,
+    responses:         [],
+    options: {
+      getSubcommand:      () => sub,
+      getSubcommandGroup: () => null,
+      getString:          name => options[name] ?? null,
+      getChannel:         name => options[name] ?? null,
+      getUser:            name => options[name] ?? null,
+      getBoolean:         name => options[name] ?? null,
+      getInteger:         name => options[name] ?? null,
+    },
+    isAutocomplete: () => false, isButton: () => false, isStringSelectMenu: () => false,
+    isMessageContextMenuCommand: () => false, isChatInputCommand: () => true,
+    reply:      async payload => { interaction.replied = true; interaction.responses.push(payload); },
+    deferReply: async () => { interaction.deferred = true; },
+    editReply:  async payload => { interaction.responses.push(payload); },
+    followUp:   async payload => { interaction.responses.push(payload); },
+  };
+  return interaction;
+}
+
+await test('Triggering messages start a thread named after their first line', async () => {
+  const bot = testBot();
+  const channel = discordChannel();
+  const message = discordMessage(channel, '\n  How do I rotate logs?\nMore detail');
+  let options;
+  message.startThread = async opts => { options = opts; return discordChannel({ id: 't1', parentId: 'c1' }); };
+
+  const target = await bot.replyTarget(message);
+  assertEqual(options.name, 'How do I rotate logs?');
+  assertEqual(options.autoArchiveDuration, 1440);
+  await target.reply('answer');
+  assertEqual(target.channel.sent[0].content, 'answer', 'Replies go into the thread');
+
+  const long = discordMessage(channel, 'x'.repeat(150));
+  long.startThread = async opts => { options = opts; return discordChannel({ id: 't2', parentId: 'c1' }); };
+  await bot.replyTarget(long);
+  assertEqual(options.name.length, 100);
+  assert(options.name.endsWith('…'), 'Long names are cut with an ellipsis');
+
+  const imageOnly = discordMessage(channel, '');
+  imageOnly.startThread = async opts => { options = opts; return discordChannel({ id: 't3', parentId: 'c1' }); };
+  await bot.replyTarget(imageOnly);
+  assertEqual(options.name, 'Chat with alice');
+});
+
+await test('Messages are answered inline when a thread can\'t or shouldn\'t be started', async () => {
+  const channel = discordChannel();
+  const message = discordMessage(channel, 'hi');
+  message.startThread = async () => { throw new Error('Missing Permissions'); };
+  assertEqual((await testBot().replyTarget(message)).channel, channel, 'Falls back when thread creation fails');
+
+  message.startThread = async () => { throw new Error('should not be called'); };
+  assertEqual((await testBot({ THREAD_MODE: false }).replyTarget(message)).channel, channel, 'THREAD_MODE off');
+  const thread = discordChannel({ id: 't1', parentId: 'c1' });
+  assertEqual((await testBot().replyTarget(discordMessage(thread, 'hi'))).channel, thread, 'Already in a thread');
+  message.hasThread = true;
+  assertEqual((await testBot().replyTarget(message)).channel, channel, 'Message already has a thread');
+});
+
+await test('Every message in the bot\'s own threads is a follow-up', async () => {
+  const bot = testBot({ DISCORD_CHANNEL_ID: 'c1', BLACKLISTED_CHANNELS: ['c9'] });
+  const answered = [];
+  bot.enqueue = message => answered.push(message.id);
+
+  const own   = discordChannel({ id: 't1', parentId: 'c1' });
+  const other = discordChannel({ id: 't2', parentId: 'c1', ownerId: 'u_bob' });
+  assert(bot.isBotThread(own));
+  assert(!bot.isBotThread(other), 'Threads started by others are not the bot\'s');
+  assert(!bot.isBotThread(discordChannel()), 'Channels are not threads');
+  assert(!testBot({ THREAD_MODE: false }).isBotThread(own), 'Only with THREAD_MODE on');
+
+  const followUp = discordMessage(own, 'and then?');
+  bot.onMessage(followUp);
+  bot.onMessage(discordMessage(other, 'unaddressed'));
+  bot.onMessage(discordMessage(discordChannel({ id: 't3', parentId: 'c9' }), 'blacklisted parent'));
+  const mention = discordMessage(discordChannel({ id: 'c2' }), 'elsewhere', { mentionsBot: true });
+  bot.onMessage(mention);
+  assertEqual(answered.join(), followUp.id, 'Threads follow their parent channel\'s DISCORD_CHANNEL_ID and blacklist');
+});
+
+await test('Thread history starts with the message that opened the thread', async () => {
+  const bot = testBot();
+  const parent  = discordChannel();
+  const starter = discordMessage(parent, 'What is a monad?');
+  const thread  = discordChannel({ id: 't1', parentId: 'c1', starter });
+  const answer  = discordMessage(thread, 'A monoid in the category of endofunctors.', { author: 'bot' });
+  const latest  = discordMessage(thread, 'Simpler please');
+
+  const history = await bot.fetchHistory(latest);
+  assertEqual(history.map(m => m.id).join(), `${starter.id},${answer.id}`);
+
+  thread.history.unshift(starter);
+  assertEqual((await bot.fetchHistory(latest)).filter(m => m.id === starter.id).length, 1, 'Not added twice');
+});
+
+await test('/thread closes threads and titles them from the conversation', async () => {
+  let prompt;
+  const bot = testBot({}, {
+    send: async messages => { prompt = messages; return { data: { content: '"Monads, explained simply"' } }; },
+  });
+  const notThread = discordInteraction({ channel: discordChannel(), sub: 'close' });
+  await bot.onThreadCommand(notThread);
+  assert(/only works inside a thread/.test(notThread.responses[0].content));
+
+  const starter = discordMessage(discordChannel(), 'What is a monad?');
+  const thread  = discordChannel({ id: 't1', parentId: 'c1', starter });
+  discordMessage(thread, 'Simpler please', { author: 'bob' });
+  thread.setName = async name => { thread.name = name; };
+  thread.setArchived = async archived => { thread.archived = archived; };
+
+  const title = discordInteraction({ channel: thread, sub: 'title' });
+  await bot.onThreadCommand(title);
+  assertEqual(thread.name, 'Monads, explained simply', 'Quotes are stripped');
+  assertEqual(prompt[1].content, 'alice: What is a monad?\nbob: Simpler please');
 
-    await test('setModel rejects an unknown model ID', async () => {
-      let threw = false;
-      try { await manager.setModel('not-real-model'); } catch { threw = true; }
-      assert(threw, 'Expected error for invalid model ID');
+  await bot.onThreadCommand(discordInteraction({ channel: thread, sub: 'title', options: { title: 'y'.repeat(120) } }));
+  assertEqual(thread.name.length, 100);
+
+  await bot.onThreadCommand(discordInteraction({ channel: thread, sub: 'close' }));
+  assert(thread.archived);
+
+  thread.setArchived = async () => { throw new Error('Missing Access'); };
+  const failing = discordInteraction({ channel: thread, sub: 'close' });
+  await bot.onThreadCommand(failing);
+  assert(/Failed to close the thread: Missing Access/.test(failing.responses.at(-1)), 'Failures are reported');
+});
+
+await test('/thread only acts on the bot\'s threads, for their starter or an admin', async () => {
+  let calls = 0;
+  const bot = testBot({}, { send: async () => { calls++; return { data: { content: 'Title' } }; } });
+  const starter = discordMessage(discordChannel(), 'What is a monad?');
+  const thread  = discordChannel({ id: 't1', parentId: 'c1', starter });
+  thread.setName = async name => { thread.name = name; };
+  thread.setArchived = async archived => { thread.archived = archived; };
+
+  const foreign = discordInteraction({ channel: discordChannel({ id: 't2', parentId: 'c1', ownerId: 'u_bob', starter }), sub: 'close' });
+  await bot.onThreadCommand(foreign);
+  assert(/threads Co-Bot started/.test(foreign.responses[0].content));
+
+  const bystander = discordInteraction({ channel: thread, sub: 'close', user: 'bob' });
+  await bot.onThreadCommand(bystander);
+  assert(/started this conversation/.test(bystander.responses[0].content));
+  assert(!thread.archived);
+
+  bot.isAdmin = () => true;
+  await bot.onThreadCommand(discordInteraction({ channel: thread, sub: 'close', user: 'bob' }));
+  assert(thread.archived, 'Admins may close any of the bot\'s threads');
+
+  bot.access.add('g1', 'denyUsers', 'u_alice');
+  const denied = discordInteraction({ channel: thread, sub: 'title' });
+  await bot.onThreadCommand(denied);
+  assertEqual(calls, 0, 'No title is generated for denied members');
+  assertEqual(thread.name, 't1');
+});
+
+// ─── Model Preferences ────────────────────────────────────────────────────────
+
+console.log('\n── Model preferences ─────────────────────────────────────────────────────\n');
+
+const { ModelPreferences } = await import('../src/preferences.js');
+
+await test('Model preferences resolve user > channel > guild > default', async () => {
+  const file = tempFile('models.json');
+  const prefs = new ModelPreferences(new JsonStore(file));
+  const ids = { userId: 'u1', channelId: 'c1', guildId: 'g1' };
+
+  assertEqual(prefs.resolve(ids).model, DEFAULT_MODEL);
+  assertEqual(prefs.resolve(ids).scope, 'default');
+  prefs.set('guild', 'g1', 'gpt-4o');
+  assertEqual(prefs.resolve(ids).model, 'gpt-4o');
+  prefs.set('channel', 'c1', 'gpt-5-mini');
+  assertEqual(prefs.resolve(ids).model, 'gpt-5-mini');
+  prefs.set('user', 'u1', 'gpt-4.1');
+  assertEqual(prefs.resolve(ids).scope, 'user');
+
+  // Another user in the same channel is unaffected by u1's choice
+  assertEqual(prefs.resolve({ ...ids, userId: 'u2' }).model, 'gpt-5-mini');
+  fs.rmSync(file, { force: true });
+});
+
+await test('Model preferences persist across restarts and can be reset', async () => {
+  const file = tempFile('models.json');
+  const store = new JsonStore(file);
+  new ModelPreferences(store).set('user', 'u1', 'gpt-4o');
+  store.close();
+
+  const reloaded = new ModelPreferences(new JsonStore(file));
+  assertEqual(reloaded.resolve({ userId: 'u1' }).model, 'gpt-4o');
+  assert(reloaded.reset('user', 'u1'));
+  assertEqual(reloaded.resolve({ userId: 'u1' }).model, DEFAULT_MODEL);
+  fs.rmSync(file, { force: true });
+});
+
+// ─── Model Catalog ────────────────────────────────────────────────────────────
+
+console.log('\n── Model catalog ─────────────────────────────────────────────────────────\n');
+
+const { ModelCatalog, fromCopilotModel } = await import('../src/catalog.js');
+
+const copilotModels = {
+  data: [
+    {
+      id: 'claude-sonnet-4', name: 'Claude Sonnet 4', vendor: 'Anthropic',
+      capabilities: { type: 'chat', limits: { max_context_window_tokens: 200000 }, supports: { vision: true, tool_calls: true } },
+    },
+    {
+      id: 'o4-mini', name: 'o4-mini', vendor: 'OpenAI',
+      capabilities: { type: 'chat', limits: { max_prompt_tokens: 100000, max_output_tokens: 28000 }, supports: { tool_calls: true } },
+    },
+    { id: 'text-embedding-3-small', capabilities: { type: 'embeddings' } },
+    { id: 'retired-model', policy: { state: 'disabled' }, capabilities: { type: 'chat' } },
+    { id: 'claude-sonnet-4', name: 'duplicate', capabilities: { type: 'chat' } },
+  ],
+};
+
+let modelsRequests = 0;
+let modelsAuth = null;
+const modelsServer = await startServer((req, res) => {
+  if (req.url !== '/models') { res.writeHead(404); res.end(); return; }
+  modelsRequests++;
+  modelsAuth = req.headers.authorization;
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(copilotModels));
+});
+
+try {
+  await test('fromCopilotModel extracts capabilities and context length', async () => {
+    const claude = fromCopilotModel(copilotModels.data[0]);
+    assertEqual(claude.label, 'Claude Sonnet 4');
+    assertEqual(claude.contextTokens, 200000);
+    assertEqual(claude.vision, true);
+    assertEqual(claude.tools, true);
+
+    const o4 = fromCopilotModel(copilotModels.data[1]);
+    assertEqual(o4.contextTokens, 128000);
+    assertEqual(o4.vision, false);
+    assertEqual(fromCopilotModel(copilotModels.data[2]), null, 'Embedding models are not chat models');
+  });
+
+  await test('ModelCatalog loads chat models from the /models endpoint', async () => {
+    const catalog = new ModelCatalog(new StubbedManager('stub_token', { baseUrl: modelsServer.url }));
+    await catalog.refresh();
+    assertEqual(catalog.source, 'copilot');
+    assertEqual(catalog.models.map(m => m.id).join(','), 'claude-sonnet-4,o4-mini');
+    assertEqual(catalog.get('o4-mini').tools, true);
+    assertEqual(modelsAuth, 'Bearer stub_token');
+  });
+
+  await test('ModelCatalog caches the list until the TTL expires', async () => {
+    const catalog = new ModelCatalog(new StubbedManager('stub_token', { baseUrl: modelsServer.url }), { ttlMs: 60_000 });
+    const before = modelsRequests;
+    await catalog.list();
+    await catalog.list();
+    assertEqual(modelsRequests, before + 1);
+
+    catalog.fetchedAt = Date.now() - 61_000;
+    await catalog.list();
+    assertEqual(modelsRequests, before + 2);
+  });
+
+  await test('ModelCatalog falls back to the built-in list when offline', async () => {
+    const offline = await startServer((req, res) => { res.writeHead(503); res.end(); });
+    await offline.close(); // nothing listens on this port any more
+    const catalog = new ModelCatalog(new StubbedManager('stub_token', { baseUrl: offline.url, retry: { retries: 0 } }));
+    const models = await catalog.list();
+    assertEqual(catalog.source, 'built-in');
+    assertEqual(models.length, MODELS.length);
+    assertEqual(catalog.get('gpt-4o').contextTokens, 64000);
+  });
+
+  await test('ModelCatalog gives up on a stalled endpoint', async () => {
+    const stalled = await startServer(() => {}); // accepts the request, never answers
+    try {
+      const catalog = new ModelCatalog(new StubbedManager('stub_token', { baseUrl: stalled.url }), { timeoutMs: 100 });
+      const models  = await catalog.refresh();
+      assertEqual(catalog.source, 'built-in');
+      assertEqual(models.length, MODELS.length);
+    } finally {
+      await stalled.close();
+    }
+  });
+
+  await test('ModelCatalog.search returns autocomplete choices', async () => {
+    const catalog = new ModelCatalog(new StubbedManager('stub_token', { baseUrl: modelsServer.url }));
+    const choices = await catalog.search('claude');
+    assertEqual(choices.length, 1);
+    assertEqual(choices[0].value, 'claude-sonnet-4');
+    assertEqual(choices[0].name, 'Claude Sonnet 4 (claude-sonnet-4)');
+    assertEqual((await catalog.search('')).length, 2);
+  });
+} finally {
+  await modelsServer.close();
+}
+
+// ─── Copilot Session Tokens & Retries ─────────────────────────────────────────
+
+console.log('\n── Copilot session tokens & retries ──────────────────────────────────────\n');
+
+const { CopilotAuth } = await import('../src/auth.js');
+const { fetchWithRetry, parseRetryAfter } = await import('../src/http.js');
+
+await test('parseRetryAfter reads seconds and HTTP dates', async () => {
+  assertEqual(parseRetryAfter('2'), 2000);
+  assertEqual(parseRetryAfter(new Date(10_000).toUTCString(), 4_000), 6000);
+  assertEqual(parseRetryAfter(''), null);
+  assertEqual(parseRetryAfter('soon'), null);
+});
+
+/**
+ * Stub for both GitHub's token exchange (/token) and the Copilot API.
+ * `exchange(githubToken, count)` and `chat(bearer, count)` return [status, body, headers?].
+ */
+async function startCopilotStub({ exchange, chat }) {
+  const seen = { exchanges: [], chats: [] };
+  const server = await startServer((req, res) => {
+    const reply = ([status, body, headers = {}]) => {
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body ?? {}));
+    };
+    if (req.url === '/token') {
+      const token = req.headers.authorization.replace(/^token /, '');
+      seen.exchanges.push(token);
+      return reply(exchange(token, seen.exchanges.length));
+    }
+    req.resume();
+    req.on('end', () => {
+      const bearer = req.headers.authorization.replace(/^Bearer /, '');
+      seen.chats.push(bearer);
+      reply(chat(bearer, seen.chats.length));
+    });
+  });
+  return { ...server, seen };
+}
+
+const completion = text => [200, { choices: [{ message: { content: text } }] }];
+const session = (token, ttlSeconds = 1800) => [200, { token, expires_at: Math.floor(Date.now() / 1000) + ttlSeconds }];
+const ping = [{ role: 'user', content: 'ping' }];
+const fastRetry = { baseDelayMs: 1, maxDelayMs: 5 };
+
+await test('CopilotAuth exchanges the GitHub token for a session token', async () => {
+  const stub = await startCopilotStub({ exchange: () => session('session_1'), chat: () => completion('pong') });
+  try {
+    const auth = new CopilotAuth({ getGithubToken: async () => 'gh_token', tokenUrl: `${stub.url}/token` });
+    const manager = new StubbedManager(auth, { baseUrl: stub.url });
+    assertEqual((await manager.send(ping)).data.content, 'pong');
+    await manager.send(ping);
+    assertEqual(stub.seen.exchanges.join(), 'gh_token');
+    assertEqual(stub.seen.chats.join(), 'session_1,session_1', 'Session token should be reused');
+  } finally {
+    await stub.close();
+  }
+});
+
+await test('CopilotAuth refreshes a session token that is about to expire', async () => {
+  const stub = await startCopilotStub({
+    exchange: (_, n) => session(`session_${n}`, 60),
+    chat: () => completion('pong'),
+  });
+  try {
+    const auth = new CopilotAuth({ getGithubToken: async () => 'gh_token', tokenUrl: `${stub.url}/token` });
+    const manager = new StubbedManager(auth, { baseUrl: stub.url });
+    await manager.send(ping);
+    await manager.send(ping);
+    assertEqual(stub.seen.chats.join(), 'session_1,session_2');
+  } finally {
+    await stub.close();
+  }
+});
+
+await test('A 401 from the API re-exchanges the token and retries', async () => {
+  const stub = await startCopilotStub({
+    exchange: (_, n) => session(`session_${n}`),
+    chat: bearer => bearer === 'session_1' ? [401, { message: 'expired' }] : completion('pong'),
+  });
+  try {
+    const auth = new CopilotAuth({ getGithubToken: async () => 'gh_token', tokenUrl: `${stub.url}/token` });
+    const manager = new StubbedManager(auth, { baseUrl: stub.url });
+    assertEqual((await manager.send(ping)).data.content, 'pong');
+    assertEqual(stub.seen.chats.join(), 'session_1,session_2');
+  } finally {
+    await stub.close();
+  }
+});
+
+await test('Rejected GitHub tokens re-run the authentication chain', async () => {
+  const tokens = ['revoked', 'fresh'];
+  const stub = await startCopilotStub({
+    exchange: token => token === 'revoked' ? [401, { message: 'Bad credentials' }] : session('session_ok'),
+    chat: () => completion('pong'),
+  });
+  try {
+    const auth = new CopilotAuth({ getGithubToken: async () => tokens.shift(), tokenUrl: `${stub.url}/token` });
+    await new StubbedManager(auth, { baseUrl: stub.url }).send(ping);
+    assertEqual(stub.seen.exchanges.join(), 'revoked,fresh');
+    assertEqual(stub.seen.chats.join(), 'session_ok');
+  } finally {
+    await stub.close();
+  }
+});
+
+await test('CopilotAuth uses the GitHub token directly when it cannot be exchanged', async () => {
+  const stub = await startCopilotStub({ exchange: () => [404, {}], chat: () => completion('pong') });
+  try {
+    const auth = new CopilotAuth({ getGithubToken: async () => 'pat_token', tokenUrl: `${stub.url}/token` });
+    const manager = new StubbedManager(auth, { baseUrl: stub.url });
+    await manager.send(ping);
+    await manager.send(ping);
+    assertEqual(stub.seen.exchanges.length, 1, 'Exchange should not be retried');
+    assertEqual(stub.seen.chats.join(), 'pat_token,pat_token');
+  } finally {
+    await stub.close();
+  }
+});
+
+await test('Rate limits and server errors are retried with backoff', async () => {
+  const stub = await startCopilotStub({
+    exchange: () => session('session_1'),
+    chat: (_, n) => [
+      [429, { message: 'slow down' }, { 'Retry-After': '0' }],
+      [503, { message: 'unavailable' }],
+    ][n - 1] ?? completion('pong'),
+  });
+  try {
+    const auth = new CopilotAuth({ getGithubToken: async () => 'gh_token', tokenUrl: `${stub.url}/token` });
+    const manager = new StubbedManager(auth, { baseUrl: stub.url, retry: fastRetry });
+    assertEqual((await manager.send(ping)).data.content, 'pong');
+    assertEqual(stub.seen.chats.length, 3);
+  } finally {
+    await stub.close();
+  }
+});
+
+await test('fetchWithRetry gives up after the configured retries', async () => {
+  let calls = 0;
+  const res = await fetchWithRetry(async () => { calls++; return new Response('busy', { status: 503 }); }, { ...fastRetry, retries: 2 });
+  assertEqual(res.status, 503);
+  assertEqual(calls, 3);
+});
+
+await test('fetchWithRetry does not retry client errors', async () => {
+  let calls = 0;
+  const res = await fetchWithRetry(async () => { calls++; return new Response('nope', { status: 400 }); }, fastRetry);
+  assertEqual(res.status, 400);
+  assertEqual(calls, 1);
+});
+
+await test('fetchWithRetry gives up when Retry-After exceeds the longest wait', async () => {
+  let calls = 0;
+  const busy = () => new Response('later', { status: 429, headers: { 'Retry-After': '120' } });
+  const res = await fetchWithRetry(async () => { calls++; return busy(); }, { ...fastRetry, maxDelayMs: 30000 });
+  assertEqual(res.status, 429);
+  assertEqual(calls, 1, 'Should not retry before the server allows it');
+});
+
+await test('fetchWithRetry stops waiting when the request is aborted', async () => {
+  const controller = new AbortController();
+  const started = Date.now();
+  const pending = fetchWithRetry(
+    async () => new Response('busy', { status: 503, headers: { 'Retry-After': '20' } }),
+    { signal: controller.signal },
+  );
+  setTimeout(() => controller.abort(), 10);
+  const err = await pending.catch(e => e);
+  assertEqual(err.name, 'AbortError');
+  assert(Date.now() - started < 5000, 'Expected the wait to end on abort');
+});
+
+// ─── Tools ────────────────────────────────────────────────────────────────────
+
+console.log('\n── Tools ─────────────────────────────────────────────────────────────────\n');
+
+const { ToolRegistry } = await import('../src/copilot.js');
+const { evaluateMath, BUILTIN_TOOLS, ToolSettings, createToolRegistry } = await import('../src/tools.js');
+
+await test('evaluateMath handles precedence, functions and constants', async () => {
+  assertEqual(evaluateMath('1 + 2 * 3'), 7);
+  assertEqual(evaluateMath('(1 + 2) * 3'), 9);
+  assertEqual(evaluateMath('2 ^ 3 ^ 2'), 512);
+  assertEqual(evaluateMath('-2 ** 2'), -4);
+  assertEqual(evaluateMath('sqrt(16) + max(1, 5, 3) + 5!'), 129);
+  assertEqual(evaluateMath('round(pi * 100) / 100'), 3.14);
+  assertEqual(evaluateMath('1.5e3 % 7'), 2);
+});
+
+await test('evaluateMath rejects anything that is not arithmetic', async () => {
+  for (const bad of ['process.exit()', 'constructor', '1 +', '(2', '2 2', 'alert(1)', '"a"']) {
+    let threw = false;
+    try { evaluateMath(bad); } catch { threw = true; }
+    assert(threw, `Expected ${bad} to be rejected`);
+  }
+});
+
+await test('ToolRegistry executes calls and reports failures to the model', async () => {
+  const registry = new ToolRegistry([
+    { name: 'echo', description: 'Echo', handler: args => args },
+    { name: 'boom', description: 'Fails', handler: () => { throw new Error('kaput'); } },
+  ]);
+  const call = (name, args) => ({ id: 'c1', function: { name, arguments: args } });
+  assertEqual(await registry.execute(call('echo', '{"a":1}')), '{"a":1}');
+  assertEqual(await registry.execute(call('boom', '{}')), 'Error: kaput');
+  assertEqual(await registry.execute(call('echo', '{oops')), 'Error: arguments are not valid JSON');
+  assert((await registry.execute(call('nope', '{}'))).includes('unknown tool'));
+  assertEqual(registry.only(['echo']).names().join(), 'echo');
+  assertEqual(registry.definitions()[0].function.parameters.type, 'object');
+});
+
+/** Chat-completions stub that replays `replies` (full messages, or SSE delta lists when streaming). */
+async function startToolStub(replies) {
+  const requests = [];
+  const server = await startServer((req, res) => {
+    let raw = '';
+    req.on('data', c => { raw += c; });
+    req.on('end', () => {
+      const body = JSON.parse(raw);
+      requests.push(body);
+      const reply = replies[Math.min(requests.length, replies.length) - 1];
+      if (body.stream) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        for (const delta of reply) res.write(`data: ${JSON.stringify({ choices: [{ delta }] })}\n\n`);
+        res.end('data: [DONE]\n\n');
+      } else {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ choices: [{ message: reply }] }));
+      }
+    });
+  });
+  return { ...server, requests };
+}
+
+const calcCall = { id: 'call_1', type: 'function', function: { name: 'calculate', arguments: '{"expression":"6*7"}' } };
+
+await test('send() runs tool calls and returns the final answer', async () => {
+  const stub = await startToolStub([
+    { role: 'assistant', content: null, tool_calls: [calcCall] },
+    { role: 'assistant', content: 'It is 42.' },
+  ]);
+  try {
+    const manager = new StubbedManager('stub_token', { baseUrl: stub.url });
+    const response = await manager.send([{ role: 'user', content: 'six times seven?' }], { tools: createToolRegistry() });
+    assertEqual(response.data.content, 'It is 42.');
+    assertEqual(stub.requests[0].tools.length, BUILTIN_TOOLS.length);
+    const [, assistant, result] = stub.requests[1].messages;
+    assertEqual(assistant.tool_calls[0].id, 'call_1');
+    assertEqual(result.role, 'tool');
+    assertEqual(result.tool_call_id, 'call_1');
+    assertEqual(result.content, '42');
+  } finally {
+    await stub.close();
+  }
+});
+
+await test('stream() assembles tool calls from deltas and streams the answer', async () => {
+  const stub = await startToolStub([
+    [
+      { tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'calculate', arguments: '' } }] },
+      { tool_calls: [{ index: 0, function: { arguments: '{"expression":' } }] },
+      { tool_calls: [{ index: 0, function: { arguments: '"2^8"}' } }] },
+    ],
+    [{ content: 'That is ' }, { content: '256.' }],
+  ]);
+  try {
+    const manager = new StubbedManager('stub_token', { baseUrl: stub.url });
+    let text = '';
+    for await (const d of manager.stream([{ role: 'user', content: '2^8?' }], { tools: createToolRegistry() })) text += d;
+    assertEqual(text, 'That is 256.');
+    assertEqual(stub.requests[1].messages.at(-1).content, '256');
+  } finally {
+    await stub.close();
+  }
+});
+
+await test('Tool loop stops calling tools after maxToolIterations', async () => {
+  const stub = await startToolStub([
+    { role: 'assistant', content: null, tool_calls: [calcCall] },
+    { role: 'assistant', content: null, tool_calls: [calcCall] },
+  ]);
+  try {
+    const manager = new StubbedManager('stub_token', { baseUrl: stub.url });
+    const response = await manager.send([{ role: 'user', content: 'loop' }], { tools: createToolRegistry(), maxToolIterations: 1 });
+    assertEqual(stub.requests.length, 2);
+    assertEqual(stub.requests[0].tool_choice, undefined);
+    assertEqual(stub.requests[1].tool_choice, 'none');
+    assertEqual(response.data.content, '');
+  } finally {
+    await stub.close();
+  }
+});
+
+await test('recent_messages and current_time tools', async () => {
+  const recent = BUILTIN_TOOLS.find(t => t.name === 'recent_messages');
+  let fetchedWith;
+  const channel = {
+    messages: {
+      fetch: async opts => {
+        fetchedWith = opts;
+        return new Map([
+          ['2', { createdTimestamp: 2000, author: { username: 'bob' }, content: 'second' }],
+          ['1', { createdTimestamp: 1000, author: { username: 'alice' }, content: 'first' }],
+        ]);
+      },
+    },
+  };
+  const text = await recent.handler({ limit: 500 }, { message: { id: '99', channel } });
+  assertEqual(fetchedWith.limit, 50);
+  assertEqual(fetchedWith.before, '99');
+  assert(text.indexOf('alice: first') < text.indexOf('bob: second'), 'Expected oldest first');
+
+  const time = BUILTIN_TOOLS.find(t => t.name === 'current_time');
+  assertEqual(time.handler({ timezone: 'Europe/Berlin' }).timezone, 'Europe/Berlin');
+  let threw = false;
+  try { time.handler({ timezone: 'Mars/Olympus' }); } catch { threw = true; }
+  assert(threw, 'Expected an unknown time zone to be rejected');
+});
+
+await test('Tool settings: thread overrides win over the channel', async () => {
+  const file = tempFile('tools.json');
+  const settings = new ToolSettings(new JsonStore(file));
+  const names = ['calculate', 'current_time', 'recent_messages'];
+  settings.set('chan', 'calculate', false);
+  settings.set('chan', 'recent_messages', false);
+  settings.set('thr', 'calculate', true);
+  assertEqual(settings.enabled(names, { channelId: 'chan' }).join(), 'current_time');
+  assertEqual(settings.enabled(names, { threadId: 'thr', channelId: 'chan' }).join(), 'calculate,current_time');
+  assert(settings.reset('chan'));
+  assertEqual(settings.enabled(names, { channelId: 'chan' }).length, 3);
+  fs.rmSync(file, { force: true });
+});
+
+// ─── JavaScript Sandbox ───────────────────────────────────────────────────────
+
+console.log('\n── JavaScript sandbox ────────────────────────────────────────────────────\n');
+
+const { runJavaScript, extractCode, formatRunResult } = await import('../src/sandbox.js');
+
+await test('runJavaScript returns console output and the last value', async () => {
+  const result = await runJavaScript('console.log("sum", [1, 2].map(x => x * 2)); 6 * 7');
+  assertEqual(result.output, 'sum [ 2, 4 ]');
+  assertEqual(result.value, '42');
+  assertEqual(result.error, null);
+});
+
+await test('runJavaScript has no access to Node or the host realm', async () => {
+  for (const code of ['process.exit(1)', 'require("fs")', 'fetch("http://example.com")', 'setTimeout(() => {})',
+                      'this.constructor.constructor("return process")()', 'eval("1")']) {
+    const result = await runJavaScript(code);
+    assert(result.error && result.value === undefined, `Expected ${code} to fail, got ${JSON.stringify(result)}`);
+  }
+});
+
+await test('runJavaScript stack traces only show the snippet', async () => {
+  const thrown = await runJavaScript('function f() { null.x }\nf()');
+  assertEqual(thrown.error, "TypeError: Cannot read properties of null (reading 'x')\n    at f (snippet.js:1:21)\n    at snippet.js:2:1");
+  const printed = await runJavaScript('Error.prepareStackTrace = (e, frames) => frames.map(f => f.getFileName()).join();\nconsole.log(new Error("x").stack)');
+  assertEqual(printed.output, 'Error: x\n    at snippet.js:2:13');
+});
+
+await test('runJavaScript results stay text when a snippet replaces built-ins', async () => {
+  const result = await runJavaScript('Array.prototype.join = () => 42; String.prototype.slice = () => 7; console.log("still", "here"); 1');
+  assertEqual(result.output, 'still here');
+  assertEqual(result.value, '1');
+  assertEqual(result.truncated, false);
+  assert(formatRunResult({ ...result, durationMs: 1 }).includes('still here'));
+});
+
+await test('runJavaScript enforces time and output limits', async () => {
+  const looping = await runJavaScript('while (true) {}', { timeoutMs: 200 });
+  assert(looping.timedOut, 'Expected a timeout');
+  const chatty = await runJavaScript('for (let i = 0; i < 1e5; i++) console.log(i)', { maxOutputChars: 50 });
+  assert(chatty.truncated && chatty.output.length <= 50, 'Expected truncated output');
+});
+
+await test('extractCode and formatRunResult', async () => {
+  assertEqual(extractCode('```js\nconsole.log(1)\n```'), 'console.log(1)');
+  assertEqual(extractCode(' 1 + 1 '), '1 + 1');
+  const text = formatRunResult({ output: 'hi', value: undefined, error: 'TypeError: x', durationMs: 3 });
+  assert(text.includes('**Output**\n```\nhi\n```'));
+  assert(text.includes('**Error**\n```\nTypeError: x\n```'));
+});
+
+await test('run_javascript tool reports results to the model', async () => {
+  const output = await createToolRegistry().execute(
+    { id: 'c', function: { name: 'run_javascript', arguments: JSON.stringify({ code: 'typeof require' }) } },
+    { sandbox: { timeoutMs: 500 } },
+  );
+  assertEqual(JSON.parse(output).result, '"undefined"');
+});
+
+// ─── Rate Limits & Quotas ─────────────────────────────────────────────────────
+
+console.log('\n── Rate limits & quotas ──────────────────────────────────────────────────\n');
+
+const { RateLimiter, parseRate, parseRoleQuotas } = await import('../src/ratelimit.js');
+
+await test('parseRate and parseRoleQuotas', async () => {
+  const rate = parseRate('5/60');
+  assertEqual(rate.capacity, 5);
+  assertEqual(rate.intervalMs, 60000);
+  assertEqual(parseRate(''), null);
+  assertEqual(parseRate('off'), null);
+  let threw = false;
+  try { parseRate('fast'); } catch { threw = true; }
+  assert(threw, 'Expected an invalid rate to throw');
+  assertEqual(JSON.stringify(parseRoleQuotas('111:100, 222:0')), '{"111":100,"222":0}');
+});
+
+await test('Token buckets limit bursts and refill over time', async () => {
+  let now = Date.parse('2024-05-01T12:00:00Z');
+  const limiter = new RateLimiter(new JsonStore(tempFile('limits1.json')), { user: parseRate('2/60'), now: () => now });
+  const ids = { userId: 'u1', channelId: 'c1', guildId: 'g1' };
+  assert(limiter.consume(ids).allowed);
+  assert(limiter.consume(ids).allowed);
+  const denied = limiter.consume(ids);
+  assertEqual(denied.allowed, false);
+  assertEqual(denied.scope, 'user');
+  assertEqual(denied.retryAfterMs, 30000);
+  assert(limiter.consume({ ...ids, userId: 'u2' }).allowed, 'Other users are not affected');
+  now += 30000;
+  assert(limiter.consume(ids).allowed, 'Expected a token after 30 s');
+});
+
+await test('A full channel bucket does not cost the user a token', async () => {
+  const limiter = new RateLimiter(new JsonStore(tempFile('limits2.json')), { user: parseRate('5/60'), channel: parseRate('1/60') });
+  assert(limiter.consume({ userId: 'a', channelId: 'c' }).allowed);
+  const denied = limiter.consume({ userId: 'b', channelId: 'c' });
+  assertEqual(denied.scope, 'channel');
+  assertEqual(limiter.bucket('user', 'b').tokens, 5);
+});
+
+await test('Token buckets stay in memory; only daily usage is stored', async () => {
+  let now = Date.parse('2024-05-01T12:00:00Z');
+  const store   = new JsonStore(tempFile('limits4.json'));
+  const limiter = new RateLimiter(store, { user: parseRate('2/60'), channel: parseRate('5/60'), now: () => now });
+  limiter.consume({ userId: 'u1', channelId: 'c1' });
+  assertEqual(store.namespaces().join(), 'usage');
+  assertEqual(limiter.buckets.size, 2);
+  now += 60000;
+  limiter.prune();
+  assertEqual(limiter.buckets.size, 0, 'Refilled buckets should be dropped');
+  assertEqual(limiter.bucket('user', 'u1').tokens, 2);
+});
+
+await test('Daily quotas follow the most generous role and persist', async () => {
+  let now = Date.parse('2024-05-01T23:00:00Z');
+  const file = tempFile('limits3.json');
+  const options = { dailyQuota: 1, roleQuotas: { vip: 3, staff: 0 }, now: () => now };
+  const store   = new JsonStore(file);
+  const limiter = new RateLimiter(store, options);
+
+  assert(limiter.consume({ userId: 'u' }).allowed);
+  const denied = limiter.consume({ userId: 'u' });
+  assertEqual(denied.scope, 'quota');
+  assertEqual(denied.retryAfterMs, 60 * 60 * 1000, 'Quota resets at midnight UTC');
+  assert(limiter.consume({ userId: 'u', roleIds: ['vip'] }).allowed, 'Role quota should apply');
+  assertEqual(limiter.quotaFor(['vip', 'staff']), 0);
+  store.close();
+
+  const restarted = new RateLimiter(new JsonStore(file), options);
+  const usage = restarted.usage({ userId: 'u', roleIds: ['vip'] });
+  assertEqual(usage.used, 2);
+  assertEqual(usage.remaining, 1);
+  now += 2 * 60 * 60 * 1000;
+  assertEqual(restarted.usage({ userId: 'u' }).used, 0, 'Expected a fresh count the next day');
+  fs.rmSync(file, { force: true });
+});
+
+// ─── Storage Backends & Conversation Log ──────────────────────────────────────
+
+console.log('\n── Storage backends & conversation log ───────────────────────────────────\n');
+
+const { openStore } = await import('../src/store.js');
+const { ConversationLog, exportUserData, purgeUserData } = await import('../src/history.js');
+
+await test('JsonStore migrates the legacy flat layout', async () => {
+  const file = tempFile('legacy.json');
+  fs.writeFileSync(file, JSON.stringify({ models: { 'user:1': 'gpt-4o' } }));
+  const store = new JsonStore(file);
+  assertEqual(store.get('models', 'user:1'), 'gpt-4o');
+  const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assertEqual(saved.version, 2);
+  assertEqual(saved.kv.models['user:1'], 'gpt-4o');
+  assertEqual(saved.logs, undefined);
+  fs.rmSync(file, { force: true });
+});
+
+await test('JsonStore moves an inline conversation log to its own file', async () => {
+  const file = tempFile('inline-log.json');
+  fs.writeFileSync(file, JSON.stringify({ version: 1, kv: {}, logs: [{ at: 1, userId: 'u', content: 'hi' }] }));
+  const store = new JsonStore(file);
+  assertEqual(store.logs({ userId: 'u' })[0].content, 'hi');
+  assertEqual(JSON.parse(fs.readFileSync(file, 'utf8')).logs, undefined);
+  assertEqual(fs.readFileSync(logFileFor(file), 'utf8'), '{"at":1,"userId":"u","content":"hi"}\n');
+  fs.rmSync(file, { force: true });
+  fs.rmSync(logFileFor(file), { force: true });
+});
+
+for (const backend of ['json', 'sqlite']) {
+  await test(`${backend} backend: settings and logs survive reopening`, async () => {
+    const file = tempFile(`backend.${backend}`);
+    let store = await openStore({ backend, file });
+    store.set('models', 'user:1', 'gpt-4o');
+    store.set('models', 'user:1', 'gpt-4.1');
+    store.set('triggers', 'chan', { mode: 'mention' });
+    store.appendLog({ at: 1, userId: 'u1', channelId: 'c1', role: 'user', content: 'hi' });
+    store.appendLog({ at: 2, userId: 'u1', channelId: 'c1', role: 'assistant', model: 'gpt-4.1', content: 'hello' });
+    store.appendLog({ at: 3, userId: 'u2', guildId: 'g2', channelId: 'c2', role: 'user', content: 'other' });
+    store.close();
+
+    store = await openStore({ backend, file });
+    assertEqual(store.get('models', 'user:1'), 'gpt-4.1');
+    assertEqual(store.get('triggers', 'chan').mode, 'mention');
+    assertEqual(store.namespaces().sort().join(), 'models,triggers');
+    assertEqual(store.logs({ userId: 'u1' }).map(e => e.content).join(), 'hi,hello');
+    assertEqual(store.logs({ userId: 'u1' })[1].model, 'gpt-4.1');
+    assertEqual(store.logs({}, { limit: 2 }).map(e => e.at).join(), '2,3');
+    assertEqual(store.logs({ guildId: 'g2' }).map(e => e.content).join(), 'other');
+    assertEqual(store.deleteLogs({ before: 2 }), 1);
+    assert(store.delete('models', 'user:1'));
+    assert(!store.delete('models', 'user:1'));
+    store.close();
+    fs.rmSync(file, { force: true });
+    fs.rmSync(logFileFor(file), { force: true });
+  });
+}
+
+await test('sqlite backend batches writes when it keeps the database in memory', async () => {
+  const file  = tempFile('batched.sqlite');
+  const store = await openStore({ backend: 'sqlite', file });
+  if (typeof store.db.flush !== 'function') return store.close(); // node:sqlite writes as it goes
+  store.set('models', 'user:1', 'gpt-4o');
+  store.appendLog({ at: 1, userId: '1', role: 'user', content: 'hi' });
+  assert(!fs.existsSync(file), 'Nothing should be written on every change');
+  store.close();
+  const reopened = await openStore({ backend: 'sqlite', file });
+  assertEqual(reopened.get('models', 'user:1'), 'gpt-4o');
+  assertEqual(reopened.logs().length, 1);
+  reopened.close();
+  fs.rmSync(file, { force: true });
+});
+
+await test('ConversationLog prunes records past the retention period', async () => {
+  let now = 10 * 24 * 60 * 60 * 1000;
+  const file = tempFile('convlog.json');
+  const store = new JsonStore(file);
+  const conversations = new ConversationLog(store, { retentionDays: 1, now: () => now });
+  conversations.record({ userId: 'u', channelId: 'c', role: 'user', content: 'old' });
+  now += 2 * 24 * 60 * 60 * 1000;
+  conversations.record({ userId: 'u', channelId: 'c', role: 'user', content: 'new' });
+  assertEqual(conversations.forChannel('c').map(e => e.content).join(), 'new');
+  fs.rmSync(file, { force: true });
+  fs.rmSync(logFileFor(file), { force: true });
+});
+
+await test('exportUserData / purgeUserData cover settings and logs', async () => {
+  const file = tempFile('privacy.json');
+  const store = new JsonStore(file);
+  store.set('models', 'user:42', 'gpt-4o');
+  store.set('usage', 'user:42', { day: '2024-05-01', count: 3 });
+  store.set('models', 'user:7', 'gpt-4.1');
+  store.set('models', 'channel:42', 'gpt-4o');
+  store.appendLog({ at: 1, userId: '42', role: 'user', content: 'mine' });
+  store.appendLog({ at: 2, userId: '7', role: 'user', content: 'theirs' });
+
+  const data = exportUserData(store, '42');
+  assertEqual(data.settings.models, 'gpt-4o');
+  assertEqual(data.settings.usage.count, 3);
+  assertEqual(data.conversations.length, 1);
+
+  const removed = purgeUserData(store, '42');
+  assertEqual(removed.settings, 2);
+  assertEqual(removed.conversations, 1);
+  assertEqual(store.get('models', 'user:7'), 'gpt-4.1');
+  assertEqual(store.get('models', 'channel:42'), 'gpt-4o');
+  assertEqual(store.logs().length, 1);
+  fs.rmSync(file, { force: true });
+  fs.rmSync(logFileFor(file), { force: true });
+});
+
+await test('User data includes settings from their DM conversation', async () => {
+  const file = tempFile('privacy-dm.json');
+  const store = new JsonStore(file);
+  store.set('personas', 'channel:dm42', 'Terse');
+  store.set('personas', 'channel:general', 'Chatty');
+  new TriggerStore(store, { mode: 'mention' }).set('dm42', 'prefix', '?');
+  new ToolSettings(store).set('dm42', 'calculate', false);
+  new ToolSettings(store).set('general', 'calculate', false);
+
+  const data = exportUserData(store, '42', { channelIds: ['dm42'] });
+  assertEqual(data.directMessages.personas, 'Terse');
+  assertEqual(data.directMessages.triggers.mode, 'prefix', 'Trigger overrides are keyed by the bare channel ID');
+  assertEqual(data.directMessages.tools.calculate, false);
+  assertEqual(purgeUserData(store, '42', { channelIds: ['dm42'] }).settings, 3);
+  assertEqual(store.get('personas', 'channel:general'), 'Chatty');
+  assert(store.get('tools', 'general'), 'Other channels are untouched');
+  fs.rmSync(file, { force: true });
+});
+
+// ─── Access Control ───────────────────────────────────────────────────────────
+
+console.log('\n── Access control ────────────────────────────────────────────────────────\n');
+
+const { AccessControl, isAdminCommand } = await import('../src/access.js');
+const { PermissionsBitField, PermissionFlagsBits } = await import('discord.js');
+
+await test('Deny lists win over allowlists, which restrict everyone else', async () => {
+  const file = tempFile('access.json');
+  const access = new AccessControl(new JsonStore(file));
+  const who = (userId, roleIds = []) => access.canChat({ guildId: 'g', userId, roleIds }).allowed;
+
+  assert(who('anyone'), 'Open by default');
+  access.add('g', 'denyUsers', 'troll');
+  assert(!who('troll'));
+  access.add('g', 'allowRoles', 'members');
+  assert(who('u1', ['members']));
+  assert(!who('u2'), 'Not on the allowlist');
+  access.add('g', 'denyRoles', 'muted');
+  assert(!who('u1', ['members', 'muted']), 'Denied role wins');
+  access.add('g', 'allowUsers', 'troll');
+  assert(who('troll'), 'Allowing a user takes them off the deny list');
+  assert(access.remove('g', 'members'));
+  assert(!who('u1', ['members']));
+  assert(access.canChat({ guildId: 'other', userId: 'u1' }).allowed, 'Rules are per guild');
+  fs.rmSync(file, { force: true });
+});
+
+await test('Admins: Manage Server, configured roles or environment roles', async () => {
+  const file = tempFile('admins.json');
+  const access = new AccessControl(new JsonStore(file), { adminRoles: ['envrole'] });
+  const perms = new PermissionsBitField(PermissionFlagsBits.ManageGuild);
+  assert(access.isAdmin({ guildId: 'g', permissions: perms }));
+  assert(access.isAdmin({ guildId: 'g', roleIds: ['envrole'] }));
+  assert(!access.isAdmin({ guildId: 'g', roleIds: ['mods'], permissions: new PermissionsBitField() }));
+  access.add('g', 'adminRoles', 'mods');
+  assert(access.isAdmin({ guildId: 'g', roleIds: ['mods'] }));
+  assert(!access.isAdmin({ guildId: 'other', roleIds: ['mods'] }));
+  fs.rmSync(file, { force: true });
+});
+
+await test('isAdminCommand covers configuration but not personal choices', async () => {
+  const interaction = (commandName, sub, scope, group = null) => ({
+    commandName,
+    options: {
+      getSubcommand:      () => sub,
+      getSubcommandGroup: () => group,
+      getString:          name => (name === 'scope' ? scope ?? null : null),
+    },
+  });
+  assert(isAdminCommand(interaction('persona', 'set')));
+  assert(isAdminCommand(interaction('access', 'show')));
+  assert(!isAdminCommand(interaction('persona', 'show')));
+  assert(!isAdminCommand(interaction('model', 'set')));
+  assert(isAdminCommand(interaction('model', 'set', 'guild')));
+  assert(!isAdminCommand(interaction('usage', null)));
+  assert(isAdminCommand(interaction('config', 'add', null, 'blacklist')));
+  assert(!isAdminCommand(interaction('config', 'show')));
+});
+
+await test('Only fully admin-only commands are hidden from members by default', async () => {
+  const { buildCommands } = await import('../src/commands.js');
+  const hidden = buildCommands().filter(c => c.default_member_permissions).map(c => c.name).sort();
+  assertEqual(hidden.join(), 'access,config,queue');
+});
+
+await test('A failing command handler is logged and reported, not thrown', async () => {
+  const bot = testBot();
+  bot.isAdmin = () => true;
+
+  const expired = discordInteraction({ channel: discordChannel(), sub: 'show' });
+  expired.commandName = 'config';
+  expired.reply = async () => { throw new Error('Unknown interaction'); };
+  await bot.onInteraction(expired);
+
+  const deferred = discordInteraction({ channel: discordChannel(), sub: 'show' });
+  deferred.commandName = 'config';
+  bot.onConfigCommand = async interaction => { await interaction.deferReply(); throw new Error('store unavailable'); };
+  await bot.onInteraction(deferred);
+  assertEqual(deferred.responses.at(-1).content, 'Something went wrong: store unavailable');
+});
+
+await test('/run is refused to members denied access', async () => {
+  const bot = testBot();
+  bot.access.add('g1', 'denyUsers', 'u_alice');
+  const interaction = discordInteraction({ channel: discordChannel(), options: { code: 'while (true) {}' } });
+  interaction.commandName = 'run';
+  await bot.onRunCommand(interaction);
+  assertEqual(interaction.deferred, false, 'No sandbox job should start');
+  assertEqual(interaction.responses[0].content, "You don't have access to Co-Bot here.");
+});
+
+// ─── Guild settings ───────────────────────────────────────────────────────────
+
+console.log('\n── Guild settings ────────────────────────────────────────────────────────\n');
+
+const { GuildSettings, forgetGuild } = await import('../src/guilds.js');
+
+await test('Channel lists and blacklist are per guild', async () => {
+  const file = tempFile('guilds.json');
+  const guilds = new GuildSettings(new JsonStore(file));
+
+  assert(guilds.allowsChannel('g', 'c1'), 'Every channel by default');
+  assert(guilds.addChannel('g', 'channels', 'c1'));
+  assert(!guilds.addChannel('g', 'channels', 'c1'), 'Already listed');
+  assert(guilds.allowsChannel('g', 'c1'));
+  assert(!guilds.allowsChannel('g', 'c2'), 'Only listed channels once any are');
+  guilds.addChannel('g', 'blacklist', 'c1');
+  assert(!guilds.allowsChannel('g', 'c1'), 'Blacklist wins');
+  assert(guilds.allowsChannel('other', 'c2'), 'Other guilds unaffected');
+  assert(guilds.removeChannel('g', 'blacklist', 'c1'));
+  assert(guilds.allowsChannel('g', 'c1'));
+  fs.rmSync(file, { force: true });
+});
+
+await test('Context size falls back to the environment default', async () => {
+  const file = tempFile('guilds-context.json');
+  const guilds = new GuildSettings(new JsonStore(file), { contextMessages: 7 });
+  assertEqual(guilds.contextMessages('g'), 7);
+  guilds.update('g', { contextMessages: 0 });
+  assertEqual(guilds.contextMessages('g'), 0, '0 is a real setting, not unset');
+  assert(guilds.reset('g'));
+  assertEqual(guilds.contextMessages('g'), 7);
+  fs.rmSync(file, { force: true });
+});
+
+await test('forgetGuild removes guild and channel settings in every namespace', async () => {
+  const file = tempFile('forget.json');
+  const store = new JsonStore(file);
+  store.set('guilds', 'guild:g', { channels: ['c1'] });
+  store.set('personas', 'channel:c1', 'Pirate');
+  store.set('models', 'guild:g', 'gpt-4o');
+  store.set('models', 'user:u', 'gpt-4o');
+  store.set('models', 'guild:other', 'gpt-4o');
+  new TriggerStore(store, { mode: 'mention' }).set('c1', 'all');
+  new ToolSettings(store).set('t1', 'run_javascript', false);
+  new ToolSettings(store).set('c9', 'run_javascript', false);
+
+  assertEqual(forgetGuild(store, 'g', ['c1', 't1']), 5);
+  assertEqual(store.get('triggers', 'c1'), undefined, 'Trigger overrides removed');
+  assert(store.get('tools', 'c9'), 'Other guilds\' channels kept');
+  assertEqual(store.get('models', 'user:u'), 'gpt-4o', 'User settings kept');
+  assertEqual(store.get('models', 'guild:other'), 'gpt-4o', 'Other guilds kept');
+  fs.rmSync(file, { force: true });
+});
+
+// ─── Direct messages ──────────────────────────────────────────────────────────
+
+console.log('\n── Direct messages ───────────────────────────────────────────────────────\n');
+
+const { DirectMessageAccess } = await import('../src/dms.js');
+
+/** A guild whose members.fetch knows `members` (userId → role IDs). */
+function fakeGuild(id, members, calls = []) {
+  return {
+    id,
+    members: {
+      fetch: async userId => {
+        calls.push(userId);
+        if (!members[userId]) throw new Error('Unknown Member');
+        return { roles: { cache: new Map(members[userId].map(r => [r, {}])) } };
+      },
+    },
+  };
+}
+
+await test('DM access: off, allowlist only, or members of a served guild', async () => {
+  const file = tempFile('dms.json');
+  const access = new AccessControl(new JsonStore(file));
+  const guilds = [fakeGuild('g', { member: [] })];
+
+  assert(!(await new DirectMessageAccess(access).check('member', guilds)).allowed, 'Off by default');
+
+  const allowlist = new DirectMessageAccess(access, { mode: 'allowlist', allowedUsers: ['friend'] });
+  assert((await allowlist.check('friend', guilds)).allowed);
+  assert(!(await allowlist.check('member', guilds)).allowed, 'Membership is not enough');
+
+  const members = new DirectMessageAccess(access, { mode: 'members', allowedUsers: ['friend'] });
+  assert((await members.check('friend', [])).allowed);
+  assert((await members.check('member', guilds)).allowed);
+  assertEqual((await members.check('stranger', guilds)).reason, 'no shared server');
+  fs.rmSync(file, { force: true });
+});
+
+await test('DM access respects guild deny lists and caches lookups', async () => {
+  const file = tempFile('dms-deny.json');
+  const access = new AccessControl(new JsonStore(file));
+  access.add('g1', 'denyUsers', 'u');
+  const calls = [];
+  const guilds = [fakeGuild('g1', { u: [] }, calls), fakeGuild('g2', { u: [] }, calls)];
+  let now = 0;
+  const dms = new DirectMessageAccess(access, { mode: 'members', now: () => now });
+
+  assert((await dms.check('u', guilds)).allowed, 'Allowed through the second guild');
+  access.add('g2', 'denyUsers', 'u');
+  assert((await dms.check('u', guilds)).allowed, 'Cached');
+  assertEqual(calls.length, 2);
+  now += 60 * 60 * 1000;
+  assertEqual((await dms.check('u', guilds)).reason, 'not allowed in any shared server');
+  fs.rmSync(file, { force: true });
+});
+
+await test('/data finds DM settings from the stored DM channel without opening DMs', async () => {
+  const bot = testBot({ DM_ACCESS: 'allowlist', DM_ALLOWED_USER_IDS: ['u_alice'] });
+  bot.servedGuilds = () => [];
+  bot.enqueue = () => {};
+  const dm = discordChannel({ id: 'dm1' });
+  const message = discordMessage(dm, 'hi');
+  message.guildId = null;
+  await bot.onDirectMessage(message);
+  bot.personas.set('channel', 'dm1', 'Terse');
+
+  const noDM = () => { throw new Error('createDM should not be called'); };
+  const exportFor = async name => {
+    const interaction = discordInteraction({ channel: discordChannel(), sub: 'export', user: name, options: { user: { id: `u_${name}`, username: name, createDM: noDM } } });
+    await bot.onDataCommand(interaction);
+    return JSON.parse(interaction.responses[0].files[0].attachment.toString());
+  };
+  assertEqual((await exportFor('alice')).directMessages.personas, 'Terse');
+  assertEqual(Object.keys((await exportFor('bob')).directMessages).length, 0, 'Nothing for users who never DMed the bot');
+});
+
+await test("Admins only reach what a member said in their server", async () => {
+  const bot = testBot();
+  bot.store.set('models', 'user:u_bob', 'gpt-4o');
+  bot.store.set('dms', 'user:u_bob', 'dm_bob');
+  bot.personas.set('channel', 'dm_bob', 'Terse');
+  bot.store.appendLog({ at: 1, userId: 'u_bob', guildId: 'g1', channelId: 'c1', role: 'user', content: 'here' });
+  bot.store.appendLog({ at: 2, userId: 'u_bob', guildId: 'g2', channelId: 'c2', role: 'user', content: 'elsewhere' });
+  bot.store.appendLog({ at: 3, userId: 'u_bob', channelId: 'dm_bob', role: 'user', content: 'private' });
+  bot.isAdmin = () => true;
+  const run = async (sub, options = {}) => {
+    const interaction = discordInteraction({ channel: discordChannel(), sub, options: { user: { id: 'u_bob', username: 'bob' }, ...options } });
+    await bot.onDataCommand(interaction);
+    return interaction.responses[0];
+  };
+
+  const data = JSON.parse((await run('export')).files[0].attachment.toString());
+  assertEqual(data.conversations.map(e => e.content).join(), 'here');
+  assertEqual(Object.keys(data.settings).length + Object.keys(data.directMessages).length, 0, 'No personal or DM settings');
+
+  assert((await run('purge', { confirm: true })).content.includes('1 logged messages for **bob** in this server'));
+  assertEqual(bot.store.logs({ userId: 'u_bob' }).map(e => e.content).join(), 'elsewhere,private');
+  assertEqual(bot.store.get('models', 'user:u_bob'), 'gpt-4o');
+  assertEqual(bot.personas.get('channel', 'dm_bob'), 'Terse');
+});
+
+// ─── One-shot prompts ─────────────────────────────────────────────────────────
+
+console.log('\n── One-shot prompts ──────────────────────────────────────────────────────\n');
+
+const { parseDuration, languageName, summarizeRequest, translateRequest } = await import('../src/prompts.js');
+
+await test('parseDuration reads /summarize time ranges', async () => {
+  assertEqual(parseDuration('30m'), 30 * 60_000);
+  assertEqual(parseDuration('1d 12h'), 36 * 3_600_000);
+  assertEqual(parseDuration('2H'), 2 * 3_600_000);
+  assertEqual(parseDuration('soon'), null);
+  assertEqual(parseDuration('5'), null);
+  assertEqual(parseDuration('0m'), null);
+  assertEqual(parseDuration('1h then some'), null);
+});
+
+await test('summarizeRequest keeps the newest messages that fit', async () => {
+  const msg = (name, content, at) => ({ author: { username: name }, content, createdTimestamp: at, attachments: new Map(), embeds: [] });
+  const history = [msg('ann', 'a'.repeat(400), 0), msg('bob', 'short', 60_000), msg('cy', '', 120_000), msg('dee', 'latest', 180_000)];
+
+  const all = summarizeRequest(history);
+  assertEqual(all.included, 3, 'Empty messages skipped');
+  assert(all.messages[1].content.startsWith('[1970-01-01 00:00] ann: '));
+
+  const trimmed = summarizeRequest(history, { maxTokens: 30 });
+  assertEqual(trimmed.included, 2);
+  assert(!trimmed.messages[1].content.includes('ann'), 'Oldest message dropped');
+  assert(trimmed.messages[1].content.endsWith('dee: latest'));
+});
+
+await test('Translate targets the language of the user\'s Discord locale', async () => {
+  assertEqual(languageName('de'), 'German');
+  assertEqual(languageName('pt-BR'), 'Brazilian Portuguese');
+  assertEqual(languageName('not a locale!'), 'English');
+  const [system] = translateRequest({ content: 'Hallo', attachments: new Map(), embeds: [] }, 'French');
+  assert(system.content.includes('into French'));
+});
+
+// ─── Reply controls ───────────────────────────────────────────────────────────
+
+console.log('\n── Reply controls ────────────────────────────────────────────────────────\n');
+
+const { FeedbackLog, RecentReplies, parseReplyControlId, replyControlId, replyControls } = await import('../src/replies.js');
+
+await test('Reply control IDs round-trip and reject foreign IDs', async () => {
+  assertEqual(JSON.stringify(parseReplyControlId(replyControlId('regenerate', '111', '222'))), JSON.stringify({ action: 'regenerate', requestId: '111', authorId: '222' }));
+  assertEqual(parseReplyControlId('reply:explode:1:2'), null);
+  assertEqual(parseReplyControlId('something-else'), null);
+});
+
+await test('replyControls offers Continue only for cut-off replies', async () => {
+  const models = [{ id: 'gpt-4.1', label: 'ChatGPT 4.1' }, { id: 'gpt-4o', label: 'ChatGPT 4o' }];
+  const ids = rows => rows.flatMap(r => r.components.map(c => parseReplyControlId(c.custom_id).action));
+  assertEqual(ids(replyControls({ requestId: '1', authorId: '2', models, model: 'gpt-4o' })).join(), 'regenerate,up,down,model');
+  assertEqual(ids(replyControls({ requestId: '1', authorId: '2', truncated: true })).join(), 'regenerate,continue,up,down');
+  const [, menu] = replyControls({ requestId: '1', authorId: '2', models, model: 'gpt-4o' });
+  assert(menu.components[0].options.find(o => o.value === 'gpt-4o').default, 'Current model preselected');
+});
+
+await test('RecentReplies forgets the oldest replies past its limit', async () => {
+  const replies = new RecentReplies(2);
+  replies.remember('a', { model: 'm' });
+  replies.remember('b', { model: 'm' });
+  replies.remember('c', { model: 'm' });
+  assertEqual(replies.get('a'), null);
+  assertEqual(replies.get('c').model, 'm');
+});
+
+await test('FeedbackLog appends one vote per user and reply', async () => {
+  const file = tempFile('feedback.jsonl');
+  const feedback = new FeedbackLog(file);
+  assert(feedback.record({ rating: 'up', replyId: 'r1', model: 'gpt-4o' }, 'u1'));
+  assert(!feedback.record({ rating: 'down', replyId: 'r1', model: 'gpt-4o' }, 'u1'), 'Repeat vote ignored');
+  assert(feedback.record({ rating: 'down', replyId: 'r1', model: 'gpt-4o' }, 'u2'));
+  assert(feedback.record({ rating: 'up', replyId: 'r2', model: 'gpt-4.1' }, 'u1'));
+
+  assertEqual(feedback.entries().length, 3);
+  assert(!fs.readFileSync(file, 'utf8').includes('u1'), 'Voters are not logged');
+  assertEqual(JSON.stringify(feedback.summary()), JSON.stringify({ 'gpt-4o': { up: 1, down: 1 }, 'gpt-4.1': { up: 1, down: 0 } }));
+  fs.rmSync(file, { force: true });
+});
+
+await test('Regenerate answers from the context the request had', async () => {
+  const requests = [];
+  const bot = testBot({ THREAD_MODE: false }, {
+    send: async messages => { requests.push(messages); return { data: { content: 'Fresh answer', finishReason: 'stop' } }; },
+  });
+  const channel = discordChannel();
+  discordMessage(channel, 'Earlier context', { author: 'bob' });
+  const request = discordMessage(channel, 'What is 2+2?');
+  discordMessage(channel, '5', { author: 'bot' });
+  discordMessage(channel, 'Later chatter', { author: 'bob' });
+
+  await bot.processMessage(request, { model: 'gpt-4.1' });
+  const contents = requests[0].filter(m => m.role !== 'system').map(m => JSON.stringify(m.content));
+  assertEqual(contents.length, 2, `Unexpected context: ${contents.join(' | ')}`);
+  assert(contents[0].includes('Earlier context') && contents[1].includes('What is 2+2?'), 'Old reply and later messages are left out');
+});
+
+await test('Continue sends the cut-off reply once and joins the parts seamlessly', async () => {
+  const requests = [];
+  const bot = testBot({ THREAD_MODE: false }, {
+    send: async messages => { requests.push(messages); return { data: { content: 'rld!\n```', finishReason: 'stop' } }; },
+  });
+  const channel = discordChannel();
+  const request = discordMessage(channel, 'Print hello world');
+  const partial = discordMessage(channel, '```js\nconsole.log("Hello, wo', { author: 'bot' });
+  const previous = { model: 'gpt-4.1', content: '```js\nconsole.log("Hello, wo', messageIds: [partial.id] };
+
+  await bot.processMessage(request, { model: 'gpt-4.1', continueFrom: previous });
+  const assistantTurns = requests[0].filter(m => m.role === 'assistant');
+  assertEqual(assistantTurns.length, 1, 'Partial reply is not also read from history');
+  assertEqual(assistantTurns[0].content, previous.content);
+  assertEqual(bot.replies.get(request.id).content, '```js\nconsole.log("Hello, world!\n```');
+  assertEqual(bot.replies.get(request.id).messageIds[0], partial.id);
+});
+
+// ─── Rich rendering ───────────────────────────────────────────────────────────
+
+console.log('\n── Rich rendering ────────────────────────────────────────────────────────\n');
+
+const { Renderer, placeRendered, answerFooter } = await import('../src/render.js');
+
+const TABLE = '| Name | Score |\n|:-----|------:|\n| **Alice** | 7 |\n| `Bob` | 12 |';
+
+await test('Markdown tables become aligned code blocks', async () => {
+  const { text } = await new Renderer({ math: false }).render(`Results:\n\n${TABLE}\n\nNice.`);
+  assertEqual(text, 'Results:\n\n```\nName  | Score\n------+------\nAlice |     7\nBob   |    12\n```\n\nNice.');
+  const inCode = '```md\n' + TABLE + '\n```';
+  assertEqual((await new Renderer({ math: false }).render(inCode)).text, inCode, 'Tables inside code blocks are left alone');
+});
+
+await test('Table embeds have a field per column, wide tables stay code', async () => {
+  const renderer = new Renderer({ tables: 'embed', math: false });
+  const { text, embeds } = await renderer.render(TABLE);
+  assertEqual(text, '*(table 1 below)*');
+  assertEqual(embeds[0].embed.fields.map(f => `${f.name}=${f.value}`).join(';'), 'Name=**Alice**\n`Bob`;Score=7\n12');
+
+  const wide = await renderer.render('| a | b | c | d |\n|---|---|---|---|\n| 1 | 2 | 3 | 4 |');
+  assertEqual(wide.embeds.length, 0);
+  assert(wide.text.startsWith('```\na | b | c | d'));
+});
+
+await test('Math and Mermaid blocks are replaced by rendered images', async () => {
+  const rendered = [];
+  const renderer = new Renderer({
+    renderMath:    async tex => { rendered.push(`math:${tex.trim()}`); return Buffer.from('png'); },
+    renderMermaid: async src => { rendered.push(`mermaid:${src}`); return Buffer.from('png'); },
+  });
+  const { text, files } = await renderer.render('Area:\n$$\n\\pi r^2\n$$\n```mermaid\ngraph TD; A-->B\n```\nCosts $5, or $$10$$ later');
+  assertEqual(rendered.join('|'), 'math:\\pi r^2|mermaid:graph TD; A-->B');
+  assertEqual(files.map(f => f.name).join(), 'math-1.png,diagram-2.png');
+  assertEqual(text, 'Area:\n*(math: math-1.png)*\n*(diagram: diagram-2.png)*\nCosts $5, or $$10$$ later');
+});
+
+await test('Blocks that fail to render are left as written', async () => {
+  const renderer = new Renderer({ renderMath: async () => { throw new Error('bad TeX'); } });
+  const source = '```latex\n\\frac{1\n```';
+  const { text, files } = await renderer.render(source);
+  assertEqual(text, source);
+  assertEqual(files.length, 0);
+  assertEqual((await new Renderer({ math: false }).render('$$x$$')).text, '$$x$$', 'Math rendering can be off');
+});
+
+await test('Rendered files go on the message that mentions them', async () => {
+  const files = [{ name: 'a.png', ref: '(a)' }, { name: 'b.png', ref: '(b)' }, { name: 'c.png', ref: '(gone)' }];
+  const placed = placeRendered(['first (a)', 'second (b)', 'third'], { files, embeds: [{ embed: { n: 1 }, ref: '(a)' }] });
+  assertEqual(placed.map(p => p.files.map(f => f.name).join('+')).join(','), 'a.png,b.png,c.png');
+  assertEqual(placed[0].embeds.length, 1);
+  assertEqual(answerFooter('gpt-4.1', 2430), 'gpt-4.1 · 2.4s');
+});
+
+let hasMathJax = true;
+try {
+  await import('mathjax-full/js/mathjax.js');
+} catch {
+  hasMathJax = false;
+}
+if (hasMathJax) {
+  await test('LaTeX renders to PNG with MathJax', async () => {
+    const { mathToPng } = await import('../src/render.js');
+    const png = await mathToPng('\\int_0^1 x^2\\,dx = \\frac{1}{3}');
+    assertEqual(png.subarray(1, 4).toString(), 'PNG');
+    let threw = false;
+    try {
+      await mathToPng('\\notamacro{x}');
+    } catch {
+      threw = true;
+    }
+    assert(threw, 'Unknown macros are errors, not red text');
+  });
+}
+
+// ─── Image generation ─────────────────────────────────────────────────────────
+
+console.log('\n── Image generation ──────────────────────────────────────────────────────\n');
+
+const { ImageClient, ImageQuota, imageTool } = await import('../src/images.js');
+
+/** A stub images API: records requests and answers with smallPng, as base64 or a URL. */
+async function startImagesApi({ asUrl = false, fail = null } = {}) {
+  const requests = [];
+  const stub = await startServer((req, res) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => {
+      if (req.url === '/result.png') {
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        res.end(smallPng);
+        return;
+      }
+      const body = Buffer.concat(chunks);
+      requests.push({ path: req.url, headers: req.headers, body });
+      if (fail) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: fail } }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ data: [asUrl ? { url: `${stub.url}/result.png` } : { b64_json: smallPng.toString('base64'), revised_prompt: 'a red square' }] }));
+    });
+  });
+  return { ...stub, requests };
+}
+
+await test('ImageClient generates images from a local stub endpoint', async () => {
+  const api = await startImagesApi();
+  try {
+    const client = new ImageClient({ baseUrl: `${api.url}/v1/`, apiKey: 'k', model: 'img-1' });
+    const result = await client.generate('a red square', { size: '1536x1024' });
+    assert(result.data.equals(smallPng), 'Decoded image');
+    assertEqual(result.revisedPrompt, 'a red square');
+    const [request] = api.requests;
+    assertEqual(request.path, '/v1/images/generations');
+    assertEqual(request.headers.authorization, 'Bearer k');
+    assertEqual(JSON.stringify(JSON.parse(request.body)), JSON.stringify({ prompt: 'a red square', n: 1, size: '1536x1024', model: 'img-1' }));
+  } finally {
+    await api.close();
+  }
+});
+
+await test('ImageClient edits upload the image and accept URL results', async () => {
+  const api = await startImagesApi({ asUrl: true });
+  try {
+    const client = new ImageClient({ baseUrl: api.url });
+    const result = await client.edit('make it blue', { name: 'in.png', contentType: 'image/png', data: smallPng });
+    assert(result.data.equals(smallPng), 'Downloaded the result URL');
+    const [request] = api.requests;
+    assertEqual(request.path, '/images/edits');
+    assert(request.headers['content-type'].startsWith('multipart/form-data'), 'Sent as a form');
+    assert(request.body.includes('make it blue') && request.body.includes(smallPng), 'Prompt and image uploaded');
+    assertEqual(request.headers.authorization, undefined, 'No key, no Authorization header');
+  } finally {
+    await api.close();
+  }
+});
+
+await test('ImageClient reports the API\'s error message', async () => {
+  const api = await startImagesApi({ fail: 'Your request was rejected by the safety system.' });
+  try {
+    let error;
+    try { await new ImageClient({ baseUrl: api.url, retry: { retries: 0 } }).generate('x'); } catch (err) { error = err; }
+    assertEqual(error?.message, 'Your request was rejected by the safety system.');
+  } finally {
+    await api.close();
+  }
+});
+
+await test('ImageQuota allows a number of images per user per day', async () => {
+  let now = Date.parse('2024-05-01T23:00:00Z');
+  const quota = new ImageQuota(new JsonStore(tempFile('images.json')), { daily: 2, now: () => now });
+  assert(quota.reserve('u1').allowed);
+  assert(quota.reserve('u1').allowed);
+  assert(!quota.reserve('u1').allowed, 'Quota used up');
+  assertEqual(quota.used('u1'), 2, 'A denied reservation is not counted');
+  assert(!quota.check('u1').allowed);
+  assertEqual(quota.check('u1').retryAfterMs, 60 * 60 * 1000);
+  assert(quota.check('u2').allowed, 'Quotas are per user');
+  now += 2 * 60 * 60 * 1000;
+  assert(quota.check('u1').allowed, 'A new day, a new allowance');
+  assert(new ImageQuota(new JsonStore(tempFile('images2.json'))).check('u1').allowed, '0 = unlimited');
+});
+
+await test('generate_image attaches images, edits replied-to ones and respects quotas', async () => {
+  const api = await startImagesApi();
+  try {
+    const quota = new ImageQuota(new JsonStore(tempFile('images3.json')), { daily: 2 });
+    const tool  = imageTool({ client: new ImageClient({ baseUrl: api.url }), quota, limits });
+    const original = { attachments: new Map([['a', { name: 'in.png', contentType: 'image/png', url: `${api.url}/result.png` }]]) };
+    const message  = {
+      author: { id: 'u1', username: 'alice' },
+      attachments: new Map(),
+      reference: { messageId: 'orig' },
+      fetchReference: async () => original,
+    };
+    const images = [];
+
+    const made = await tool.handler({ prompt: 'a cat' }, { message, images });
+    assertEqual(made.attached, 'image-1.png');
+    const edited = await tool.handler({ prompt: 'add a hat', edit: true }, { message, images });
+    assertEqual(edited.attached, 'image-2.png');
+    assertEqual(api.requests.map(r => r.path).join(), '/images/generations,/images/edits');
+    assertEqual(images.length, 2);
+
+    let error;
+    try { await tool.handler({ prompt: 'another' }, { message, images }); } catch (err) { error = err; }
+    assert(/used all of today's images/.test(error?.message), `Unexpected: ${error?.message}`);
+    assertEqual(api.requests.length, 2, 'No request once the quota is used');
+  } finally {
+    await api.close();
+  }
+});
+
+await test('generate_image holds a quota slot while it runs and gives it back on failure', async () => {
+  const api = await startImagesApi({ fail: 'content policy' });
+  try {
+    const quota = new ImageQuota(new JsonStore(tempFile('images4.json')), { daily: 1 });
+    const tool  = imageTool({ client: new ImageClient({ baseUrl: api.url }), quota, limits });
+    const message = { author: { id: 'u1', username: 'alice' }, attachments: new Map() };
+    const [first, second] = await Promise.allSettled([
+      tool.handler({ prompt: 'a cat' }, { message, images: [] }),
+      tool.handler({ prompt: 'a dog' }, { message, images: [] }),
+    ]);
+    assert(/content policy/.test(first.reason?.message), `Unexpected: ${first.reason?.message}`);
+    assert(/used all of today's images/.test(second.reason?.message), 'The running request holds the only slot');
+    assertEqual(api.requests.length, 1);
+    assertEqual(quota.used('u1'), 0, 'A failed image is not counted');
+  } finally {
+    await api.close();
+  }
+});
+
+// ─── Providers ────────────────────────────────────────────────────────────────
+
+console.log('\n── Providers ─────────────────────────────────────────────────────────────\n');
+
+const { OpenAIProvider, AnthropicProvider, ProviderRouter, toAnthropicMessages, loadProviders } = await import('../src/providers.js');
+
+/** A stub LLM API: answers each POST with the next of `replies` (a function of the request body, or a status code). */
+async function startLlmStub(replies) {
+  const requests = [];
+  const stub = await startServer((req, res) => {
+    let raw = '';
+    req.on('data', c => { raw += c; });
+    req.on('end', () => {
+      const body = JSON.parse(raw);
+      requests.push({ path: req.url, headers: req.headers, body });
+      const reply = replies[Math.min(requests.length, replies.length) - 1];
+      if (typeof reply === 'number') {
+        res.writeHead(reply);
+        res.end('unavailable');
+      } else if (body.stream) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        for (const event of reply(body)) res.write(`event: ${event.type ?? 'message'}\ndata: ${JSON.stringify(event)}\n\n`);
+        res.end();
+      } else {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(reply(body)));
+      }
+    });
+  });
+  return { ...stub, requests };
+}
+
+await test('OpenAIProvider talks to any OpenAI-compatible base URL', async () => {
+  const stub = await startLlmStub([() => ({ choices: [{ message: { content: 'Hi from llama' }, finish_reason: 'stop' } ] })]);
+  try {
+    const provider = new OpenAIProvider({ name: 'local', baseUrl: `${stub.url}/v1/`, apiKey: 'sk-local' });
+    const response = await provider.send([{ role: 'user', content: 'hi' }], { model: 'llama3.1', maxTokens: 100 });
+    assertEqual(response.data.content, 'Hi from llama');
+    assertEqual(stub.requests[0].path, '/v1/chat/completions');
+    assertEqual(stub.requests[0].headers.authorization, 'Bearer sk-local');
+    assertEqual(stub.requests[0].body.max_tokens, 100);
+  } finally {
+    await stub.close();
+  }
+});
+
+await test('toAnthropicMessages converts system prompts, images and tool turns', async () => {
+  const { system, messages } = toAnthropicMessages([
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: [{ type: 'text', text: 'What is this?' }, { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }] },
+    { role: 'assistant', content: null, tool_calls: [calcCall] },
+    { role: 'tool', tool_call_id: 'call_1', content: '42' },
+    { role: 'user', content: 'Thanks' },
+  ]);
+  assertEqual(system, 'Be brief.');
+  assertEqual(messages.map(m => `${m.role}:${m.content.map(b => b.type).join('+')}`).join(' '), 'user:text+image assistant:tool_use user:tool_result+text');
+  assertEqual(JSON.stringify(messages[0].content[1].source), JSON.stringify({ type: 'base64', media_type: 'image/png', data: 'AAAA' }));
+  assertEqual(messages[1].content[0].input.expression, '6*7');
+});
+
+await test('AnthropicProvider runs tools and streams in the Messages format', async () => {
+  const stub = await startLlmStub([
+    () => ({ content: [{ type: 'tool_use', id: 'toolu_1', name: 'calculate', input: { expression: '6*7' } }], stop_reason: 'tool_use' }),
+    () => ({ content: [{ type: 'text', text: 'It is 42.' }], stop_reason: 'end_turn' }),
+    () => [
+      { type: 'message_start' },
+      { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hel' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'lo' } },
+      { type: 'message_delta', delta: { stop_reason: 'max_tokens' } },
+      { type: 'message_stop' },
+    ],
+  ]);
+  try {
+    const provider = new AnthropicProvider({ baseUrl: stub.url, apiKey: 'sk-ant' });
+    const response = await provider.send([{ role: 'system', content: 'sys' }, { role: 'user', content: '6*7?' }], { model: 'claude-x', tools: createToolRegistry() });
+    assertEqual(response.data.content, 'It is 42.');
+    const [first, second] = stub.requests;
+    assertEqual(first.path, '/v1/messages');
+    assertEqual(first.headers['x-api-key'], 'sk-ant');
+    assertEqual(first.body.system, 'sys');
+    assertEqual(first.body.max_tokens, 4096);
+    assert(first.body.tools.some(t => t.name === 'calculate' && t.input_schema), 'Tools declared with input_schema');
+    assertEqual(JSON.stringify(second.body.messages.at(-1).content[0]), JSON.stringify({ type: 'tool_result', tool_use_id: 'toolu_1', content: '42' }));
+
+    const deltas = provider.stream([{ role: 'user', content: 'hi' }], { model: 'claude-x' });
+    let text = '', next;
+    while (!(next = await deltas.next()).done) text += next.value;
+    assertEqual(text, 'Hello');
+    assertEqual(next.value.finishReason, 'length', 'max_tokens maps to length');
+  } finally {
+    await stub.close();
+  }
+});
+
+await test('ProviderRouter routes per model and fails over on errors', async () => {
+  const failing = await startLlmStub([503]);
+  const backup  = await startLlmStub([
+    body => ({ choices: [{ message: { content: `backup ${body.model}` }, finish_reason: 'stop' }] }),
+    () => [{ choices: [{ delta: { content: 'streamed' } }] }],
+  ]);
+  try {
+    const copilot = new StubbedManager('stub_token', { baseUrl: backup.url });
+    const router = new ProviderRouter(copilot, {
+      providers: new Map([['local', new OpenAIProvider({ name: 'local', baseUrl: failing.url, retry: { retries: 0 } })]]),
+      models:    [{ id: 'llama3.1', provider: 'local', failover: { provider: 'copilot', model: 'gpt-4.1' } }],
+    });
+    assertEqual(router.route('gpt-4o').provider, copilot, 'Unlisted models go to Copilot');
+    assertEqual((await router.send([{ role: 'user', content: 'hi' }], { model: 'llama3.1' })).data.content, 'backup gpt-4.1');
+
+    let text = '';
+    for await (const delta of router.stream([{ role: 'user', content: 'hi' }], { model: 'llama3.1' })) text += delta;
+    assertEqual(text, 'streamed');
+    assertEqual(failing.requests.length, 2, 'Primary tried first each time');
+
+    const controller = new AbortController();
+    controller.abort();
+    let error;
+    try { await router.send([{ role: 'user', content: 'hi' }], { model: 'llama3.1', signal: controller.signal }); } catch (err) { error = err; }
+    assertEqual(error?.name, 'AbortError', 'Cancelled requests are not failed over');
+    assertEqual(backup.requests.length, 2);
+  } finally {
+    await failing.close();
+    await backup.close();
+  }
+});
+
+await test('loadProviders reads providers and model entries from a file', async () => {
+  const file = tempFile('providers.json');
+  fs.writeFileSync(file, JSON.stringify({
+    providers: {
+      local:  { type: 'openai', baseUrl: 'http://localhost:11434/v1' },
+      claude: { type: 'anthropic', apiKeyEnv: 'TEST_ANTHROPIC_KEY' },
+    },
+    models: [
+      { id: 'llama3.1', provider: 'local', contextTokens: 128000, tools: true },
+      { id: 'claude-sonnet-4', provider: 'claude', vision: true, failover: { provider: 'copilot' } },
+    ],
+  }));
+  const { providers, models } = loadProviders(file, { env: { TEST_ANTHROPIC_KEY: 'sk' } });
+  assertEqual([...providers.keys()].join(), 'local,claude');
+  assertEqual(models[0].description, 'local · 128k context · tools');
+  assertEqual(JSON.stringify(models[1].failover), JSON.stringify({ provider: 'copilot', model: 'claude-sonnet-4' }));
+
+  const catalog = new ModelCatalog({ fetch: async () => ({ ok: false, status: 503 }) }, { configured: models });
+  assertEqual(catalog.get('llama3.1').contextTokens, 128000);
+  assert(catalog.has('gpt-4.1'), 'Copilot models are still listed');
+
+  let error;
+  try { loadProviders(file, { env: {} }); } catch (err) { error = err; }
+  assert(/TEST_ANTHROPIC_KEY is not set/.test(error?.message), `Unexpected: ${error?.message}`);
+  fs.writeFileSync(file, JSON.stringify({ models: [{ id: 'x', provider: 'nowhere' }] }));
+  error = null;
+  try { loadProviders(file); } catch (err) { error = err; }
+  assert(/unknown provider "nowhere"/.test(error?.message), `Unexpected: ${error?.message}`);
+  fs.rmSync(file, { force: true });
+});
+
+// ─── Request queue ────────────────────────────────────────────────────────────
+
+console.log('\n── Request queue ─────────────────────────────────────────────────────────\n');
+
+const { RequestQueue } = await import('../src/queue.js');
+
+let queuedId = 0;
+const queued = (channelId, userId = 'u1') => ({ id: `m${++queuedId}`, channelId, author: { id: userId }, createdTimestamp: Date.now() });
+
+/** A queue whose requests finish when the test says so; `started` lists message IDs in start order. */
+function manualQueue(options = {}) {
+  const started = [], finish = new Map();
+  const queue = new RequestQueue({
+    ...options,
+    run: entry => new Promise(resolve => {
+      started.push(entry.message.id);
+      finish.set(entry.message.id, resolve);
+    }),
+  });
+  const tick = () => new Promise(r => setTimeout(r, 0));
+  const done = async id => { await tick(); finish.get(id)(); await tick(); };
+  return { queue, started, done };
+}
+
+await test('RequestQueue runs channels in parallel up to the limit, each in order', async () => {
+  const { queue, started, done } = manualQueue({ concurrency: 2 });
+  const [a1, a2, b1, c1] = [queued('a'), queued('a'), queued('b'), queued('c')];
+  for (const m of [a1, a2, b1, c1]) queue.add(m);
+  await new Promise(r => setTimeout(r, 0));
+  assertEqual(started.join(), `${a1.id},${b1.id}`, 'One per channel, two at once');
+
+  await done(a1.id);
+  assertEqual(started.join(), `${a1.id},${b1.id},${a2.id}`, 'The longest-waiting request goes next');
+  await done(b1.id);
+  assertEqual(started.at(-1), c1.id);
+  await done(a2.id);
+  await done(c1.id);
+  assertEqual(queue.snapshot().length, 0, 'Idle channels are forgotten');
+});
+
+await test('RequestQueue reports positions and caps each channel\'s line', async () => {
+  const { queue, done } = manualQueue({ concurrency: 1, maxDepth: 2 });
+  const first = queued('a');
+  assertEqual(queue.add(first).position, 0, 'Starts right away');
+  assertEqual(queue.add(queued('a')).position, 2, 'One ahead');
+  assertEqual(queue.add(queued('b')).position, 1, 'Waits for a free slot');
+  const third = queued('a');
+  assert(queue.accepts(third), 'Room for one more');
+  assertEqual(queue.add(third).position, 3);
+  assert(!queue.accepts(queued('a')), 'Channel line is full');
+  assert(queue.accepts(queued('b')), 'Other channels are unaffected');
+
+  assertEqual(queue.clear('a').length, 2);
+  queue.clear('b');
+  await done(first.id);
+});
+
+await test('RequestQueue coalesces rapid messages from the same user', async () => {
+  const { queue, started, done } = manualQueue({ coalesceMs: 40 });
+  const [m1, m2, other, m3] = [queued('a'), queued('a'), queued('a', 'u2'), queued('a')];
+  assertEqual(queue.add(m1).coalesced, false);
+  const second = queue.add(m2);
+  assert(second.coalesced, 'Same user within the window joins the waiting request');
+  assertEqual(queue.add(other).coalesced, false, 'Other users queue separately');
+  assertEqual(queue.add(m3).coalesced, false, 'Only the last waiting request can be joined');
+  assertEqual(queue.add(queued('a'), { model: 'gpt-4.1' }).coalesced, false, 'Requests with options are never joined');
+
+  assertEqual(started.length, 0, 'Held back while follow-ups may arrive');
+  await new Promise(r => setTimeout(r, 80));
+  assertEqual(started.join(), m2.id, 'Answered once, for the newest message');
+  assertEqual(second.entry.batch.map(m => m.id).join(), m1.id);
+  queue.stop();
+  await done(m2.id);
+});
+
+await test('RequestQueue caps how many messages a request takes and how long it is held', async () => {
+  let now = Date.now();
+  const start = now;
+  const message = () => ({ ...queued('a'), createdTimestamp: now });
+
+  const batched = manualQueue({ coalesceMs: 1000, maxBatch: 3, maxHoldMs: 2500, now: () => now }).queue;
+  const first = batched.add(message());
+  for (let i = 0; i < 2; i++) {
+    now += 900;
+    assert(batched.add(message()).coalesced);
+  }
+  assertEqual(first.entry.readyAt, start + 2500, 'Not held past maxHoldMs');
+  assertEqual(batched.add(message()).coalesced, false, 'A full request takes no more');
+  batched.stop();
+
+  now = start;
+  const { queue: held, started, done } = manualQueue({ coalesceMs: 1000, maxBatch: 10, maxHoldMs: 2500, now: () => now });
+  const { entry } = held.add(message());
+  for (const step of [900, 900, 800]) {
+    now += step;
+    held.add(message());
+  }
+  assertEqual(entry.batch.length, 2, 'A request held for maxHoldMs takes no more');
+  await new Promise(r => setTimeout(r, 0));
+  assertEqual(started.join(), entry.message.id, 'and runs');
+  assertEqual(held.waiting('a').length, 1);
+  held.stop();
+  await done(entry.message.id);
+});
+
+await test('RequestQueue drops deleted messages that are still waiting', async () => {
+  const { queue, started, done } = manualQueue({ concurrency: 1, coalesceMs: 1000 });
+  const [busy, m1, m2, lone] = [queued('x'), queued('a'), queued('a'), queued('b', 'u2')];
+  queue.add(busy, { model: 'gpt-4.1' });
+  queue.add(m1);
+  const { entry } = queue.add(m2);
+  queue.add(lone);
+
+  assertEqual(queue.cancel('a', m2.id), null, 'A coalesced request keeps its other messages');
+  assertEqual(entry.message.id, m1.id);
+  assertEqual(entry.batch.length, 0);
+  assertEqual(queue.cancel('b', lone.id)?.message.id, lone.id, 'A lone request is dropped');
+  assertEqual(queue.cancel('x', busy.id), null, 'Running requests are left to the caller');
+  assertEqual(queue.snapshot().map(c => c.channelId).join(), 'x,a');
+
+  queue.stop();
+  await done(busy.id);
+  assertEqual(started.join(), busy.id, 'Nothing starts after stop');
+});
+
+await test('Queued requests are answered with the context they were sent in', async () => {
+  const requests = [];
+  const bot = testBot({ THREAD_MODE: false, TRIGGER_MODE: 'all', QUEUE_COALESCE_MS: 30 }, {
+    send: async messages => { requests.push(messages); return { data: { content: 'ok', finishReason: 'stop' } }; },
+  });
+  const channel = discordChannel();
+  const first  = discordMessage(channel, 'I have a question', { at: Date.now() });
+  const second = discordMessage(channel, 'what is a monad?', { at: Date.now() + 1 });
+  bot.enqueue(first);
+  bot.enqueue(second);
+  discordMessage(channel, 'posted while it waited', { author: 'bob', at: Date.now() + 2 });
+
+  await new Promise(r => setTimeout(r, 100));
+  assertEqual(requests.length, 1, 'Coalesced into one request');
+  assertEqual(bot.rateLimiter.usage({ userId: first.author.id }).used, 1, 'Counted once against the quota');
+  const contents = requests[0].filter(m => m.role === 'user').map(m => JSON.stringify(m.content));
+  assertEqual(contents.length, 2, `Unexpected context: ${contents.join(' | ')}`);
+  assert(contents[1].includes('what is a monad?'), 'Answered for the newest message');
+});
+
+await test('Messages joining a waiting request count towards the burst limit', async () => {
+  const requests = [];
+  const bot = testBot({ THREAD_MODE: false, TRIGGER_MODE: 'all', QUEUE_COALESCE_MS: 30, RATE_LIMIT_USER: parseRate('2/60') }, {
+    send: async messages => { requests.push(messages); return { data: { content: 'ok', finishReason: 'stop' } }; },
+  });
+  const channel  = discordChannel();
+  const messages = [0, 1, 2].map(i => discordMessage(channel, `part ${i}`, { at: Date.now() + i }));
+  for (const message of messages) bot.enqueue(message);
+
+  await new Promise(r => setTimeout(r, 100));
+  assertEqual(requests.length, 1);
+  const asked = requests[0].filter(m => m.role === 'user').map(m => JSON.stringify(m.content)).join();
+  assert(asked.includes('part 1') && !asked.includes('part 2'), `The third message should be turned away: ${asked}`);
+  assertEqual(bot.rateLimiter.usage({ userId: messages[0].author.id }).used, 1, 'Still one request towards the daily quota');
+});
+
+await test('Regenerate and Continue are turned away when the channel queue is full', async () => {
+  let release;
+  const answered = new Promise(r => { release = r; });
+  const bot = testBot({ THREAD_MODE: false, TRIGGER_MODE: 'all', QUEUE_CONCURRENCY: 1, QUEUE_MAX_DEPTH: 1, QUEUE_COALESCE_MS: 0 }, {
+    send: async () => { await answered; return { data: { content: 'ok', finishReason: 'stop' } }; },
+  });
+  const channel = discordChannel();
+  const earlier = discordMessage(channel, 'An earlier question');
+  bot.replies.remember(earlier.id, { model: 'gpt-4.1', content: 'Cut o', messageIds: [] });
+  bot.enqueue(discordMessage(channel, 'Busy', { at: Date.now() }));
+  bot.enqueue(discordMessage(channel, 'Waiting', { author: 'bob', at: Date.now() + 1 }));
+  await new Promise(r => setTimeout(r, 0));
+
+  for (const action of ['regenerate', 'continue']) {
+    const interaction = { ...discordInteraction({ channel }), message: { id: 'r1' }, update: async () => {}, deferUpdate: async () => {} };
+    await bot.onReplyControl(interaction, { action, requestId: earlier.id, authorId: 'u_alice' });
+    assert(interaction.responses[0]?.content.includes('swamped'), `${action} should be turned away`);
+  }
+  assertEqual(bot.queue.waiting(channel.id).length, 1, 'Nothing new was queued');
+  release();
+});
+
+// ─── Live Copilot API ─────────────────────────────────────────────────────────
+
+console.log('\n── Live Copilot API ──────────────────────────────────────────────────────\n');
+
+// Live tests require COPILOT_GITHUB_TOKEN — a token obtained from the device flow
+// (client Ov23li8tweQw6odWQebz). gh CLI tokens are NOT directly accepted by the
+// Copilot REST API; they only work via the Copilot CLI subprocess (old SDK approach).
+const liveToken = process.env.COPILOT_GITHUB_TOKEN || null;
+
+if (!liveToken) {
+  console.log('  ⚠  COPILOT_GITHUB_TOKEN not set – skipping live API tests.');
+  console.log('     Run the bot first to complete device login, then:\n');
+  console.log('     COPILOT_GITHUB_TOKEN=<token-from-.cobot-auth.json> node test/test.js\n');
+} else {
+  const { CopilotManager } = await import('../src/copilot.js');
+  let manager;
+
+  await test('CopilotManager starts', async () => {
+    manager = new CopilotManager(liveToken);
+    await manager.start();
+  });
+
+  if (manager) {
+    const pong = [{ role: 'user', content: 'Reply with exactly the single word: pong' }];
+
+    await test('send() returns a non-empty string with default model (gpt-4.1)', async () => {
+      const res = await manager.send(pong);
+      const content = res?.data?.content;
+      assert(typeof content === 'string' && content.length > 0, 'Expected non-empty content');
+      console.log(`       → "${content.slice(0, 120).replace(/\n/g, '↵')}"`);
+    });
+
+    await test('send() uses the model passed per call (gpt-5-mini)', async () => {
+      // gpt-5-mini / gpt-4o may return 402 if the subscription does not include them;
+      // we verify the call either succeeds or throws cleanly (not a crash)
+      let ok = false;
+      try {
+        const res = await manager.send(pong, { model: 'gpt-5-mini' });
+        ok = res?.data?.content?.length > 0;
+      } catch (err) {
+        // 402 = quota not available for this model – still a clean error, counts as pass
+        ok = /40[24]|quota|not available/i.test(err.message);
+        if (ok) console.log(`       (model not available for this subscription: ${err.message.slice(0, 80)})`);
+        else throw err;
+      }
+      assert(ok);
+    });
+
+    await test('send() with gpt-4.1 explicitly', async () => {
+      const res = await manager.send(pong, { model: 'gpt-4.1' });
+      assert(res?.data?.content?.length > 0);
+      console.log(`       → "${res.data.content.slice(0, 120).replace(/\n/g, '↵')}"`);
     });
 
     await test('multi-turn context prompt works', async () => {
-      const prompt = 'user1: What is 2+2?\nAssistant: 4\nuser1: What did I just ask?';
-      const res = await manager.send(prompt);
+      const res = await manager.send([
+        { role: 'user',      content: 'user1: What is 2+2?' },
+        { role: 'assistant', content: '4' },
+        { role: 'user',      content: 'user1: What did I just ask?' },
+      ]);
       assert(res?.data?.content?.length > 0);
     });
 